@@ -0,0 +1,195 @@
+// Agendamentos da clínica (coleção agendamentos): cada horário liga um pet a um
+// veterinário, com início/fim, tipo e status.
+//
+// Horários são gravados como data/hora local no formato AAAA-MM-DDTHH:MM, o mesmo
+// dos campos datetime-local do navegador; assim podem ser comparados como texto.
+
+// Pedido feito pelo tutor no portal; só entra na agenda quando a clínica confirma
+const STATUS_SOLICITADA = 'solicitada';
+const STATUS_AGENDADA = 'agendada';
+const STATUS_CONFIRMADA = 'confirmada';
+const STATUS_REALIZADA = 'realizada';
+const STATUS_FALTOU = 'faltou';
+const STATUS_CANCELADA = 'cancelada';
+
+const APPOINTMENT_STATUS = [STATUS_SOLICITADA, STATUS_AGENDADA, STATUS_CONFIRMADA, STATUS_REALIZADA, STATUS_FALTOU, STATUS_CANCELADA];
+
+// Transições permitidas a partir de cada status (realizada, faltou e cancelada são finais)
+const STATUS_TRANSITIONS = {
+    [STATUS_SOLICITADA]: [STATUS_CONFIRMADA, STATUS_CANCELADA],
+    [STATUS_AGENDADA]: [STATUS_CONFIRMADA, STATUS_REALIZADA, STATUS_FALTOU, STATUS_CANCELADA],
+    [STATUS_CONFIRMADA]: [STATUS_REALIZADA, STATUS_FALTOU, STATUS_CANCELADA],
+    [STATUS_REALIZADA]: [],
+    [STATUS_FALTOU]: [],
+    [STATUS_CANCELADA]: []
+};
+
+// Só horários ainda ativos ocupam a agenda
+const ACTIVE_STATUS = [STATUS_AGENDADA, STATUS_CONFIRMADA];
+
+const APPOINTMENT_TYPES = ['Consulta', 'Retorno', 'Vacinação', 'Exame', 'Cirurgia'];
+
+const MAX_DURATION_MINUTES = 12 * 60;
+
+// Duração padrão de um pedido do tutor (a clínica pode ajustar antes de confirmar)
+const REQUEST_DURATION_MINUTES = 30;
+
+function isValidSlot(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value)) return false;
+    const [data, hora] = value.split('T');
+    const [h, m] = hora.split(':').map(Number);
+    return isValidDay(data) && h < 24 && m < 60;
+}
+
+function isValidDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [y, m, d] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function minutesBetween(inicio, fim) {
+    return (Date.parse(`${fim}:00Z`) - Date.parse(`${inicio}:00Z`)) / 60000;
+}
+
+function addMinutes(slot, n) {
+    return new Date(Date.parse(`${slot}:00Z`) + n * 60000).toISOString().slice(0, 16);
+}
+
+// Data/hora local atual no formato dos horários (AAAA-MM-DDTHH:MM)
+function nowSlot() {
+    const agora = new Date();
+    return new Date(agora.getTime() - agora.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function addDays(day, n) {
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + n)).toISOString().split('T')[0];
+}
+
+// Segunda a domingo da semana que contém `day`
+function weekRange(day) {
+    const [y, m, d] = day.split('-').map(Number);
+    const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    const inicio = addDays(day, weekday === 0 ? -6 : 1 - weekday);
+    return { inicio, fim: addDays(inicio, 6) };
+}
+
+// Valida horário, tipo e veterinário de um agendamento novo ou remarcado; retorna a mensagem de erro ou null
+function validateAppointment(data, vets) {
+    if (!data.petId) return 'Informe o pet.';
+    if (!data.vetLogin) return 'Informe o veterinário.';
+    if (!vets.some(v => v.login === data.vetLogin)) {
+        return 'Veterinário não encontrado (use um Medico vet ou Vet junior).';
+    }
+    if (!isValidSlot(data.inicio) || !isValidSlot(data.fim)) {
+        return 'Informe início e fim no formato AAAA-MM-DDTHH:MM.';
+    }
+
+    const duracao = minutesBetween(data.inicio, data.fim);
+    if (duracao <= 0) return 'O horário de término deve ser posterior ao início.';
+    if (duracao > MAX_DURATION_MINUTES) return 'Um agendamento não pode passar de 12 horas.';
+
+    if (!APPOINTMENT_TYPES.includes(data.tipo)) {
+        return `Tipo inválido. Use: ${APPOINTMENT_TYPES.join(', ')}.`;
+    }
+    return null;
+}
+
+// Agendamentos ativos que se sobrepõem ao horário com o mesmo veterinário ou o mesmo pet
+function findConflicts(agendamentos, data, ignoreId) {
+    return agendamentos.filter(a =>
+        a.id != ignoreId &&
+        ACTIVE_STATUS.includes(a.status) &&
+        (a.vetLogin === data.vetLogin || a.petId == data.petId) &&
+        a.inicio < data.fim && data.inicio < a.fim
+    );
+}
+
+function conflictMessage(conflitos, data) {
+    const c = conflitos[0];
+    const hora = `${c.inicio.replace('T', ' ')} às ${c.fim.split('T')[1]}`;
+    if (c.vetLogin === data.vetLogin) {
+        return `${c.vetNome || c.vetLogin} já tem um agendamento em ${hora}.`;
+    }
+    return `${c.petNome || 'O pet'} já tem um agendamento em ${hora}.`;
+}
+
+function nextAppointmentId(agendamentos) {
+    const maior = agendamentos.reduce((max, a) => Math.max(max, Number(a.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function createAppointment(agendamentos, data, pet, vet, usuario, status = STATUS_AGENDADA) {
+    const agora = new Date().toISOString();
+    const agendamento = {
+        id: nextAppointmentId(agendamentos),
+        petId: pet.id,
+        petNome: pet.nome,
+        tutorCpf: pet.tutorCpf,
+        vetLogin: vet.login,
+        vetNome: vet.nome,
+        inicio: data.inicio,
+        fim: data.fim,
+        tipo: data.tipo,
+        motivo: data.motivo || '',
+        observacoes: data.observacoes || '',
+        status,
+        historico: [{ status, em: agora, por: usuario.login }],
+        criadoPor: usuario.login,
+        criadoEm: agora,
+        atualizadoEm: agora
+    };
+    agendamentos.push(agendamento);
+    return agendamento;
+}
+
+function changeStatus(agendamento, status, usuario, observacoes) {
+    const agora = new Date().toISOString();
+    agendamento.status = status;
+    if (observacoes) agendamento.observacoes = observacoes;
+    agendamento.historico = [...(agendamento.historico || []), { status, em: agora, por: usuario.login }];
+    agendamento.atualizadoEm = agora;
+    return agendamento;
+}
+
+// Registro que vai para pet.consultasPassadas quando a consulta é realizada
+function toPastConsultation(agendamento) {
+    return {
+        data: agendamento.inicio.split('T')[0],
+        descricao: agendamento.motivo ? `${agendamento.tipo}: ${agendamento.motivo}` : agendamento.tipo,
+        motivo: agendamento.motivo,
+        tipo: agendamento.tipo,
+        veterinario: agendamento.vetNome || agendamento.vetLogin,
+        observacoes: agendamento.observacoes,
+        agendamentoId: agendamento.id
+    };
+}
+
+function sortBySlot(agendamentos) {
+    return agendamentos.slice().sort((a, b) => a.inicio.localeCompare(b.inicio));
+}
+
+module.exports = {
+    APPOINTMENT_STATUS,
+    APPOINTMENT_TYPES,
+    STATUS_TRANSITIONS,
+    STATUS_SOLICITADA,
+    STATUS_CONFIRMADA,
+    STATUS_REALIZADA,
+    STATUS_CANCELADA,
+    REQUEST_DURATION_MINUTES,
+    isValidDay,
+    isValidSlot,
+    addMinutes,
+    nowSlot,
+    addDays,
+    weekRange,
+    validateAppointment,
+    findConflicts,
+    conflictMessage,
+    createAppointment,
+    changeStatus,
+    toPastConsultation,
+    sortBySlot
+};
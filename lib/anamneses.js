@@ -0,0 +1,396 @@
+// Anamneses do pet (pet.anamneses): cada ficha é um registro datado, feito em uma
+// consulta da agenda (agendamentoId) ou avulso, com quem registrou. Um pet atendido
+// por um novo problema ganha uma nova ficha e as anteriores continuam no prontuário.
+//
+// pet.anamnese continua sendo a ficha mais recente (usada nos documentos em PDF e
+// no receituário) e acompanha o último registro. Seções que costumam não mudar de uma
+// consulta para outra (ambiente, alimentação, imunização...) podem ser copiadas da
+// ficha anterior.
+
+// Sistemas da anamnese: além da descrição livre (o campo do próprio sistema), cada
+// um tem uma situação e os sinais marcados no formulário
+const SYSTEM_STATUS_NORMAL = 'normal';
+const SYSTEM_STATUS_ALTERADO = 'alterado';
+const SYSTEM_STATUS = [SYSTEM_STATUS_NORMAL, SYSTEM_STATUS_ALTERADO, 'nao-avaliado'];
+
+const SYSTEM_SIGNS = {
+    sistemaCardiorrespiratorio: ['tosse', 'espirros', 'secrecao-nasal', 'dispneia', 'intolerancia-exercicio', 'sincope', 'cianose'],
+    sistemaGeniturinario: ['poliuria', 'oliguria', 'disuria', 'hematuria', 'incontinencia', 'secrecao-genital', 'alteracao-cio'],
+    sistemaNeurologicoLocomotor: ['convulsao', 'ataxia', 'paresia', 'claudicacao', 'andar-em-circulos', 'inclinacao-cabeca', 'dor-coluna'],
+    sistemaTegumentar: ['prurido', 'alopecia', 'descamacao', 'lesoes-pele', 'ectoparasitas', 'otite', 'odor']
+};
+
+const SYSTEM_TITLES = {
+    sistemaCardiorrespiratorio: 'Sistema cardiorrespiratório',
+    sistemaGeniturinario: 'Sistema geniturinário',
+    sistemaNeurologicoLocomotor: 'Sistema neurológico e locomotor',
+    sistemaTegumentar: 'Sistema tegumentar'
+};
+
+// Seções que podem ser copiadas da ficha anterior
+const COPYABLE_SECTIONS = {
+    historico: { titulo: 'Histórico', campos: ['desdeQuandoNaFamilia', 'motivoAquisicao'] },
+    imunizacao: { titulo: 'Imunização', campos: ['imunizacao', 'dataUltimaDoseVacina'] },
+    desverminacao: { titulo: 'Desverminação', campos: ['desverminacao', 'dataUltimaDoseVermifugo'] },
+    ambiente: {
+        titulo: 'Ambiente, passeios e exposições',
+        campos: [
+            'ambiente', 'frequenciaPasseios', 'duracaoPasseio', 'tipoPiso',
+            'exposicaoPoeira', 'exposicaoQuimicos', 'presencaRatos', 'presencaPlantas'
+        ]
+    },
+    contactantes: { titulo: 'Animais contactantes', campos: ['animaisContactantes', 'convivenciaOutrosAnimais', 'tipoConvivencia'] },
+    alimentacao: { titulo: 'Alimentação', campos: ['alimentacao', 'manutencaoPeso', 'quantidadeAgua'] },
+    historicoMedico: { titulo: 'Histórico médico e medicamentoso', campos: ['historicoMedicoMedicamentoso'] }
+};
+
+function situacaoField(sistema) {
+    return `${sistema}Situacao`;
+}
+
+function sinaisField(sistema) {
+    return `${sistema}Sinais`;
+}
+
+// Textos dos valores fixos da anamnese (rádios e checkboxes do formulário)
+const OPTION_LABELS = {
+    'diarios-1x': 'Diários (1x)',
+    'diarios-2x+': 'Diários (2x ou mais)',
+    semanais: 'Semanais',
+    'ate-15min': 'Até 15 min',
+    '15-30min': '15 a 30 min',
+    '30min+': 'Mais de 30 min',
+    'residem-juntos': 'Residem juntos',
+    'contato-frequente': 'Contato frequente',
+    'contato-raro': 'Contato raro',
+    sim: 'Sim',
+    nao: 'Não',
+    normais: 'Normais',
+    anormais: 'Anormais',
+    normal: 'Normal',
+    aumentado: 'Aumentado',
+    diminuido: 'Diminuído',
+    disfagia: 'Disfagia',
+    parorexia: 'Parorexia',
+    coprofagia: 'Coprofagia',
+    normocoradas: 'Normocoradas',
+    palidas: 'Pálidas',
+    congestas: 'Congestas',
+    cianoticas: 'Cianóticas',
+    ictericas: 'Ictéricas',
+    alterado: 'Alterado',
+    'nao-avaliado': 'Não avaliado',
+    tosse: 'Tosse',
+    espirros: 'Espirros',
+    'secrecao-nasal': 'Secreção nasal',
+    dispneia: 'Dispneia',
+    'intolerancia-exercicio': 'Intolerância ao exercício',
+    sincope: 'Síncope',
+    cianose: 'Cianose',
+    poliuria: 'Poliúria',
+    oliguria: 'Oligúria',
+    disuria: 'Disúria',
+    hematuria: 'Hematúria',
+    incontinencia: 'Incontinência urinária',
+    'secrecao-genital': 'Secreção genital',
+    'alteracao-cio': 'Alteração no cio',
+    convulsao: 'Convulsão',
+    ataxia: 'Ataxia',
+    paresia: 'Paresia',
+    claudicacao: 'Claudicação',
+    'andar-em-circulos': 'Andar em círculos',
+    'inclinacao-cabeca': 'Inclinação da cabeça',
+    'dor-coluna': 'Dor na coluna',
+    prurido: 'Prurido',
+    alopecia: 'Alopecia',
+    descamacao: 'Descamação',
+    'lesoes-pele': 'Lesões de pele',
+    ectoparasitas: 'Ectoparasitas',
+    otite: 'Otite',
+    odor: 'Odor'
+};
+
+function systemSection(sistema) {
+    return {
+        titulo: SYSTEM_TITLES[sistema],
+        campos: [[situacaoField(sistema), 'Situação'], [sinaisField(sistema), 'Sinais'], [sistema, 'Descrição']]
+    };
+}
+
+// Seções da ficha de anamnese, na mesma ordem do formulário
+const ANAMNESE_SECTIONS = [
+    { titulo: 'Queixa principal', campos: [['queixaPrincipal', 'Motivo da consulta']] },
+    { titulo: 'Histórico', campos: [['desdeQuandoNaFamilia', 'Desde quando está com a família'], ['motivoAquisicao', 'Motivo da aquisição']] },
+    { titulo: 'Imunização', campos: [['imunizacao', 'Vacinas'], ['dataUltimaDoseVacina', 'Última dose']] },
+    { titulo: 'Desverminação', campos: [['desverminacao', 'Medicamento e frequência'], ['dataUltimaDoseVermifugo', 'Última dose']] },
+    {
+        titulo: 'Ambiente e passeios',
+        campos: [['ambiente', 'Ambiente'], ['frequenciaPasseios', 'Frequência dos passeios'], ['duracaoPasseio', 'Duração do passeio'], ['tipoPiso', 'Tipo de piso']]
+    },
+    {
+        titulo: 'Exposições',
+        campos: [
+            ['exposicaoPoeira', 'Poeira/fumaça'],
+            ['exposicaoQuimicos', 'Produtos químicos, venenos ou medicações controladas'],
+            ['presencaRatos', 'Presença de ratos'],
+            ['presencaPlantas', 'Plantas ornamentais']
+        ]
+    },
+    {
+        titulo: 'Animais contactantes',
+        campos: [['animaisContactantes', 'Alterações nos contactantes'], ['convivenciaOutrosAnimais', 'Convivência com outros animais'], ['tipoConvivencia', 'Tipo de convivência']]
+    },
+    {
+        titulo: 'Sistema digestório',
+        campos: [
+            ['apetite', 'Apetite'],
+            ['alimentacao', 'Alimentação'],
+            ['manutencaoPeso', 'Manutenção do peso'],
+            ['ingestaoAgua', 'Ingestão de água'],
+            ['quantidadeAgua', 'Quantidade de água (mL/24h)'],
+            ['defecacao', 'Defecação'],
+            ['vomitos', 'Vômitos'],
+            ['aspectoVomitos', 'Aspecto dos vômitos'],
+            ['frequenciaVomitos', 'Frequência dos vômitos'],
+            ['regurgitacao', 'Regurgitação'],
+            ['frequenciaRegurgitacao', 'Frequência da regurgitação']
+        ]
+    },
+    ...Object.keys(SYSTEM_SIGNS).map(systemSection),
+    { titulo: 'Histórico médico e medicamentoso', campos: [['historicoMedicoMedicamentoso', 'Histórico']] },
+    {
+        titulo: 'Exame físico geral',
+        campos: [
+            ['nivelConsciencia', 'Nível de consciência'],
+            ['postura', 'Postura'],
+            ['escoreCorporal', 'Escore corporal'],
+            ['avaliacaoCabeca', 'Avaliação da cabeça'],
+            ['mucosas', 'Mucosas'],
+            ['linfonodos', 'Linfonodos'],
+            ['quaisLinfonodos', 'Linfonodos alterados'],
+            ['auscultaPulmonar', 'Ausculta pulmonar'],
+            ['auscultaCardiaca', 'Ausculta cardíaca'],
+            ['fr', 'FR'],
+            ['fc', 'FC'],
+            ['palpacaoAbdominal', 'Palpação abdominal'],
+            ['pulsoArterial', 'Pulso arterial'],
+            ['sistemaReprodutor', 'Sistema reprodutor'],
+            ['temperatura', 'Temperatura (°C)'],
+            ['outrosAchados', 'Outros achados']
+        ]
+    },
+    {
+        titulo: 'Conclusões e tratamento',
+        campos: [
+            ['suspeitaClinica', 'Suspeita clínica'],
+            ['examesComplementares', 'Exames complementares'],
+            ['diagnosticoDefinitivo', 'Diagnóstico definitivo'],
+            ['tratamento', 'Tratamento'],
+            ['avaliacaoComportamental', 'Avaliação comportamental']
+        ]
+    }
+];
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function anamnesisList(pet) {
+    if (!Array.isArray(pet.anamneses)) pet.anamneses = [];
+    return pet.anamneses;
+}
+
+// Ordem cronológica: dia da anamnese e, no mesmo dia, ordem de registro
+function sortByDate(registros) {
+    return registros.slice().sort((a, b) =>
+        a.data.localeCompare(b.data) || a.registradoEm.localeCompare(b.registradoEm)
+    );
+}
+
+function latestAnamnesis(pet) {
+    const registros = sortByDate(pet.anamneses || []);
+    return registros.length ? registros[registros.length - 1] : null;
+}
+
+// Mantém pet.anamnese igual à ficha mais recente
+function syncCurrentAnamnesis(pet) {
+    const ultima = latestAnamnesis(pet);
+    pet.anamnese = ultima
+        ? { ...ultima.ficha, data: new Date(ultima.registradoEm).toLocaleString('pt-BR'), anamneseId: ultima.id }
+        : null;
+}
+
+// "25/03/2024, 10:30:00" (data gravada pela rota antiga) -> { dia: "2024-03-25", hora: "10:30:00" }
+function parseLegacyDate(texto) {
+    const partes = /^(\d{2})\/(\d{2})\/(\d{4}),?\s*(\d{2}:\d{2}:\d{2})?/.exec(String(texto || ''));
+    return partes ? { dia: `${partes[3]}-${partes[2]}-${partes[1]}`, hora: partes[4] || '12:00:00' } : null;
+}
+
+// Pets com a ficha única antiga: ela vira o primeiro registro do histórico.
+// Retorna true se o pet foi alterado.
+function migrateLegacyAnamnesis(pet) {
+    if (Array.isArray(pet.anamneses)) return false;
+    const registros = anamnesisList(pet);
+    if (!pet.anamnese) return true;
+
+    const { data, ...ficha } = pet.anamnese;
+    const registrada = parseLegacyDate(data) || { dia: (pet.dataCadastro || new Date().toISOString()).split('T')[0], hora: '12:00:00' };
+    registros.push({
+        id: nextId(registros),
+        data: registrada.dia,
+        agendamentoId: null,
+        origem: 'migracao',
+        veterinario: null,
+        copiadoDe: null,
+        ficha,
+        registradoEm: new Date(`${registrada.dia}T${registrada.hora}`).toISOString()
+    });
+    syncCurrentAnamnesis(pet);
+    return true;
+}
+
+// Confere a ficha já validada pelo esquema (com as seções copiadas);
+// retorna a mensagem de erro ou null
+function validateAnamnesis(ficha, pet, agendamento, dados) {
+    if (dados.data && dados.data > today()) {
+        return 'A data da anamnese não pode estar no futuro.';
+    }
+    if (dados.agendamentoId && (!agendamento || agendamento.petId != pet.id)) {
+        return 'Consulta não encontrada para este pet.';
+    }
+    if (dados.copiarSecoes && dados.copiarSecoes.length && !latestAnamnesis(pet)) {
+        return 'O pet não tem anamnese anterior para copiar.';
+    }
+    if (Object.values(ficha).every(isBlank)) {
+        return 'Preencha ao menos um campo da anamnese.';
+    }
+
+    for (const sistema of Object.keys(SYSTEM_SIGNS)) {
+        const situacao = ficha[situacaoField(sistema)];
+        const sinais = ficha[sinaisField(sistema)];
+        if (!isBlank(sinais) && situacao !== SYSTEM_STATUS_ALTERADO) {
+            return `${SYSTEM_TITLES[sistema]}: há sinais marcados, então a situação deve ser "alterado".`;
+        }
+        if (situacao === SYSTEM_STATUS_ALTERADO && isBlank(sinais) && isBlank(ficha[sistema])) {
+            return `${SYSTEM_TITLES[sistema]}: marque os sinais ou descreva a alteração.`;
+        }
+    }
+    return null;
+}
+
+// Campos da ficha com as seções escolhidas copiadas da ficha mais recente
+function copySections(pet, ficha, secoes) {
+    const anterior = latestAnamnesis(pet);
+    if (!anterior || !secoes || !secoes.length) return { ...ficha };
+
+    const copia = { ...ficha };
+    secoes.forEach(secao => {
+        COPYABLE_SECTIONS[secao].campos.forEach(campo => {
+            if (isBlank(anterior.ficha[campo])) delete copia[campo];
+            else copia[campo] = anterior.ficha[campo];
+        });
+    });
+    return copia;
+}
+
+// `ficha` já vem com as seções copiadas (copySections); `veterinario` é quem registrou
+function createAnamnesis(pet, ficha, dados, agendamento, veterinario) {
+    const registros = anamnesisList(pet);
+    const anterior = latestAnamnesis(pet);
+    const secoes = dados.copiarSecoes || [];
+    const registro = {
+        id: nextId(registros),
+        data: dados.data || (agendamento ? agendamento.inicio.split('T')[0] : today()),
+        agendamentoId: agendamento ? agendamento.id : null,
+        origem: agendamento ? 'consulta' : 'avulsa',
+        veterinario,
+        copiadoDe: anterior && secoes.length ? { anamneseId: anterior.id, secoes } : null,
+        ficha: Object.fromEntries(Object.entries(ficha).filter(([, valor]) => !isBlank(valor))),
+        registradoEm: new Date().toISOString()
+    };
+    registros.push(registro);
+    syncCurrentAnamnesis(pet);
+    return registro;
+}
+
+// Volta uma ficha anterior a ser a atual: ela é registrada de novo com a data de hoje
+// (origem 'restauracao') e as fichas que vieram depois continuam no prontuário.
+// Retorna { registro } ou { erro }.
+function restoreAnamnesis(pet, anamneseId, veterinario) {
+    const registros = anamnesisList(pet);
+    const anterior = registros.find(r => r.id == anamneseId);
+    if (!anterior) {
+        return { erro: 'Anamnese não encontrada' };
+    }
+    if (latestAnamnesis(pet).id === anterior.id) {
+        return { erro: 'Esta ficha já é a anamnese atual.' };
+    }
+
+    const registro = {
+        id: nextId(registros),
+        data: today(),
+        agendamentoId: null,
+        origem: 'restauracao',
+        veterinario,
+        copiadoDe: null,
+        restauradoDe: anterior.id,
+        ficha: structuredClone(anterior.ficha),
+        registradoEm: new Date().toISOString()
+    };
+    registros.push(registro);
+    syncCurrentAnamnesis(pet);
+    return { registro };
+}
+
+// Resumo de cada ficha para a lista (mais recentes primeiro)
+function anamnesisSummaries(pet) {
+    return sortByDate(pet.anamneses || []).reverse().map(({ ficha, ...registro }) => ({
+        ...registro,
+        queixaPrincipal: ficha.queixaPrincipal || '',
+        suspeitaClinica: ficha.suspeitaClinica || '',
+        diagnosticoDefinitivo: ficha.diagnosticoDefinitivo || ''
+    }));
+}
+
+// Comparação lado a lado, seção por seção; seções vazias nas duas fichas ficam de fora
+function compareAnamneses(antes, depois) {
+    return ANAMNESE_SECTIONS
+        .map(secao => {
+            const campos = secao.campos
+                .map(([campo, rotulo]) => {
+                    const valorAntes = isBlank(antes.ficha[campo]) ? null : antes.ficha[campo];
+                    const valorDepois = isBlank(depois.ficha[campo]) ? null : depois.ficha[campo];
+                    return { campo, rotulo, antes: valorAntes, depois: valorDepois, alterado: valorAntes !== valorDepois };
+                })
+                .filter(c => c.antes !== null || c.depois !== null);
+            return { titulo: secao.titulo, alterada: campos.some(c => c.alterado), campos };
+        })
+        .filter(secao => secao.campos.length > 0);
+}
+
+module.exports = {
+    SYSTEM_STATUS,
+    SYSTEM_SIGNS,
+    COPYABLE_SECTIONS,
+    OPTION_LABELS,
+    ANAMNESE_SECTIONS,
+    situacaoField,
+    sinaisField,
+    latestAnamnesis,
+    migrateLegacyAnamnesis,
+    validateAnamnesis,
+    copySections,
+    createAnamnesis,
+    restoreAnamnesis,
+    anamnesisSummaries,
+    compareAnamneses
+};
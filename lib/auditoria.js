@@ -0,0 +1,139 @@
+// Trilha de auditoria do prontuário (coleção auditoria). As entradas só são
+// incluídas, nunca alteradas ou removidas: cada alteração de um pet ou de um registro
+// clínico ligado a ele (agendamento, internação e tratamentos, prescrição) e dos boxes
+// registra quem alterou (login, nome, cargo), por qual rota, quando e a diferença antes/depois.
+// `recurso` é a coleção do registro alterado; entradas antigas, sem ele, são de pets.
+//
+// A diferença é gravada campo a campo; objetos são comparados recursivamente
+// (ex.: anamnese.queixaprincipal) e listas são tratadas como um único valor.
+
+// Campos que podem voltar a uma versão anterior pela tela de histórico. A anamnese
+// acompanha a ficha mais recente de pet.anamneses e é restaurada por lá
+// (restoreAnamnesis, lib/anamneses.js), registrando a ficha escolhida de novo.
+const RESTORABLE_FIELDS = ['observacoes'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Lista de { campo, antes, depois } com tudo o que mudou entre as duas versões
+function diffRecords(antes, depois, caminho = '', alteracoes = []) {
+    if (isPlainObject(antes) && isPlainObject(depois)) {
+        const chaves = new Set([...Object.keys(antes), ...Object.keys(depois)]);
+        chaves.forEach(chave => {
+            diffRecords(antes[chave], depois[chave], caminho ? `${caminho}.${chave}` : chave, alteracoes);
+        });
+        return alteracoes;
+    }
+
+    if (JSON.stringify(antes) !== JSON.stringify(depois)) {
+        alteracoes.push({
+            campo: caminho,
+            antes: antes === undefined ? null : antes,
+            depois: depois === undefined ? null : depois
+        });
+    }
+    return alteracoes;
+}
+
+function nextEntryId(entradas) {
+    const maior = entradas.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// Diferença registro a registro entre duas versões de uma coleção: lista de
+// { registro, alteracoes } dos registros criados, alterados ou removidos
+function diffCollection(antes, depois) {
+    const anteriores = new Map(antes.map(registro => [String(registro.id), registro]));
+    const mudancas = [];
+    depois.forEach(registro => {
+        const anterior = anteriores.get(String(registro.id));
+        anteriores.delete(String(registro.id));
+        const alteracoes = diffRecords(anterior || {}, registro);
+        if (alteracoes.length) mudancas.push({ registro, alteracoes });
+    });
+    anteriores.forEach(registro => mudancas.push({ registro, alteracoes: diffRecords(registro, {}) }));
+    return mudancas;
+}
+
+// Registro alterado: o próprio pet (recurso 'animais') ou um registro de outra coleção,
+// ligado ao pet por petId (boxes não têm pet)
+function auditTarget(recurso, registro) {
+    const ehPet = recurso === 'animais';
+    return {
+        recurso,
+        registroId: registro.id,
+        petId: ehPet ? registro.id : (registro.petId || null),
+        petNome: ehPet ? registro.nome : (registro.petNome || null)
+    };
+}
+
+function isPetEntry(entrada) {
+    return !entrada.recurso || entrada.recurso === 'animais';
+}
+
+// `alvo` vem de auditTarget
+function createAuditEntry(entradas, req, alvo, alteracoes) {
+    const entrada = {
+        id: nextEntryId(entradas),
+        em: new Date().toISOString(),
+        usuario: req.user ? req.user.login : null,
+        nome: req.user ? req.user.nome : null,
+        role: req.user ? req.user.role : null,
+        metodo: req.method,
+        rota: req.route ? req.route.path : req.originalUrl,
+        recurso: alvo.recurso,
+        registroId: alvo.registroId,
+        petId: alvo.petId,
+        petNome: alvo.petNome,
+        alteracoes
+    };
+    entradas.push(entrada);
+    return entrada;
+}
+
+function touchesField(entrada, campo) {
+    return entrada.alteracoes.some(a => a.campo === campo || a.campo.startsWith(`${campo}.`));
+}
+
+// Grava `valor` no caminho "a.b.c" de `doc`; null remove o campo
+function setPath(doc, caminho, valor) {
+    const partes = caminho.split('.');
+    let atual = doc;
+    for (const parte of partes.slice(0, -1)) {
+        if (!isPlainObject(atual[parte])) atual[parte] = {};
+        atual = atual[parte];
+    }
+    const ultima = partes[partes.length - 1];
+    if (valor === null) delete atual[ultima];
+    else atual[ultima] = valor;
+}
+
+// Reconstrói o valor de `campo` como era antes da entrada `entradaId`, desfazendo a
+// partir do valor atual as alterações registradas até ela (da mais nova para a mais antiga).
+// Retorna undefined se a entrada não existir ou não tiver alterado o campo.
+function versionBefore(entradas, pet, campo, entradaId) {
+    const doPet = entradas.filter(e => e.petId == pet.id && isPetEntry(e)).sort((a, b) => b.id - a.id);
+    const alvo = doPet.find(e => e.id == entradaId);
+    if (!alvo || !touchesField(alvo, campo)) return undefined;
+
+    const doc = { [campo]: structuredClone(pet[campo]) };
+    for (const entrada of doPet) {
+        entrada.alteracoes
+            .filter(a => a.campo === campo || a.campo.startsWith(`${campo}.`))
+            .forEach(a => setPath(doc, a.campo, a.antes === null ? null : structuredClone(a.antes)));
+        if (entrada === alvo) break;
+    }
+    return doc[campo] === undefined ? null : doc[campo];
+}
+
+module.exports = {
+    RESTORABLE_FIELDS,
+    diffRecords,
+    diffCollection,
+    auditTarget,
+    isPetEntry,
+    createAuditEntry,
+    touchesField,
+    versionBefore
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// Tokens de sessão assinados com HMAC (sem dependências externas).
+// Se SESSION_SECRET não estiver definido, um segredo aleatório é gerado a cada
+// inicialização, o que invalida as sessões abertas quando o servidor reinicia.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 horas
+
+const BCRYPT_ROUNDS = 10;
+
+// Grupos de cargos usados nas regras de autorização
+const ROLE_TUTOR = 'Tutor';
+const VET_ROLES = ['Medico vet', 'Vet junior'];
+const CLINICAL_ROLES = ['Medico vet', 'Vet junior', 'Estagiario', 'Internação'];
+const STAFF_ROLES = ['Medico vet', 'Vet junior', 'Estagiario', 'Internação', 'Recepção'];
+const MANAGER_ROLES = ['Medico vet'];
+
+// Senhas: novas senhas são sempre gravadas com bcrypt
+function hashPassword(senha) {
+    return bcrypt.hash(senha, BCRYPT_ROUNDS);
+}
+
+function isPasswordHashed(stored) {
+    return typeof stored === 'string' && /^\$2[aby]\$\d{2}\$/.test(stored);
+}
+
+// Compara a senha informada com a armazenada. Registros antigos ainda guardam a
+// senha em texto puro; eles são aceitos aqui e migrados pelo chamador após o login.
+async function verifyPassword(senha, stored) {
+    if (!stored || typeof senha !== 'string') return false;
+    if (isPasswordHashed(stored)) {
+        return bcrypt.compare(senha, stored);
+    }
+    const a = Buffer.from(senha);
+    const b = Buffer.from(String(stored));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+// Cargo efetivo de cada tipo de conta do diretório de usuários (lib/contas.js)
+function roleFor(tipo, account) {
+    if (tipo === 'tutor') return ROLE_TUTOR;
+    return account.role || '';
+}
+
+// Gera o token de sessão para uma conta autenticada
+function issueToken(tipo, account) {
+    const payload = {
+        sub: account.id || account.login,
+        tipo,
+        role: roleFor(tipo, account),
+        login: account.login,
+        nome: account.nome,
+        cpf: account.cpf,
+        exp: Date.now() + SESSION_TTL_MS
+    };
+    const body = base64url(JSON.stringify(payload));
+    return `${body}.${sign(body)}`;
+}
+
+// Valida assinatura e expiração; retorna o payload ou null
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Date.now()) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Middleware: exige um token Bearer válido e popula req.user
+function requireAuth(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    const user = scheme === 'Bearer' ? verifyToken(token) : null;
+
+    if (!user) {
+        return res.status(401).json({ success: false, message: 'Sessão inválida ou expirada. Faça login novamente.' });
+    }
+
+    req.user = user;
+    next();
+}
+
+// Middleware do canal de eventos: o EventSource do navegador não envia cabeçalhos,
+// então o token vem em ?token= (só nessa rota, para não aparecer em outros logs)
+function requireStreamAuth(req, res, next) {
+    const user = verifyToken(req.query.token);
+
+    if (!user) {
+        return res.status(401).json({ success: false, message: 'Sessão inválida ou expirada. Faça login novamente.' });
+    }
+
+    req.user = user;
+    next();
+}
+
+// Middleware: exige que o usuário autenticado tenha um dos cargos informados
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
+        }
+        next();
+    };
+}
+
+function hasRole(user, roles) {
+    return !!user && roles.includes(user.role);
+}
+
+module.exports = {
+    ROLE_TUTOR,
+    VET_ROLES,
+    CLINICAL_ROLES,
+    STAFF_ROLES,
+    MANAGER_ROLES,
+    hashPassword,
+    isPasswordHashed,
+    verifyPassword,
+    issueToken,
+    verifyToken,
+    requireAuth,
+    requireStreamAuth,
+    requireRole,
+    hasRole
+};
@@ -0,0 +1,138 @@
+// Backups das coleções: cada backup é uma pasta com a data e a hora no nome
+// (ex.: backups/2026-10-19T10-56-15-319Z) com um arquivo JSON por coleção e o
+// manifesto.json (quando, por quê, quem pediu e quantos registros de cada coleção).
+//
+// Os backups são lidos e gravados pela mesma interface de coleções do servidor, então
+// valem para os dois backends (JSON e SQLite). O manifesto é gravado por último: uma
+// pasta sem ele é um backup interrompido e não aparece na lista nem pode ser restaurada.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Intervalo entre os backups automáticos (0 desliga) e por quantos dias os backups são mantidos
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVALO_HORAS !== undefined
+    ? Number(process.env.BACKUP_INTERVALO_HORAS)
+    : 24;
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENCAO_DIAS) || 14;
+
+const MANIFEST_FILE = 'manifesto.json';
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// 2026-10-19T10:56:15.319Z -> 2026-10-19T10-56-15-319Z (nome de pasta válido em qualquer sistema)
+function backupName(data) {
+    return data.toISOString().replace(/[:.]/g, '-');
+}
+
+function isBackupName(nome) {
+    return /^\d{4}-\d{2}-\d{2}T[\d-]+Z$/.test(String(nome || ''));
+}
+
+// `colecoes` é um objeto { nome: coleção } (o `db` do servidor); `info` traz motivo e usuario
+async function createBackup(colecoes, dir, info = {}) {
+    const criadoEm = new Date();
+    const nome = backupName(criadoEm);
+    const destino = path.join(dir, nome);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.mkdir(destino);
+
+    const contagem = {};
+    for (const [colecao, store] of Object.entries(colecoes)) {
+        const registros = await store.all();
+        await fs.writeFile(path.join(destino, `${colecao}.json`), JSON.stringify(registros, null, 2));
+        contagem[colecao] = registros.length;
+    }
+
+    const manifesto = {
+        nome,
+        criadoEm: criadoEm.toISOString(),
+        motivo: info.motivo || 'manual',
+        criadoPor: info.usuario || null,
+        colecoes: contagem
+    };
+    await fs.writeFile(path.join(destino, MANIFEST_FILE), JSON.stringify(manifesto, null, 2));
+    return manifesto;
+}
+
+async function readManifest(dir, nome) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, nome, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Backups completos, do mais recente ao mais antigo
+async function listBackups(dir) {
+    let nomes;
+    try {
+        nomes = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const nome of nomes.filter(isBackupName)) {
+        const manifesto = await readManifest(dir, nome);
+        if (manifesto) backups.push(manifesto);
+    }
+    return backups.sort((a, b) => b.nome.localeCompare(a.nome));
+}
+
+// O backup mais recente, se tiver sido feito há menos de `horas`; senão null
+async function recentBackup(dir, horas) {
+    const [ultimo] = await listBackups(dir);
+    if (!ultimo || Date.now() - new Date(ultimo.criadoEm).getTime() >= horas * MS_PER_HOUR) return null;
+    return ultimo;
+}
+
+// Apaga os backups com mais de `dias` dias, mantendo sempre o mais recente; retorna os
+// nomes apagados. Pela idade, reinícios seguidos do servidor não tiram da pasta os
+// backups dos dias anteriores.
+async function pruneBackups(dir, dias = BACKUP_RETENTION_DAYS) {
+    const limite = Date.now() - dias * 24 * MS_PER_HOUR;
+    const antigos = (await listBackups(dir)).slice(1).filter(b => new Date(b.criadoEm).getTime() < limite);
+    for (const backup of antigos) {
+        await fs.rm(path.join(dir, backup.nome), { recursive: true, force: true });
+    }
+    return antigos.map(b => b.nome);
+}
+
+// Substitui o conteúdo das coleções pelo do backup. Todos os arquivos são lidos e
+// conferidos antes da primeira gravação, para um backup danificado não deixar a
+// restauração pela metade. Coleções que não estão no backup ficam como estão.
+async function restoreBackup(colecoes, dir, nome) {
+    const manifesto = isBackupName(nome) ? await readManifest(dir, nome) : null;
+    if (!manifesto) {
+        throw new Error(`Backup não encontrado: ${nome}`);
+    }
+
+    const conteudo = {};
+    for (const colecao of Object.keys(manifesto.colecoes)) {
+        if (!colecoes[colecao]) continue;
+        const registros = JSON.parse(await fs.readFile(path.join(dir, nome, `${colecao}.json`), 'utf8'));
+        if (!Array.isArray(registros)) {
+            throw new Error(`${colecao}.json do backup ${nome} não contém uma lista de registros`);
+        }
+        conteudo[colecao] = registros;
+    }
+
+    for (const [colecao, registros] of Object.entries(conteudo)) {
+        await colecoes[colecao].update(atuais => {
+            atuais.splice(0, atuais.length, ...registros);
+            return true;
+        });
+    }
+    return manifesto;
+}
+
+module.exports = {
+    BACKUP_INTERVAL_HOURS,
+    BACKUP_RETENTION_DAYS,
+    isBackupName,
+    createBackup,
+    listBackups,
+    recentBackup,
+    pruneBackups,
+    restoreBackup
+};
@@ -0,0 +1,29 @@
+const path = require('path');
+
+// Configuração do servidor, lida do ambiente na inicialização.
+//
+// Só a pasta public/ é servida ao navegador; os dados (arquivos JSON ou o banco
+// SQLite) e os backups ficam em DATA_DIR, fora do alcance de quem acessa o site.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'));
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups'));
+
+// Outros endereços que podem chamar a API (separados por vírgula; * libera todos).
+// Sem nenhum, só a interface servida pelo próprio servidor acessa a API.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origem => origem.trim())
+    .filter(Boolean);
+
+module.exports = {
+    ROOT_DIR,
+    PUBLIC_DIR,
+    PORT,
+    DATA_DIR,
+    BACKUP_DIR,
+    CORS_ORIGINS
+};
@@ -0,0 +1,200 @@
+// Diretório de usuários (coleção contas): todas as contas de acesso em um só lugar.
+//
+// Cada conta tem um tipo: 'equipe' (veterinários e funcionários, com cargo, contato e
+// CRMV) ou 'tutor' (acesso ao portal, ligada ao cadastro do tutor por `tutorId`). O
+// login é único entre todos os tipos. Contas da equipe não são excluídas, só
+// desativadas, para que auditoria, prescrições e documentos continuem apontando para
+// quem os registrou.
+//
+// Antes desse diretório os logins ficavam em medicos.json, usuarios.json e
+// funcionarios.json; importLegacyAccount faz a migração.
+
+const crypto = require('crypto');
+const { normalizeCPF } = require('./validacao');
+
+const ACCOUNT_STAFF = 'equipe';
+const ACCOUNT_TUTOR = 'tutor';
+
+// Política de cargos: para quais cargos cada cargo pode mudar (sempre por um gestor).
+// Medico vet, Recepção e Internação não mudam de cargo.
+const ROLE_TRANSITIONS = {
+    'Estagiario': ['Vet junior'],
+    'Vet junior': ['Medico vet'],
+    'Medico vet': [],
+    'Recepção': [],
+    'Internação': []
+};
+
+// Cargos que não podem ter CRMV
+const ROLES_WITHOUT_CRMV = ['Estagiario'];
+
+const MANAGER_ROLE = 'Medico vet';
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// Login como é comparado: sem espaços nas pontas e sem diferença de maiúsculas. O CPF
+// do tutor vale com ou sem pontuação (123.456.789-00 ou 12345678900).
+function loginKey(login) {
+    const texto = String(login || '').trim().toLowerCase();
+    return /^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/.test(texto) ? normalizeCPF(texto) : texto;
+}
+
+function sameLogin(a, b) {
+    return loginKey(a) === loginKey(b);
+}
+
+// Cargos possíveis para quem está em `from`, incluindo o próprio
+function allowedRoles(from) {
+    return [from, ...(ROLE_TRANSITIONS[from] || [])];
+}
+
+// Retorna a mensagem de erro ou null
+function validateRoleChange(from, to) {
+    if (from === to) return null;
+    if (from === MANAGER_ROLE) return 'Usuário Veterinário não pode ser alterado.';
+    if (from === 'Recepção' || from === 'Internação') {
+        return 'Funcionários de Recepção ou Internação não podem alterar o cargo.';
+    }
+    if (!allowedRoles(from).includes(to)) {
+        const destinos = ROLE_TRANSITIONS[from] || [];
+        return `${from} só pode mudar para ${destinos.join(' ou ')}.`;
+    }
+    return null;
+}
+
+function findByLogin(contas, login) {
+    return contas.find(c => sameLogin(c.login, login));
+}
+
+// Confere login (único entre todos os tipos) e CRMV da conta; retorna a mensagem de erro ou null
+function validateAccount(contas, dados, atual) {
+    if (dados.login !== undefined && contas.some(c => c !== atual && sameLogin(c.login, dados.login))) {
+        return 'Login já cadastrado!';
+    }
+
+    const role = dados.role !== undefined ? dados.role : atual && atual.role;
+    const crmv = dados.crmv !== undefined ? dados.crmv : atual && atual.crmv;
+    if (crmv && ROLES_WITHOUT_CRMV.includes(role)) {
+        return 'Estagiário não pode ter CRMV.';
+    }
+    if (dados.crmv && contas.some(c => c !== atual && c.tipo === ACCOUNT_STAFF && c.crmv === dados.crmv)) {
+        return 'CRMV já cadastrado!';
+    }
+    return null;
+}
+
+// `senha` já vem com hash
+function createAccount(contas, dados, senha) {
+    const agora = new Date().toISOString();
+    const conta = {
+        id: nextId(contas),
+        tipo: dados.tipo,
+        login: dados.login,
+        senha,
+        nome: dados.nome,
+        ativo: true,
+        dataCadastro: agora,
+        atualizadoEm: agora
+    };
+    if (dados.tipo === ACCOUNT_TUTOR) {
+        conta.tutorId = dados.tutorId;
+    } else {
+        Object.assign(conta, { role: dados.role, contato: dados.contato || '', crmv: dados.crmv || null });
+    }
+    contas.push(conta);
+    return conta;
+}
+
+function updateAccount(conta, dados) {
+    ['nome', 'login', 'contato', 'role', 'crmv', 'senha'].forEach(campo => {
+        if (dados[campo] !== undefined) conta[campo] = dados[campo];
+    });
+    // Quem define a própria senha deixa de usar a senha temporária
+    if (dados.senha !== undefined) delete conta.trocarSenha;
+    conta.atualizadoEm = new Date().toISOString();
+    return conta;
+}
+
+// Visão da conta para listas: sem a senha
+function accountView(conta) {
+    const { senha, ...dados } = conta;
+    return dados;
+}
+
+// Retorna a mensagem de erro ou null; `usuario` é quem pede a desativação (req.user)
+function validateDeactivation(contas, conta, usuario) {
+    if (!conta) return 'Conta não encontrada';
+    if (conta.ativo === false) return 'A conta já está desativada.';
+    if (conta.tipo === ACCOUNT_STAFF && conta.role === MANAGER_ROLE) {
+        if (conta.id == usuario.sub) return 'Não é possível desativar a própria conta de Veterinário.';
+        const gestores = contas.filter(c => c.tipo === ACCOUNT_STAFF && c.role === MANAGER_ROLE && c.ativo !== false);
+        if (gestores.length <= 1) return 'É preciso manter ao menos um Medico vet ativo.';
+    }
+    return null;
+}
+
+function deactivateAccount(conta, usuario) {
+    const agora = new Date().toISOString();
+    Object.assign(conta, { ativo: false, desativadoEm: agora, desativadoPor: usuario.login, atualizadoEm: agora });
+    return conta;
+}
+
+function reactivateAccount(conta) {
+    conta.ativo = true;
+    delete conta.desativadoEm;
+    delete conta.desativadoPor;
+    conta.atualizadoEm = new Date().toISOString();
+    return conta;
+}
+
+// Senha temporária de uma redefinição: mostrada uma vez ao gestor e trocada no próximo acesso
+function temporaryPassword() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+// Migração: conta de medicos.json, usuarios.json (tutores) ou funcionarios.json.
+// Retorna a conta criada ou null se o login já existir no diretório.
+function importLegacyAccount(contas, origem, legado) {
+    if (contas.some(c => sameLogin(c.login, legado.login))) return null;
+
+    const dados = origem === 'usuarios'
+        ? { tipo: ACCOUNT_TUTOR, login: legado.login, nome: legado.nome, tutorId: legado.id }
+        : {
+            tipo: ACCOUNT_STAFF,
+            login: legado.login,
+            nome: legado.nome,
+            role: origem === 'medicos' ? MANAGER_ROLE : legado.role,
+            contato: legado.contato,
+            crmv: legado.crmv
+        };
+    const conta = createAccount(contas, dados, legado.senha);
+
+    // Funcionários mantêm o id antigo; o dataCadastro é o do cadastro original
+    if (origem === 'funcionarios' && legado.id && !contas.some(c => c !== conta && c.id === legado.id)) {
+        conta.id = legado.id;
+    }
+    if (legado.dataCadastro) conta.dataCadastro = legado.dataCadastro;
+    return conta;
+}
+
+module.exports = {
+    ACCOUNT_STAFF,
+    ACCOUNT_TUTOR,
+    ROLE_TRANSITIONS,
+    ROLES_WITHOUT_CRMV,
+    allowedRoles,
+    validateRoleChange,
+    findByLogin,
+    validateAccount,
+    createAccount,
+    updateAccount,
+    accountView,
+    validateDeactivation,
+    deactivateAccount,
+    reactivateAccount,
+    temporaryPassword,
+    importLegacyAccount
+};
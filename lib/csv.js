@@ -0,0 +1,118 @@
+// Leitura e escrita de CSV para planilhas.
+//
+// As planilhas exportadas usam ponto e vírgula (o separador que o Excel em português
+// espera, já que a vírgula é o separador decimal) e começam com o BOM do UTF-8 para os
+// acentos aparecerem certos. Na leitura, o separador (ponto e vírgula ou vírgula) é
+// descoberto pela linha de cabeçalho.
+
+const SEPARATOR = ';';
+const BOM = '\uFEFF';
+
+// Texto que a planilha leria como fórmula (=, +, - ou @ no início) sai com um apóstrofo
+// na frente; parseCsv tira o apóstrofo de volta
+const FORMULA_START = /^[=+\-@]/;
+
+function escapeCell(valor, separador) {
+    if (valor === undefined || valor === null) return '';
+    let texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+    if (typeof valor !== 'number' && FORMULA_START.test(texto)) texto = `'${texto}`;
+    if (texto.includes(separador) || texto.includes('"') || /[\r\n]/.test(texto)) {
+        return `"${texto.replace(/"/g, '""')}"`;
+    }
+    return texto;
+}
+
+// `linhas` são objetos; `colunas` define a ordem e quais campos saem.
+// Objetos e listas vão como JSON na célula.
+function toCsv(colunas, linhas, separador = SEPARATOR) {
+    const corpo = [colunas, ...linhas.map(linha => colunas.map(coluna => linha[coluna]))]
+        .map(celulas => celulas.map(c => escapeCell(c, separador)).join(separador))
+        .join('\r\n');
+    return `${BOM}${corpo}\r\n`;
+}
+
+// Colunas de uma lista de registros, na ordem em que aparecem
+function columnsOf(registros) {
+    const colunas = new Set();
+    registros.forEach(registro => Object.keys(registro).forEach(chave => colunas.add(chave)));
+    return [...colunas];
+}
+
+// Divide o texto em linhas de células, respeitando aspas (que podem conter o
+// separador, aspas dobradas e quebras de linha). Cada linha é { numero, celulas }, com
+// o número da linha do arquivo em que ela começa: uma célula com quebra de linha ocupa
+// mais de uma linha do arquivo.
+function splitRows(texto, separador) {
+    const linhas = [];
+    let linha = [];
+    let celula = '';
+    let aspas = false;
+    let numero = 1;
+    let inicio = 1;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (aspas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                celula += '"';
+                i++;
+            } else if (c === '"') {
+                aspas = false;
+            } else {
+                if (c === '\n' || (c === '\r' && texto[i + 1] !== '\n')) numero++;
+                celula += c;
+            }
+        } else if (c === '"') {
+            aspas = true;
+        } else if (c === separador) {
+            linha.push(celula);
+            celula = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            linha.push(celula);
+            linhas.push({ numero: inicio, celulas: linha });
+            linha = [];
+            celula = '';
+            inicio = ++numero;
+        } else {
+            celula += c;
+        }
+    }
+    if (celula !== '' || linha.length) {
+        linha.push(celula);
+        linhas.push({ numero: inicio, celulas: linha });
+    }
+    return linhas;
+}
+
+function unescapeCell(celula) {
+    return celula.startsWith("'") && FORMULA_START.test(celula.slice(1)) ? celula.slice(1) : celula;
+}
+
+// Retorna { colunas, linhas }: cada linha é { numero, valores } com o número da linha
+// no arquivo (o cabeçalho é a linha 1). Linhas em branco são ignoradas.
+function parseCsv(texto) {
+    const conteudo = String(texto || '').replace(/^\uFEFF/, '');
+    const cabecalho = conteudo.split(/\r?\n/, 1)[0];
+    const separador = cabecalho.includes(';') ? ';' : ',';
+
+    const [cabecalhoLido = { celulas: [] }, ...resto] = splitRows(conteudo, separador);
+    const nomes = cabecalhoLido.celulas.map(c => c.trim());
+    const linhas = [];
+    resto.forEach(({ numero, celulas }) => {
+        if (celulas.every(c => c.trim() === '')) return;
+        const valores = {};
+        nomes.forEach((coluna, j) => {
+            if (coluna) valores[coluna] = celulas[j] !== undefined ? unescapeCell(celulas[j]) : '';
+        });
+        linhas.push({ numero, valores });
+    });
+    return { colunas: nomes, linhas };
+}
+
+module.exports = {
+    SEPARATOR,
+    toCsv,
+    columnsOf,
+    parseCsv
+};
@@ -0,0 +1,382 @@
+// Documentos clínicos em PDF para imprimir ou entregar ao tutor: ficha de anamnese,
+// receituário, carteira de vacinação e solicitação de exames; e o recibo das faturas.
+//
+// Todos saem com o cabeçalho da clínica, a data de emissão e os dados do paciente e
+// do tutor, e terminam com a assinatura de quem emitiu (nome e CRMV, quando houver).
+
+const PDFDocument = require('pdfkit');
+const { VET_ROLES, CLINICAL_ROLES, STAFF_ROLES } = require('./auth');
+const { STATUS_SOLICITADO, STATUS_COLETADO } = require('./exames');
+const { STATUS_ATIVA } = require('./prescricoes');
+const { OPTION_LABELS, ANAMNESE_SECTIONS } = require('./anamneses');
+
+const CLINIC_NAME = 'Bichinho Feliz';
+const CLINIC_SUBTITLE = 'Clínica Veterinária';
+
+// Tipos de documento e quem pode emiti-los. O receituário só pode ser assinado por veterinário.
+const DOCUMENT_TYPES = {
+    anamnese: { titulo: 'Ficha de Anamnese', roles: CLINICAL_ROLES },
+    receituario: { titulo: 'Receituário', roles: VET_ROLES },
+    vacinacao: { titulo: 'Carteira de Vacinação', roles: STAFF_ROLES },
+    'solicitacao-exames': { titulo: 'Solicitação de Exames', roles: CLINICAL_ROLES }
+};
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+// AAAA-MM-DD (ou ISO completo) -> DD/MM/AAAA
+function formatDay(value) {
+    if (!value) return '';
+    const [ano, mes, dia] = String(value).split('T')[0].split('-');
+    return dia ? `${dia}/${mes}/${ano}` : String(value);
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.map(v => OPTION_LABELS[v] || v).join(', ');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return formatDay(value);
+    // Várias opções marcadas (apetite, mucosas, sinais dos sistemas) vêm separadas por vírgula
+    const opcoes = String(value).split(', ');
+    if (opcoes.length > 1 && opcoes.every(v => OPTION_LABELS[v])) {
+        return opcoes.map(v => OPTION_LABELS[v]).join(', ');
+    }
+    return OPTION_LABELS[value] || String(value);
+}
+
+// Texto sem acentos, para o nome do arquivo
+function slug(text) {
+    return String(text || 'pet').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pet';
+}
+
+function fileName(tipo, pet, emitidoEm) {
+    return `${tipo}-${slug(pet.nome)}-${emitidoEm.toISOString().split('T')[0]}.pdf`;
+}
+
+function pendingExams(pet, exameIds) {
+    const lista = (pet.exames && pet.exames.lista) || [];
+    if (exameIds && exameIds.length) {
+        return lista.filter(e => exameIds.includes(String(e.id)));
+    }
+    return lista.filter(e => e.status === STATUS_SOLICITADO || e.status === STATUS_COLETADO);
+}
+
+// Confere se o documento pode ser emitido; retorna a mensagem de erro ou null
+function validateDocument(tipo, pet, opcoes) {
+    if (!DOCUMENT_TYPES[tipo]) {
+        return `Documento inválido. Use: ${Object.keys(DOCUMENT_TYPES).join(', ')}.`;
+    }
+    const anamnese = pet.anamnese || {};
+    if (tipo === 'anamnese' && !ANAMNESE_SECTIONS.some(s => s.campos.some(([campo]) => !isBlank(anamnese[campo])))) {
+        return 'O pet ainda não tem anamnese registrada.';
+    }
+    if (tipo === 'receituario') {
+        if (opcoes.prescricao) {
+            if (opcoes.prescricao.status !== STATUS_ATIVA) {
+                return `Só prescrições ativas vão para o receituário (esta está ${opcoes.prescricao.status}).`;
+            }
+            if (!opcoes.profissional.crmv) {
+                return 'Quem assinou a prescrição não tem CRMV cadastrado; o receituário não pode ser emitido.';
+            }
+            return null;
+        }
+        if (!opcoes.profissional.crmv) {
+            return 'Seu cadastro não tem CRMV; o receituário não pode ser assinado.';
+        }
+        if (isBlank(anamnese.tratamento)) {
+            return 'Registre o tratamento na anamnese antes de emitir o receituário.';
+        }
+    }
+    if (tipo === 'solicitacao-exames' && pendingExams(pet, opcoes.exameIds).length === 0) {
+        return 'Não há exames solicitados para este pet.';
+    }
+    return null;
+}
+
+// Layout
+
+const MARGIN = 50;
+
+function ensureSpace(doc, altura) {
+    if (doc.y + altura > doc.page.height - MARGIN) doc.addPage();
+}
+
+function drawRule(doc) {
+    doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(0.5).stroke('#999999');
+    doc.moveDown(0.5);
+}
+
+function drawHeader(doc, titulo, emitidoEm) {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#000000').text(CLINIC_NAME, MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(CLINIC_SUBTITLE);
+    doc.text(`Emitido em ${emitidoEm.toLocaleDateString('pt-BR')} às ${emitidoEm.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`,
+        MARGIN, MARGIN + 4, { align: 'right' });
+    doc.moveDown(2);
+    drawRule(doc);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text(titulo, { align: 'center' });
+    doc.moveDown(0.8);
+}
+
+function drawField(doc, rotulo, valor) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(`${rotulo}: `, { continued: true });
+    doc.font('Helvetica').text(isBlank(valor) ? '-' : formatValue(valor));
+}
+
+function drawSectionTitle(doc, titulo) {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#1f4e79').text(titulo.toUpperCase());
+    doc.fillColor('#000000').moveDown(0.2);
+}
+
+function drawPatient(doc, pet) {
+    drawSectionTitle(doc, 'Paciente');
+    drawField(doc, 'Nome', pet.nome);
+    drawField(doc, 'Espécie / raça', [pet.especie, pet.raca].filter(Boolean).join(' / '));
+    drawField(doc, 'Sexo', pet.sexo);
+    drawField(doc, 'Idade', isBlank(pet.idade) ? '' : `${pet.idade} ano(s)`);
+    drawField(doc, 'Peso', isBlank(pet.peso) ? '' : `${pet.peso} kg`);
+
+    drawSectionTitle(doc, 'Tutor');
+    drawField(doc, 'Nome', pet.tutorNome);
+    drawField(doc, 'CPF', pet.tutorCpf);
+    drawField(doc, 'Telefone', pet.tutorTelefone);
+    if (!isBlank(pet.tutorEndereco)) drawField(doc, 'Endereço', pet.tutorEndereco);
+}
+
+function drawSignature(doc, profissional) {
+    ensureSpace(doc, 110);
+    doc.moveDown(4);
+    const largura = 260;
+    const x = (doc.page.width - largura) / 2;
+    doc.moveTo(x, doc.y).lineTo(x + largura, doc.y).lineWidth(0.5).stroke('#000000');
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(profissional.nome, x, doc.y, { width: largura, align: 'center' });
+    doc.font('Helvetica').text(profissional.crmv ? `CRMV ${profissional.crmv}` : profissional.role, { width: largura, align: 'center' });
+    doc.x = MARGIN;
+}
+
+// Tabela simples; as linhas quebram de página repetindo o cabeçalho
+function drawTable(doc, colunas, linhas) {
+    const larguraTotal = doc.page.width - 2 * MARGIN;
+    const larguras = colunas.map(c => c.largura * larguraTotal);
+
+    const drawRow = (valores, negrito) => {
+        doc.font(negrito ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+        const altura = Math.max(...valores.map((v, i) => doc.heightOfString(v || '-', { width: larguras[i] - 6 }))) + 6;
+        if (doc.y + altura > doc.page.height - MARGIN) {
+            doc.addPage();
+            if (!negrito) drawRow(colunas.map(c => c.titulo), true);
+        }
+        const y = doc.y;
+        let x = MARGIN;
+        valores.forEach((valor, i) => {
+            doc.text(valor || '-', x + 3, y + 3, { width: larguras[i] - 6 });
+            x += larguras[i];
+        });
+        doc.moveTo(MARGIN, y + altura).lineTo(MARGIN + larguraTotal, y + altura).lineWidth(0.5).stroke('#cccccc');
+        doc.x = MARGIN;
+        doc.y = y + altura;
+    };
+
+    drawRow(colunas.map(c => c.titulo), true);
+    linhas.forEach(linha => drawRow(linha, false));
+    doc.moveDown(0.5);
+}
+
+// Conteúdo de cada tipo
+
+function drawAnamnese(doc, pet) {
+    const anamnese = pet.anamnese || {};
+    if (anamnese.data) {
+        drawSectionTitle(doc, 'Anamnese');
+        drawField(doc, 'Registrada em', anamnese.data);
+    }
+
+    ANAMNESE_SECTIONS.forEach(secao => {
+        const preenchidos = secao.campos.filter(([campo]) => !isBlank(anamnese[campo]));
+        if (preenchidos.length === 0) return;
+        drawSectionTitle(doc, secao.titulo);
+        preenchidos.forEach(([campo, rotulo]) => {
+            ensureSpace(doc, 20);
+            drawField(doc, rotulo, anamnese[campo]);
+        });
+    });
+}
+
+function formatNumber(valor) {
+    return Number(valor).toLocaleString('pt-BR', { maximumFractionDigits: 3 });
+}
+
+// Receituário: itens da prescrição registrada ou, sem ela, o tratamento da anamnese
+function drawPrescription(doc, pet, prescricao) {
+    drawSectionTitle(doc, 'Uso veterinário');
+    if (!prescricao) {
+        doc.font('Helvetica').fontSize(11).fillColor('#000000').text(pet.anamnese.tratamento, { lineGap: 4 });
+        return;
+    }
+
+    drawField(doc, 'Peso considerado', `${formatNumber(prescricao.pesoKg)} kg`);
+    if (prescricao.consultaData) drawField(doc, 'Consulta', prescricao.consultaData);
+    doc.moveDown(0.5);
+
+    prescricao.itens.forEach((item, i) => {
+        ensureSpace(doc, 60);
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(`${i + 1}. ${item.medicamento} (via ${item.via.toLowerCase()})`);
+        doc.font('Helvetica').fontSize(10).text(
+            `${formatNumber(item.doseMgKg)} mg/kg: ${formatNumber(item.doseMg)} mg a cada ${item.frequenciaHoras} h, por ${item.duracaoDias} dia(s). ` +
+            `Total do tratamento: ${formatNumber(item.doseTotalMg)} mg em ${item.administracoes} administração(ões).`,
+            { indent: 14, lineGap: 2 }
+        );
+        if (item.instrucoes) doc.font('Helvetica-Oblique').text(item.instrucoes, { indent: 14 });
+        doc.moveDown(0.5);
+    });
+
+    if (prescricao.observacoes) {
+        drawSectionTitle(doc, 'Observações');
+        doc.font('Helvetica').fontSize(10).text(prescricao.observacoes);
+    }
+}
+
+function drawVaccinationCard(doc, pet) {
+    drawSectionTitle(doc, 'Doses aplicadas');
+    const doses = (pet.vacinas || []).slice()
+        .sort((a, b) => String(a.dataAplicacao || '').localeCompare(String(b.dataAplicacao || '')));
+    if (doses.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('Nenhuma dose registrada.');
+        return;
+    }
+    drawTable(doc, [
+        { titulo: 'Aplicação', largura: 0.14 },
+        { titulo: 'Vacina', largura: 0.26 },
+        { titulo: 'Lote / fabricante', largura: 0.22 },
+        { titulo: 'Veterinário', largura: 0.22 },
+        { titulo: 'Próxima dose', largura: 0.16 }
+    ], doses.map(dose => [
+        formatDay(dose.dataAplicacao),
+        dose.vacina,
+        [dose.lote, dose.fabricante].filter(Boolean).join(' / '),
+        dose.veterinario,
+        formatDay(dose.proximaDose)
+    ]));
+}
+
+function drawExamRequest(doc, pet, exameIds) {
+    const anamnese = pet.anamnese || {};
+    if (!isBlank(anamnese.suspeitaClinica)) {
+        drawSectionTitle(doc, 'Suspeita clínica');
+        doc.font('Helvetica').fontSize(10).fillColor('#000000').text(anamnese.suspeitaClinica);
+    }
+
+    drawSectionTitle(doc, 'Exames solicitados');
+    drawTable(doc, [
+        { titulo: 'Exame', largura: 0.3 },
+        { titulo: 'Descrição / material', largura: 0.4 },
+        { titulo: 'Solicitado em', largura: 0.15 },
+        { titulo: 'Solicitante', largura: 0.15 }
+    ], pendingExams(pet, exameIds).map(exame => [
+        exame.nome,
+        exame.descricao,
+        formatDay(exame.dataSolicitacao),
+        exame.solicitante
+    ]));
+}
+
+// Monta o PDF (ainda aberto: o chamador faz o pipe e chama doc.end()).
+// opcoes: { profissional: { nome, role, crmv }, emitidoEm, exameIds, prescricao }
+function buildDocument(tipo, pet, opcoes) {
+    const emitidoEm = opcoes.emitidoEm || new Date();
+    const { titulo } = DOCUMENT_TYPES[tipo];
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: `${titulo} - ${pet.nome}`, Author: CLINIC_NAME }
+    });
+
+    drawHeader(doc, titulo, emitidoEm);
+    drawPatient(doc, pet);
+
+    if (tipo === 'anamnese') drawAnamnese(doc, pet);
+    if (tipo === 'receituario') drawPrescription(doc, pet, opcoes.prescricao);
+    if (tipo === 'vacinacao') drawVaccinationCard(doc, pet);
+    if (tipo === 'solicitacao-exames') drawExamRequest(doc, pet, opcoes.exameIds);
+
+    drawSignature(doc, opcoes.profissional);
+    return doc;
+}
+
+function formatMoney(valor) {
+    return Number(valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+const INVOICE_STATUS_LABELS = { aberta: 'Em aberto', parcial: 'Paga parcialmente', paga: 'Paga', cancelada: 'Cancelada' };
+
+function receiptFileName(fatura, emitidoEm) {
+    return `recibo-fatura-${fatura.numero}-${emitidoEm.toISOString().split('T')[0]}.pdf`;
+}
+
+// Recibo de uma fatura: itens cobrados, pagamentos recebidos e saldo.
+// opcoes: { profissional: { nome, role, crmv }, emitidoEm }
+function buildReceipt(fatura, opcoes) {
+    const emitidoEm = opcoes.emitidoEm || new Date();
+    const titulo = `Recibo - Fatura nº ${fatura.numero}`;
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: titulo, Author: CLINIC_NAME }
+    });
+
+    drawHeader(doc, titulo, emitidoEm);
+    drawSectionTitle(doc, 'Fatura');
+    drawField(doc, 'Emitida em', formatDay(fatura.emitidoEm));
+    drawField(doc, 'Situação', INVOICE_STATUS_LABELS[fatura.status] || fatura.status);
+    drawField(doc, 'Tutor', fatura.tutorNome);
+    drawField(doc, 'CPF', fatura.tutorCpf);
+    drawField(doc, 'Paciente', fatura.petNome);
+
+    drawSectionTitle(doc, 'Itens');
+    drawTable(doc, [
+        { titulo: 'Data', largura: 0.15 },
+        { titulo: 'Descrição', largura: 0.45 },
+        { titulo: 'Qtd.', largura: 0.1 },
+        { titulo: 'Valor unit.', largura: 0.15 },
+        { titulo: 'Total', largura: 0.15 }
+    ], fatura.itens.map(item => [
+        formatDay(item.data),
+        item.descricao,
+        String(item.quantidade),
+        formatMoney(item.precoUnitario),
+        formatMoney(item.total)
+    ]));
+
+    drawField(doc, 'Subtotal', formatMoney(fatura.subtotal));
+    if (fatura.desconto) drawField(doc, 'Desconto', formatMoney(fatura.desconto));
+    drawField(doc, 'Total', formatMoney(fatura.total));
+
+    drawSectionTitle(doc, 'Pagamentos');
+    if (fatura.pagamentos.length) {
+        drawTable(doc, [
+            { titulo: 'Data', largura: 0.2 },
+            { titulo: 'Forma', largura: 0.3 },
+            { titulo: 'Recebido por', largura: 0.3 },
+            { titulo: 'Valor', largura: 0.2 }
+        ], fatura.pagamentos.map(p => [formatDay(p.recebidoEm), p.forma, p.recebidoPor, formatMoney(p.valor)]));
+    } else {
+        doc.font('Helvetica').fontSize(10).text('Nenhum pagamento registrado.');
+    }
+    drawField(doc, 'Total pago', formatMoney(fatura.pago));
+    drawField(doc, 'Saldo a pagar', formatMoney(fatura.saldo));
+
+    drawSignature(doc, opcoes.profissional);
+    return doc;
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    fileName,
+    validateDocument,
+    buildDocument,
+    receiptFileName,
+    buildReceipt
+};
@@ -0,0 +1,278 @@
+// Estoque de medicamentos, vacinas e insumos (coleção produtos).
+//
+// Cada produto guarda seus lotes (número, validade e quantidade em estoque) e o
+// histórico de movimentações: entrada de mercadoria, uso (vacina aplicada, medicamento
+// dispensado ou aplicado na internação) e perda (vencimento, quebra). O saldo
+// disponível de um produto é a soma dos lotes dentro da validade; lote vencido
+// não pode ser usado, só baixado como perda.
+
+const PRODUCT_CATEGORIES = ['medicamento', 'vacina', 'insumo'];
+
+const MOV_ENTRADA = 'entrada';
+const MOV_USO = 'uso';
+const MOV_PERDA = 'perda';
+const MOVEMENT_TYPES = [MOV_ENTRADA, MOV_USO, MOV_PERDA];
+
+// Lotes que vencem dentro desse prazo entram no relatório de validade
+const NEAR_EXPIRY_DAYS = Number(process.env.ESTOQUE_VALIDADE_DIAS) || 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// Quantidades com até três casas (ex.: 2.5 frascos, 0.25 comprimido)
+function round(valor) {
+    return Math.round(valor * 1000) / 1000;
+}
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function addDays(dia, dias) {
+    const data = new Date(`${dia}T00:00:00Z`);
+    data.setUTCDate(data.getUTCDate() + dias);
+    return data.toISOString().split('T')[0];
+}
+
+function isExpired(lote, hoje) {
+    return lote.validade < hoje;
+}
+
+function lotList(produto) {
+    if (!Array.isArray(produto.lotes)) produto.lotes = [];
+    return produto.lotes;
+}
+
+function movementList(produto) {
+    if (!Array.isArray(produto.movimentacoes)) produto.movimentacoes = [];
+    return produto.movimentacoes;
+}
+
+// Produtos
+
+// Confere o produto já validado pelo esquema; retorna a mensagem de erro ou null
+function validateProduct(produtos, dados, atual) {
+    const nome = dados.nome !== undefined ? dados.nome : atual && atual.nome;
+    const categoria = dados.categoria !== undefined ? dados.categoria : atual && atual.categoria;
+    const repetido = produtos.find(p =>
+        p !== atual && p.categoria === categoria && fold(p.nome) === fold(nome)
+    );
+    if (repetido) {
+        return `Já existe o produto "${repetido.nome}" na categoria ${categoria}.`;
+    }
+    return null;
+}
+
+function createProduct(produtos, dados, usuario) {
+    const agora = new Date().toISOString();
+    const produto = {
+        id: nextId(produtos),
+        nome: dados.nome,
+        categoria: dados.categoria,
+        unidade: dados.unidade || 'unidade',
+        estoqueMinimo: dados.estoqueMinimo || 0,
+        ativo: dados.ativo !== false,
+        lotes: [],
+        movimentacoes: [],
+        criadoPor: usuario.login,
+        criadoEm: agora,
+        atualizadoEm: agora
+    };
+    produtos.push(produto);
+    return produto;
+}
+
+function updateProduct(produto, dados, usuario) {
+    ['nome', 'categoria', 'unidade', 'estoqueMinimo', 'ativo'].forEach(campo => {
+        if (dados[campo] !== undefined && dados[campo] !== '') produto[campo] = dados[campo];
+    });
+    produto.atualizadoPor = usuario.login;
+    produto.atualizadoEm = new Date().toISOString();
+    return produto;
+}
+
+// Lotes com saldo e dentro da validade, do que vence primeiro ao último
+function availableLots(produto, hoje) {
+    return lotList(produto)
+        .filter(lote => lote.quantidade > 0 && !isExpired(lote, hoje))
+        .sort((a, b) => a.validade.localeCompare(b.validade));
+}
+
+function stockLevel(produto, hoje) {
+    return round(availableLots(produto, hoje).reduce((soma, lote) => soma + lote.quantidade, 0));
+}
+
+// Visão do produto para listas: saldo disponível, saldo vencido e próxima validade
+function productSummary(produto, hoje) {
+    const disponiveis = availableLots(produto, hoje);
+    const quantidade = stockLevel(produto, hoje);
+    const vencido = round(lotList(produto)
+        .filter(lote => lote.quantidade > 0 && isExpired(lote, hoje))
+        .reduce((soma, lote) => soma + lote.quantidade, 0));
+
+    return {
+        id: produto.id,
+        nome: produto.nome,
+        categoria: produto.categoria,
+        unidade: produto.unidade,
+        estoqueMinimo: produto.estoqueMinimo,
+        ativo: produto.ativo,
+        quantidade,
+        vencido,
+        proximaValidade: disponiveis.length ? disponiveis[0].validade : null,
+        abaixoDoMinimo: produto.ativo && quantidade < produto.estoqueMinimo,
+        lotes: disponiveis.map(({ id, numero, validade, fabricante, quantidade: saldo }) => ({
+            id, numero, validade, fabricante, quantidade: saldo
+        }))
+    };
+}
+
+// Movimentações
+
+function recordMovement(produto, lote, dados, usuario) {
+    const movimentacoes = movementList(produto);
+    const movimento = {
+        id: nextId(movimentacoes),
+        tipo: dados.tipo,
+        loteId: lote.id,
+        lote: lote.numero,
+        quantidade: dados.quantidade,
+        saldoLote: lote.quantidade,
+        motivo: dados.motivo || '',
+        referencia: dados.referencia || null,
+        registradoPor: usuario.login,
+        registradoEm: new Date().toISOString()
+    };
+    movimentacoes.push(movimento);
+    produto.atualizadoEm = movimento.registradoEm;
+    return movimento;
+}
+
+// Entrada de mercadoria: o lote já cadastrado (mesmo número) recebe a quantidade
+function validateEntry(produto, dados, hoje) {
+    const existente = lotList(produto).find(l => fold(l.numero) === fold(dados.numero));
+    if (existente && existente.validade !== dados.validade) {
+        return `O lote ${existente.numero} já está cadastrado com validade ${existente.validade}.`;
+    }
+    if (dados.validade < hoje) {
+        return 'Não é possível dar entrada em um lote vencido.';
+    }
+    return null;
+}
+
+function registerEntry(produto, dados, usuario) {
+    const lotes = lotList(produto);
+    let lote = lotes.find(l => fold(l.numero) === fold(dados.numero));
+    if (!lote) {
+        lote = {
+            id: nextId(lotes),
+            numero: dados.numero,
+            validade: dados.validade,
+            fabricante: dados.fabricante || '',
+            quantidade: 0,
+            criadoEm: new Date().toISOString()
+        };
+        lotes.push(lote);
+    }
+    lote.quantidade = round(lote.quantidade + dados.quantidade);
+    const movimento = recordMovement(produto, lote, {
+        tipo: MOV_ENTRADA,
+        quantidade: dados.quantidade,
+        motivo: dados.motivo
+    }, usuario);
+    return { lote, movimento };
+}
+
+// Baixa de um lote (uso ou perda); retorna a mensagem de erro ou null
+function validateWithdrawal(produto, dados, hoje) {
+    const lote = lotList(produto).find(l => l.id == dados.loteId);
+    if (!lote) return 'Lote não encontrado.';
+    if (dados.tipo === MOV_USO) {
+        if (!produto.ativo) return `O produto ${produto.nome} está inativo.`;
+        if (isExpired(lote, hoje)) return `O lote ${lote.numero} venceu em ${lote.validade}.`;
+    }
+    if (dados.quantidade > lote.quantidade) {
+        return `Estoque insuficiente no lote ${lote.numero} (saldo: ${lote.quantidade} ${produto.unidade}).`;
+    }
+    return null;
+}
+
+function registerWithdrawal(produto, dados, usuario) {
+    const lote = lotList(produto).find(l => l.id == dados.loteId);
+    lote.quantidade = round(lote.quantidade - dados.quantidade);
+    const movimento = recordMovement(produto, lote, dados, usuario);
+    return { lote, movimento };
+}
+
+// Resumo da baixa gravado no registro que consumiu o estoque (dose, dispensação, aplicação)
+function withdrawalRecord(produto, lote, movimento) {
+    return {
+        produtoId: produto.id,
+        produto: produto.nome,
+        loteId: lote.id,
+        lote: lote.numero,
+        validade: lote.validade,
+        fabricante: lote.fabricante,
+        quantidade: movimento.quantidade,
+        movimentoId: movimento.id
+    };
+}
+
+// Relatórios
+
+function lowStockReport(produtos, hoje) {
+    return produtos
+        .filter(p => p.ativo)
+        .map(p => productSummary(p, hoje))
+        .filter(p => p.abaixoDoMinimo)
+        .map(({ lotes, ...p }) => ({ ...p, faltam: round(p.estoqueMinimo - p.quantidade) }))
+        .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+}
+
+// Lotes com saldo vencidos ou vencendo até `dias` a partir de hoje
+function expiryReport(produtos, hoje, dias = NEAR_EXPIRY_DAYS) {
+    const limite = addDays(hoje, dias);
+    const lotes = [];
+    produtos.forEach(produto => {
+        lotList(produto)
+            .filter(lote => lote.quantidade > 0 && lote.validade <= limite)
+            .forEach(lote => lotes.push({
+                produtoId: produto.id,
+                produto: produto.nome,
+                categoria: produto.categoria,
+                unidade: produto.unidade,
+                loteId: lote.id,
+                lote: lote.numero,
+                validade: lote.validade,
+                quantidade: lote.quantidade,
+                diasRestantes: Math.round((new Date(lote.validade) - new Date(hoje)) / MS_PER_DAY),
+                vencido: isExpired(lote, hoje)
+            }));
+    });
+    return lotes.sort((a, b) => a.validade.localeCompare(b.validade));
+}
+
+module.exports = {
+    PRODUCT_CATEGORIES,
+    MOV_ENTRADA,
+    MOV_USO,
+    MOV_PERDA,
+    MOVEMENT_TYPES,
+    NEAR_EXPIRY_DAYS,
+    validateProduct,
+    createProduct,
+    updateProduct,
+    availableLots,
+    productSummary,
+    validateEntry,
+    registerEntry,
+    validateWithdrawal,
+    registerWithdrawal,
+    withdrawalRecord,
+    lowStockReport,
+    expiryReport
+};
@@ -0,0 +1,86 @@
+// Atualizações em tempo real para as estações da equipe (Server-Sent Events).
+// Cada aba aberta do painel se conecta em GET /api/eventos e recebe as alterações de
+// pets feitas em qualquer estação: cadastro, alteração da ficha, tag, localização e
+// consultas. O navegador reconecta sozinho se a conexão cair.
+
+const PET_CRIADO = 'pet-criado';
+const PET_ATUALIZADO = 'pet-atualizado';
+const TAG_ALTERADA = 'tag-alterada';
+const LOCALIZACAO_ALTERADA = 'localizacao-alterada';
+const CONSULTA_SALVA = 'consulta-salva';
+
+// Campos do pet onde ficam as consultas (pet.consultas é o formato antigo)
+const CONSULTATION_FIELDS = ['consultas', 'consultasPassadas', 'consultasFuturas'];
+
+// Comentário enviado periodicamente para proxies não encerrarem a conexão ociosa
+const KEEPALIVE_MS = 25 * 1000;
+
+function author(usuario) {
+    return usuario ? { login: usuario.login, nome: usuario.nome || usuario.login } : null;
+}
+
+function createEventHub() {
+    const clientes = new Set();
+    let proximoId = 1;
+
+    // Mantém a resposta aberta até o navegador desconectar ou a sessão expirar
+    function subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 5000\n\n');
+
+        const cliente = { res, usuario: req.user };
+        clientes.add(cliente);
+
+        const keepalive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_MS);
+        const expiracao = setTimeout(() => res.end(), Math.max(0, req.user.exp - Date.now()));
+        req.on('close', () => {
+            clearInterval(keepalive);
+            clearTimeout(expiracao);
+            clientes.delete(cliente);
+        });
+    }
+
+    function publish(tipo, dados) {
+        const evento = { id: proximoId++, tipo, em: new Date().toISOString(), ...dados };
+        const mensagem = `id: ${evento.id}\nevent: ${tipo}\ndata: ${JSON.stringify(evento)}\n\n`;
+        clientes.forEach(cliente => cliente.res.write(mensagem));
+        return evento;
+    }
+
+    return { subscribe, publish, size: () => clientes.size };
+}
+
+// Eventos de uma alteração já gravada, a partir da diferença registrada na auditoria
+function petChangeEvents(pet, alteracoes, usuario) {
+    const base = { petId: pet.id, petNome: pet.nome, usuario: author(usuario) };
+    const campos = [...new Set(alteracoes.map(a => a.campo.split('.')[0]))];
+    const eventos = [[PET_ATUALIZADO, { ...base, campos }]];
+
+    alteracoes.forEach(({ campo, antes, depois }) => {
+        if (campo === 'tag') eventos.push([TAG_ALTERADA, { ...base, de: antes, para: depois }]);
+        if (campo === 'localizacao') eventos.push([LOCALIZACAO_ALTERADA, { ...base, de: antes, para: depois }]);
+    });
+    if (campos.some(campo => CONSULTATION_FIELDS.includes(campo))) {
+        eventos.push([CONSULTA_SALVA, base]);
+    }
+    return eventos;
+}
+
+function petCreatedEvent(pet, usuario) {
+    return [PET_CRIADO, { petId: pet.id, petNome: pet.nome, usuario: author(usuario) }];
+}
+
+module.exports = {
+    PET_CRIADO,
+    PET_ATUALIZADO,
+    TAG_ALTERADA,
+    LOCALIZACAO_ALTERADA,
+    CONSULTA_SALVA,
+    createEventHub,
+    petChangeEvents,
+    petCreatedEvent
+};
@@ -0,0 +1,198 @@
+// Exames de um pet: cada exame é um registro próprio em pet.exames.lista,
+// com id, status, solicitante e datas, em vez dos antigos arrays
+// examesSolicitados/resultadosExames regravados a cada salvamento.
+
+const STATUS_SOLICITADO = 'solicitado';
+const STATUS_COLETADO = 'coletado';
+const STATUS_RESULTADO = 'resultado disponível';
+
+// Ordem do fluxo: um exame só avança de status
+const EXAM_STATUS = [STATUS_SOLICITADO, STATUS_COLETADO, STATUS_RESULTADO];
+
+// Campos de data preenchidos automaticamente quando o exame chega a cada status
+const STATUS_DATE_FIELD = {
+    [STATUS_SOLICITADO]: 'dataSolicitacao',
+    [STATUS_COLETADO]: 'dataColeta',
+    [STATUS_RESULTADO]: 'dataResultado'
+};
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// Ids numéricos como os dos pets, garantindo unicidade dentro da lista
+function nextExamId(lista) {
+    const maior = lista.reduce((max, exame) => Math.max(max, Number(exame.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function examList(pet) {
+    if (!pet.exames) pet.exames = {};
+    if (!Array.isArray(pet.exames.lista)) pet.exames.lista = [];
+    return pet.exames.lista;
+}
+
+// Converte os formatos antigos (pet.examesSolicitados, pet.exames.examesSolicitados,
+// pet.exames.solicitados e os respectivos resultados) para pet.exames.lista.
+// Retorna true se o pet foi alterado.
+function migrateLegacyExams(pet) {
+    const exames = pet.exames || {};
+    const solicitados = [
+        ...(pet.examesSolicitados || []),
+        ...(exames.examesSolicitados || []),
+        ...(exames.solicitados || [])
+    ];
+    const resultados = [
+        ...(pet.resultadosExames || []),
+        ...(exames.resultadosExames || []),
+        ...(exames.resultados || [])
+    ];
+    const legacyKeys = ['examesSolicitados', 'resultadosExames'];
+    const hasLegacy = legacyKeys.some(k => k in pet) ||
+        [...legacyKeys, 'solicitados', 'resultados'].some(k => k in exames);
+    if (!hasLegacy) return false;
+
+    const lista = examList(pet);
+    const agora = new Date().toISOString();
+
+    solicitados.forEach(antigo => {
+        lista.push({
+            id: nextExamId(lista),
+            nome: antigo.nome || antigo.tipo || '',
+            descricao: antigo.descricao || '',
+            status: STATUS_SOLICITADO,
+            solicitante: antigo.solicitante || antigo.veterinario || '',
+            dataSolicitacao: antigo.dataSolicitacao || antigo.data || null,
+            criadoEm: agora,
+            atualizadoEm: agora
+        });
+    });
+
+    resultados.forEach(antigo => {
+        lista.push({
+            id: nextExamId(lista),
+            nome: antigo.exame || antigo.nome || '',
+            descricao: '',
+            status: STATUS_RESULTADO,
+            solicitante: antigo.solicitante || '',
+            resultado: antigo.resultado || '',
+            dataResultado: antigo.data || null,
+            criadoEm: agora,
+            atualizadoEm: agora
+        });
+    });
+
+    delete pet.examesSolicitados;
+    delete pet.resultadosExames;
+    delete pet.exames.examesSolicitados;
+    delete pet.exames.resultadosExames;
+    delete pet.exames.solicitados;
+    delete pet.exames.resultados;
+    delete pet.exames.dataExames;
+    return true;
+}
+
+// Valida os dados enviados para criar/alterar um exame; retorna a mensagem de erro ou null
+function validateExam(data, current) {
+    const nome = data.nome !== undefined ? data.nome : current && current.nome;
+    if (!nome || !String(nome).trim()) {
+        return 'Informe o nome do exame.';
+    }
+
+    if (data.status !== undefined && !EXAM_STATUS.includes(data.status)) {
+        return `Status inválido. Use: ${EXAM_STATUS.join(', ')}.`;
+    }
+
+    if (current && data.status && EXAM_STATUS.indexOf(data.status) < EXAM_STATUS.indexOf(current.status)) {
+        return `O exame já está como "${current.status}" e não pode voltar para "${data.status}".`;
+    }
+
+    const status = data.status || (current && current.status) || STATUS_SOLICITADO;
+    const resultado = data.resultado !== undefined ? data.resultado : current && current.resultado;
+    if (status === STATUS_RESULTADO && (!resultado || !String(resultado).trim())) {
+        return 'Informe o resultado do exame.';
+    }
+
+    return null;
+}
+
+// Preenche as datas de cada etapa já alcançada que ainda estejam vazias
+function fillStatusDates(exame) {
+    const alcancado = EXAM_STATUS.indexOf(exame.status);
+    EXAM_STATUS.slice(0, alcancado + 1).forEach(status => {
+        const campo = STATUS_DATE_FIELD[status];
+        if (!exame[campo]) exame[campo] = today();
+    });
+}
+
+// Confere se o resultado pode ser liberado para o tutor; retorna a mensagem de erro ou null
+function validateRelease(exame) {
+    if (exame.status !== STATUS_RESULTADO) {
+        return 'Só é possível liberar exames com resultado disponível.';
+    }
+    if (exame.liberadoEm) {
+        return 'O resultado já foi liberado para o tutor.';
+    }
+    return null;
+}
+
+// O tutor só vê no portal o resultado de exames liberados pelo veterinário
+function releaseExam(exame, usuario) {
+    exame.liberadoEm = new Date().toISOString();
+    exame.liberadoPor = usuario.login;
+    exame.atualizadoEm = exame.liberadoEm;
+    return exame;
+}
+
+function createExam(lista, data, usuario) {
+    const agora = new Date().toISOString();
+    const exame = {
+        id: nextExamId(lista),
+        nome: String(data.nome).trim(),
+        descricao: data.descricao || '',
+        status: data.status || (data.resultado ? STATUS_RESULTADO : STATUS_SOLICITADO),
+        solicitante: data.solicitante || usuario.login,
+        dataSolicitacao: data.dataSolicitacao || null,
+        dataColeta: data.dataColeta || null,
+        resultado: data.resultado || '',
+        dataResultado: data.dataResultado || null,
+        registradoPor: usuario.login,
+        criadoEm: agora,
+        atualizadoEm: agora
+    };
+    fillStatusDates(exame);
+    lista.push(exame);
+    return exame;
+}
+
+const EDITABLE_FIELDS = ['nome', 'descricao', 'status', 'solicitante', 'dataSolicitacao', 'dataColeta', 'resultado', 'dataResultado'];
+
+function updateExam(exame, data, usuario) {
+    EDITABLE_FIELDS.forEach(campo => {
+        if (data[campo] !== undefined) exame[campo] = data[campo];
+    });
+
+    // Registrar um resultado sem informar o status conclui o exame
+    if (data.resultado && data.status === undefined) {
+        exame.status = STATUS_RESULTADO;
+    }
+
+    fillStatusDates(exame);
+    exame.atualizadoPor = usuario.login;
+    exame.atualizadoEm = new Date().toISOString();
+    return exame;
+}
+
+module.exports = {
+    EXAM_STATUS,
+    STATUS_SOLICITADO,
+    STATUS_COLETADO,
+    STATUS_RESULTADO,
+    examList,
+    migrateLegacyExams,
+    validateExam,
+    validateRelease,
+    releaseExam,
+    createExam,
+    updateExam
+};
@@ -0,0 +1,181 @@
+// Exportação dos dados da clínica (todas as coleções ou a ficha de um paciente, em
+// JSON ou CSV) e importação de tutores e pets a partir de planilhas CSV.
+//
+// A importação é feita em dois passos: a planilha é conferida linha a linha e volta um
+// relatório com os erros e avisos de cada linha; só uma planilha sem erros é gravada.
+// Senhas (mesmo com hash) nunca saem numa exportação.
+
+const { validate, normalizeCPF, petSchema, tutorCadastroSchema } = require('./validacao');
+const { findByCpf, validateTutor } = require('./tutores');
+const { columnsOf } = require('./csv');
+
+const PRIVATE_FIELDS = ['senha'];
+
+// Colunas aceitas em cada tipo de importação (e usadas no modelo da planilha)
+const IMPORT_TYPES = {
+    tutores: { schema: tutorCadastroSchema, colunas: Object.keys(tutorCadastroSchema) },
+    pets: { schema: petSchema, colunas: Object.keys(petSchema) }
+};
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function slug(text) {
+    return fold(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pet';
+}
+
+function withoutPrivateFields(registro) {
+    const copia = { ...registro };
+    PRIVATE_FIELDS.forEach(campo => delete copia[campo]);
+    return copia;
+}
+
+function exportFileName(prefixo, extensao, data = new Date()) {
+    return `${prefixo}-${data.toISOString().split('T')[0]}.${extensao}`;
+}
+
+function patientFileName(pet, extensao) {
+    return exportFileName(`paciente-${slug(pet.nome)}`, extensao);
+}
+
+// Exportação
+
+// `colecoes` é um objeto { nome: registros }
+function datasetExport(colecoes) {
+    return {
+        exportadoEm: new Date().toISOString(),
+        colecoes: Object.fromEntries(Object.entries(colecoes).map(([nome, registros]) => [
+            nome,
+            registros.map(withoutPrivateFields)
+        ]))
+    };
+}
+
+// Uma coleção em colunas para a planilha; objetos e listas vão como JSON na célula
+function collectionTable(registros) {
+    const linhas = registros.map(withoutPrivateFields);
+    return { colunas: columnsOf(linhas), linhas };
+}
+
+// Ficha completa de um paciente: o pet e o que está ligado a ele nas outras coleções
+function patientRecord(pet, dados) {
+    const doPet = lista => lista.filter(item => item.petId == pet.id);
+    return {
+        exportadoEm: new Date().toISOString(),
+        pet,
+        tutor: dados.tutores.find(t => t.id === pet.tutorId) || null,
+        agendamentos: doPet(dados.agendamentos),
+        prescricoes: doPet(dados.prescricoes),
+        internacoes: doPet(dados.internacoes),
+        faturas: doPet(dados.faturas),
+        auditoria: doPet(dados.auditoria)
+    };
+}
+
+// Planilha da ficha: uma linha por valor, com o caminho do campo
+// (ex.: anamneses.0.ficha.queixaPrincipal)
+function flattenRecord(valor, caminho = '', linhas = []) {
+    const composto = valor !== null && typeof valor === 'object';
+    if (composto && Object.keys(valor).length) {
+        Object.entries(valor).forEach(([chave, item]) => {
+            flattenRecord(item, caminho ? `${caminho}.${chave}` : chave, linhas);
+        });
+    } else {
+        linhas.push({ campo: caminho, valor: composto ? '' : valor });
+    }
+    return linhas;
+}
+
+function patientTable(ficha) {
+    return { colunas: ['campo', 'valor'], linhas: flattenRecord(ficha) };
+}
+
+// Importação
+
+// Planilhas costumam vir com "cao" ou "FEMEA": valores de campos com opções são
+// trocados pela opção equivalente sem acentos e maiúsculas antes da validação
+function matchOptions(schema, valores) {
+    const ajustados = { ...valores };
+    Object.entries(schema).forEach(([campo, def]) => {
+        if (!def.opcoes || typeof ajustados[campo] !== 'string') return;
+        const opcao = def.opcoes.find(o => fold(o) === fold(ajustados[campo]));
+        if (opcao) ajustados[campo] = opcao;
+    });
+    return ajustados;
+}
+
+function addError(relatorio, linha, mensagem) {
+    let item = relatorio.erros.find(e => e.linha === linha);
+    if (!item) {
+        item = { linha, mensagens: [] };
+        relatorio.erros.push(item);
+    }
+    item.mensagens.push(mensagem);
+}
+
+// Confere a planilha (parseCsv) sem gravar nada. Retorna o relatório com as linhas
+// válidas em `registros` ({ linha, dados }), prontas para gravar.
+// `contexto` traz os cadastros atuais: { tutores, pets }.
+function checkImport(tipo, planilha, contexto) {
+    const { schema, colunas } = IMPORT_TYPES[tipo];
+    const relatorio = { tipo, total: planilha.linhas.length, validas: 0, erros: [], avisos: [], registros: [] };
+
+    // Cabeçalho: colunas desconhecidas ou obrigatórias ausentes invalidam a planilha toda
+    const desconhecidas = planilha.colunas.filter(c => c && !colunas.includes(c));
+    const ausentes = colunas.filter(c => schema[c].obrigatorio && !planilha.colunas.includes(c));
+    if (desconhecidas.length) addError(relatorio, 1, `Colunas desconhecidas: ${desconhecidas.join(', ')}. Use: ${colunas.join(', ')}.`);
+    if (ausentes.length) addError(relatorio, 1, `Colunas obrigatórias ausentes: ${ausentes.join(', ')}.`);
+    if (relatorio.erros.length) return relatorio;
+    if (!planilha.linhas.length) {
+        addError(relatorio, 1, 'A planilha não tem nenhuma linha de dados.');
+        return relatorio;
+    }
+
+    const cpfsNaPlanilha = {};
+    planilha.linhas.forEach(({ numero, valores }) => {
+        const { dados, erros } = validate(schema, matchOptions(schema, valores));
+        erros.forEach(e => addError(relatorio, numero, e.mensagem));
+        if (erros.length) return;
+
+        if (tipo === 'tutores') {
+            const erro = validateTutor(contexto.tutores, dados);
+            if (erro) addError(relatorio, numero, erro);
+            const repetida = cpfsNaPlanilha[dados.cpf];
+            if (repetida) addError(relatorio, numero, `CPF repetido na planilha (linha ${repetida}).`);
+            else cpfsNaPlanilha[dados.cpf] = numero;
+        } else {
+            const tutor = findByCpf(contexto.tutores, dados.tutorCpf);
+            if (tutor && fold(tutor.nome) !== fold(dados.tutorNome)) {
+                relatorio.avisos.push({
+                    linha: numero,
+                    mensagem: `O CPF ${dados.tutorCpf} é do tutor ${tutor.nome}: o pet será ligado a esse cadastro.`
+                });
+            }
+            const repetido = contexto.pets.find(p =>
+                normalizeCPF(p.tutorCpf) === dados.tutorCpf && fold(p.nome) === fold(dados.nome)
+            );
+            if (repetido) {
+                relatorio.avisos.push({ linha: numero, mensagem: `Este tutor já tem um pet chamado ${repetido.nome}.` });
+            }
+        }
+
+        if (!relatorio.erros.some(e => e.linha === numero)) {
+            relatorio.registros.push({ linha: numero, dados });
+        }
+    });
+
+    relatorio.validas = relatorio.registros.length;
+    return relatorio;
+}
+
+module.exports = {
+    IMPORT_TYPES,
+    exportFileName,
+    patientFileName,
+    datasetExport,
+    collectionTable,
+    patientRecord,
+    patientTable,
+    checkImport
+};
@@ -0,0 +1,348 @@
+// Faturamento: catálogo de serviços com preços (coleção servicos) e faturas por pet
+// (coleção faturas), ligadas ao tutor pelo CPF.
+//
+// O que foi registrado no prontuário vira cobrança pendente: consultas realizadas da
+// agenda, exames, vacinas aplicadas e cada dia de internação. Cada cobrança tem uma
+// origem única (ex.: "exame:<petId>:<exameId>") e sai da lista de pendentes quando entra
+// em uma fatura não cancelada. O preço vem do serviço do catálogo com o mesmo nome na
+// categoria ou, se não houver, do serviço marcado como padrão da categoria.
+
+const { STATUS_REALIZADA } = require('./agenda');
+
+const SERVICE_CATEGORIES = ['consulta', 'exame', 'vacina', 'internacao', 'outro'];
+const PAYMENT_METHODS = ['Dinheiro', 'Pix', 'Cartão de débito', 'Cartão de crédito', 'Transferência'];
+
+const STATUS_ABERTA = 'aberta';
+const STATUS_PARCIAL = 'parcial';
+const STATUS_PAGA = 'paga';
+const STATUS_CANCELADA = 'cancelada';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// Valores em reais com duas casas
+function round(valor) {
+    return Math.round(valor * 100) / 100;
+}
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+// Catálogo
+
+// Confere o serviço já validado pelo esquema; retorna a mensagem de erro ou null
+function validateService(servicos, dados, atual) {
+    const nome = dados.nome !== undefined ? dados.nome : atual && atual.nome;
+    const categoria = dados.categoria !== undefined ? dados.categoria : atual && atual.categoria;
+    const repetido = servicos.find(s =>
+        s !== atual && s.categoria === categoria && fold(s.nome) === fold(nome)
+    );
+    if (repetido) {
+        return `Já existe o serviço "${repetido.nome}" na categoria ${categoria}.`;
+    }
+    return null;
+}
+
+// Só um serviço padrão por categoria: marcar um desmarca os outros
+function applyDefault(servicos, servico) {
+    if (!servico.padrao) return;
+    servicos.forEach(s => {
+        if (s !== servico && s.categoria === servico.categoria) s.padrao = false;
+    });
+}
+
+function createService(servicos, dados, usuario) {
+    const agora = new Date().toISOString();
+    const servico = {
+        id: nextId(servicos),
+        nome: dados.nome,
+        categoria: dados.categoria,
+        preco: round(dados.preco),
+        padrao: !!dados.padrao,
+        ativo: dados.ativo !== false,
+        criadoPor: usuario.login,
+        criadoEm: agora,
+        atualizadoEm: agora
+    };
+    servicos.push(servico);
+    applyDefault(servicos, servico);
+    return servico;
+}
+
+function updateService(servicos, servico, dados, usuario) {
+    ['nome', 'categoria', 'padrao', 'ativo'].forEach(campo => {
+        if (dados[campo] !== undefined && dados[campo] !== '') servico[campo] = dados[campo];
+    });
+    if (dados.preco !== undefined && dados.preco !== '') servico.preco = round(dados.preco);
+    servico.atualizadoPor = usuario.login;
+    servico.atualizadoEm = new Date().toISOString();
+    applyDefault(servicos, servico);
+    return servico;
+}
+
+// Serviço ativo da categoria com o mesmo nome ou, na falta dele, o padrão da categoria
+function findService(servicos, categoria, nome) {
+    const ativos = servicos.filter(s => s.ativo && s.categoria === categoria);
+    return ativos.find(s => fold(s.nome) === fold(nome)) || ativos.find(s => s.padrao) || null;
+}
+
+// Cobranças pendentes
+
+function day(value) {
+    return value ? String(value).split('T')[0] : null;
+}
+
+// Dias de internação, da admissão até a alta (ou hoje), contando os dois extremos
+function admissionDays(internacao, hoje) {
+    const inicio = day(internacao.admitidoEm);
+    const fim = day(internacao.altaEm) || hoje;
+    const dias = [];
+    for (let t = new Date(inicio).getTime(); t <= new Date(fim).getTime(); t += MS_PER_DAY) {
+        dias.push(new Date(t).toISOString().split('T')[0]);
+    }
+    return dias;
+}
+
+// Origens já cobradas em faturas não canceladas
+function billedOrigins(faturas) {
+    const origens = new Set();
+    faturas
+        .filter(f => f.status !== STATUS_CANCELADA)
+        .forEach(f => f.itens.forEach(item => item.origem && origens.add(item.origem)));
+    return origens;
+}
+
+// Tudo o que foi registrado para o pet e ainda não está em uma fatura
+function pendingCharges(pet, { agendamentos, internacoes, faturas, servicos }, hoje) {
+    const cobrancas = [];
+    const incluir = (origem, categoria, nome, descricao, data) => {
+        const servico = findService(servicos, categoria, nome);
+        cobrancas.push({
+            origem,
+            categoria,
+            descricao,
+            data,
+            servicoId: servico ? servico.id : null,
+            quantidade: 1,
+            precoUnitario: servico ? servico.preco : null
+        });
+    };
+
+    agendamentos
+        .filter(a => a.petId == pet.id && a.status === STATUS_REALIZADA)
+        .forEach(a => incluir(`agendamento:${a.id}`, 'consulta', a.tipo, `${a.tipo} com ${a.vetNome}`, day(a.inicio)));
+
+    ((pet.exames && pet.exames.lista) || []).forEach(exame => {
+        incluir(`exame:${pet.id}:${exame.id}`, 'exame', exame.nome, `Exame: ${exame.nome}`, exame.dataSolicitacao || day(exame.criadoEm));
+    });
+
+    (pet.vacinas || []).forEach(dose => {
+        incluir(`vacina:${pet.id}:${dose.id}`, 'vacina', dose.vacina, `Vacina: ${dose.vacina}`, dose.dataAplicacao);
+    });
+
+    internacoes
+        .filter(i => i.petId == pet.id)
+        .forEach(internacao => {
+            admissionDays(internacao, hoje).forEach(dia => {
+                incluir(`internacao:${internacao.id}:${dia}`, 'internacao', 'Diária de internação',
+                    `Diária de internação (${internacao.boxNome})`, dia);
+            });
+        });
+
+    const cobradas = billedOrigins(faturas);
+    return cobrancas
+        .filter(c => !cobradas.has(c.origem))
+        .sort((a, b) => String(a.data || '').localeCompare(String(b.data || '')));
+}
+
+// Faturas
+
+// Monta os itens da fatura a partir das origens escolhidas e dos serviços avulsos.
+// Retorna { itens } ou { erro }.
+function invoiceItems(dados, cobrancas, servicos) {
+    const itens = [];
+
+    // Sem `origens`, entram todas as cobranças pendentes do pet
+    const origens = dados.origens !== undefined ? dados.origens : cobrancas.map(c => c.origem);
+    for (const origem of origens) {
+        const cobranca = cobrancas.find(c => c.origem === origem);
+        if (!cobranca) {
+            return { erro: `A cobrança ${origem} não está pendente (já faturada ou inexistente).` };
+        }
+        if (cobranca.precoUnitario === null) {
+            return { erro: `Cadastre no catálogo o preço de "${cobranca.descricao}" (categoria ${cobranca.categoria}).` };
+        }
+        itens.push({ ...cobranca });
+    }
+
+    for (const extra of dados.extras || []) {
+        const servico = servicos.find(s => s.id == extra.servicoId && s.ativo);
+        if (!servico) {
+            return { erro: 'Serviço avulso não encontrado no catálogo.' };
+        }
+        itens.push({
+            origem: null,
+            categoria: servico.categoria,
+            descricao: extra.descricao || servico.nome,
+            data: null,
+            servicoId: servico.id,
+            quantidade: extra.quantidade || 1,
+            precoUnitario: servico.preco
+        });
+    }
+
+    if (itens.length === 0) {
+        return { erro: 'Não há cobranças pendentes para faturar.' };
+    }
+    return {
+        itens: itens.map((item, i) => ({ id: i + 1, ...item, total: round(item.precoUnitario * item.quantidade) }))
+    };
+}
+
+// Fatura sem valor a pagar (desconto igual ao subtotal ou serviços sem preço) já nasce
+// paga: nenhum pagamento poderia quitá-la depois
+function createInvoice(faturas, dados, pet, tutor, itens, usuario) {
+    const subtotal = round(itens.reduce((soma, item) => soma + item.total, 0));
+    const desconto = round(dados.desconto || 0);
+    const total = round(subtotal - desconto);
+    const fatura = {
+        id: nextId(faturas),
+        numero: faturas.reduce((max, f) => Math.max(max, f.numero || 0), 0) + 1,
+        petId: pet.id,
+        petNome: pet.nome,
+        tutorCpf: tutor.cpf,
+        tutorNome: tutor.nome,
+        tutorId: tutor.id,
+        itens,
+        subtotal,
+        desconto,
+        total,
+        pago: 0,
+        saldo: total,
+        status: total > 0 ? STATUS_ABERTA : STATUS_PAGA,
+        observacoes: dados.observacoes || '',
+        pagamentos: [],
+        emitidoEm: new Date().toISOString(),
+        emitidoPor: usuario.login,
+        canceladoEm: null,
+        canceladoPor: null,
+        motivoCancelamento: null
+    };
+    faturas.push(fatura);
+    return fatura;
+}
+
+function validateDiscount(dados, itens) {
+    const subtotal = itens.reduce((soma, item) => soma + item.total, 0);
+    if (dados.desconto && dados.desconto > subtotal) {
+        return 'O desconto não pode ser maior que o valor da fatura.';
+    }
+    return null;
+}
+
+// Confere um pagamento já validado pelo esquema; retorna a mensagem de erro ou null
+function validatePayment(fatura, dados) {
+    if (fatura.status === STATUS_CANCELADA) {
+        return 'A fatura está cancelada.';
+    }
+    if (fatura.status === STATUS_PAGA) {
+        return 'A fatura já está paga.';
+    }
+    if (round(dados.valor) > fatura.saldo) {
+        return `O valor excede o saldo da fatura (R$ ${fatura.saldo.toFixed(2).replace('.', ',')}).`;
+    }
+    return null;
+}
+
+function registerPayment(fatura, dados, usuario) {
+    const pagamento = {
+        id: nextId(fatura.pagamentos),
+        valor: round(dados.valor),
+        forma: dados.forma,
+        observacoes: dados.observacoes || '',
+        recebidoEm: new Date().toISOString(),
+        recebidoPor: usuario.login
+    };
+    fatura.pagamentos.push(pagamento);
+    fatura.pago = round(fatura.pagamentos.reduce((soma, p) => soma + p.valor, 0));
+    fatura.saldo = round(fatura.total - fatura.pago);
+    fatura.status = fatura.saldo <= 0 ? STATUS_PAGA : STATUS_PARCIAL;
+    return pagamento;
+}
+
+// Faturas com pagamento não são canceladas (o valor recebido precisaria ser estornado)
+function validateCancel(fatura) {
+    if (fatura.status === STATUS_CANCELADA) {
+        return 'A fatura já está cancelada.';
+    }
+    if (fatura.pagamentos.length) {
+        return 'A fatura já tem pagamentos registrados e não pode ser cancelada.';
+    }
+    return null;
+}
+
+// As cobranças da fatura cancelada voltam a ficar pendentes
+function cancelInvoice(fatura, motivo, usuario) {
+    fatura.status = STATUS_CANCELADA;
+    fatura.saldo = 0;
+    fatura.canceladoEm = new Date().toISOString();
+    fatura.canceladoPor = usuario.login;
+    fatura.motivoCancelamento = motivo;
+    return fatura;
+}
+
+// Saldo em aberto por tutor, do maior para o menor
+function outstandingBalances(faturas) {
+    const porTutor = {};
+    faturas
+        .filter(f => f.status === STATUS_ABERTA || f.status === STATUS_PARCIAL)
+        .forEach(f => {
+            const tutor = porTutor[f.tutorCpf] || (porTutor[f.tutorCpf] = {
+                tutorCpf: f.tutorCpf,
+                tutorNome: f.tutorNome,
+                saldo: 0,
+                faturas: []
+            });
+            tutor.saldo = round(tutor.saldo + f.saldo);
+            tutor.faturas.push({
+                id: f.id,
+                numero: f.numero,
+                petId: f.petId,
+                petNome: f.petNome,
+                emitidoEm: f.emitidoEm,
+                total: f.total,
+                pago: f.pago,
+                saldo: f.saldo,
+                status: f.status
+            });
+        });
+
+    const tutores = Object.values(porTutor).sort((a, b) => b.saldo - a.saldo);
+    return { total: round(tutores.reduce((soma, t) => soma + t.saldo, 0)), tutores };
+}
+
+module.exports = {
+    SERVICE_CATEGORIES,
+    PAYMENT_METHODS,
+    STATUS_ABERTA,
+    STATUS_PARCIAL,
+    STATUS_PAGA,
+    STATUS_CANCELADA,
+    validateService,
+    createService,
+    updateService,
+    pendingCharges,
+    invoiceItems,
+    validateDiscount,
+    createInvoice,
+    validatePayment,
+    registerPayment,
+    validateCancel,
+    cancelInvoice,
+    outstandingBalances
+};
@@ -0,0 +1,327 @@
+// Internação: boxes configuráveis (coleção boxes), internações com admissão e alta
+// (coleção internacoes) e a ficha de tratamento de cada internação.
+//
+// Um box só recebe um pet por vez. A ficha de tratamento é a lista de prescrições
+// da internação, cada uma com horários diários (HH:MM); cada horário cumprido é
+// registrado em aplicacoes com quem aplicou e quando.
+
+const BOX_SECTORS = ['Box internação', 'Canil', 'Gatil'];
+
+// Setores exclusivos de uma espécie (os demais aceitam qualquer pet)
+const SECTOR_SPECIES = {
+    'Canil': 'Cão',
+    'Gatil': 'Gato'
+};
+
+const STATUS_INTERNADO = 'internado';
+const STATUS_ALTA = 'alta';
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function isValidDay(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+function isValidTime(value) {
+    if (typeof value !== 'string' || !/^\d{2}:\d{2}$/.test(value)) return false;
+    const [h, m] = value.split(':').map(Number);
+    return h < 24 && m < 60;
+}
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// Boxes
+
+// Valida os dados de um box novo ou alterado; retorna a mensagem de erro ou null
+function validateBox(data, boxes, current) {
+    const merged = { ...(current || {}), ...data };
+
+    if (!merged.nome || !String(merged.nome).trim()) {
+        return 'Informe o nome do box.';
+    }
+    const nome = String(merged.nome).trim().toLowerCase();
+    if (boxes.some(b => b.id != (current && current.id) && b.nome.toLowerCase() === nome)) {
+        return `Já existe um box chamado "${merged.nome}".`;
+    }
+    if (!BOX_SECTORS.includes(merged.setor)) {
+        return `Setor inválido. Use: ${BOX_SECTORS.join(', ')}.`;
+    }
+    return null;
+}
+
+function createBox(boxes, data) {
+    const box = {
+        id: nextId(boxes),
+        nome: String(data.nome).trim(),
+        setor: data.setor,
+        observacoes: data.observacoes || '',
+        ativo: true,
+        criadoEm: new Date().toISOString()
+    };
+    boxes.push(box);
+    return box;
+}
+
+function updateBox(box, data) {
+    if (data.nome !== undefined) box.nome = String(data.nome).trim();
+    if (data.setor !== undefined) box.setor = data.setor;
+    if (data.observacoes !== undefined) box.observacoes = data.observacoes;
+    if (data.ativo !== undefined) box.ativo = !!data.ativo;
+    return box;
+}
+
+// Retorna a mensagem de erro se o box não puder receber um pet da espécie
+function speciesError(box, especie) {
+    const exigida = SECTOR_SPECIES[box.setor];
+    if (exigida && exigida !== especie) {
+        return `O ${box.setor} só recebe pets da espécie ${exigida}.`;
+    }
+    return null;
+}
+
+// Internações
+
+function activeAdmissions(internacoes) {
+    return internacoes.filter(i => i.status === STATUS_INTERNADO);
+}
+
+function findActiveByBox(internacoes, boxId) {
+    return activeAdmissions(internacoes).find(i => i.boxId == boxId);
+}
+
+function findActiveByPet(internacoes, petId) {
+    return activeAdmissions(internacoes).find(i => i.petId == petId);
+}
+
+// Confere se o pet pode ir para o box; retorna a mensagem de erro ou null
+function placementError(internacoes, box, pet, ignoreId) {
+    if (!box) return 'Box não encontrado';
+    if (!box.ativo) return `O box ${box.nome} está desativado.`;
+
+    const erroEspecie = speciesError(box, pet.especie);
+    if (erroEspecie) return erroEspecie;
+
+    const ocupante = findActiveByBox(internacoes, box.id);
+    if (ocupante && ocupante.id != ignoreId) {
+        return `O box ${box.nome} já está ocupado por ${ocupante.petNome}.`;
+    }
+    return null;
+}
+
+function createAdmission(internacoes, data, pet, box, usuario) {
+    const agora = new Date().toISOString();
+    const internacao = {
+        id: nextId(internacoes),
+        petId: pet.id,
+        petNome: pet.nome,
+        especie: pet.especie,
+        tutorCpf: pet.tutorCpf,
+        boxId: box.id,
+        boxNome: box.nome,
+        setor: box.setor,
+        motivo: data.motivo || '',
+        veterinario: data.veterinario || usuario.nome || usuario.login,
+        status: STATUS_INTERNADO,
+        admitidoEm: agora,
+        admitidoPor: usuario.login,
+        movimentacoes: [],
+        tratamentos: [],
+        aplicacoes: [],
+        atualizadoEm: agora
+    };
+    internacoes.push(internacao);
+    return internacao;
+}
+
+function moveToBox(internacao, box, usuario) {
+    const agora = new Date().toISOString();
+    internacao.movimentacoes = [...(internacao.movimentacoes || []), {
+        deBoxId: internacao.boxId,
+        deBox: internacao.boxNome,
+        paraBoxId: box.id,
+        paraBox: box.nome,
+        em: agora,
+        por: usuario.login
+    }];
+    internacao.boxId = box.id;
+    internacao.boxNome = box.nome;
+    internacao.setor = box.setor;
+    internacao.atualizadoEm = agora;
+    return internacao;
+}
+
+function discharge(internacao, data, usuario) {
+    const agora = new Date().toISOString();
+    internacao.status = STATUS_ALTA;
+    internacao.altaEm = agora;
+    internacao.altaPor = usuario.login;
+    internacao.resumoAlta = data.resumoAlta || '';
+    internacao.atualizadoEm = agora;
+    return internacao;
+}
+
+// Mapa de ocupação: cada box com a internação ativa que o ocupa (ou null)
+function occupancyBoard(boxes, internacoes) {
+    const ativas = activeAdmissions(internacoes);
+    return boxes.map(box => {
+        const internacao = ativas.find(i => i.boxId == box.id) || null;
+        return {
+            ...box,
+            ocupado: !!internacao,
+            internacao: internacao && {
+                id: internacao.id,
+                petId: internacao.petId,
+                petNome: internacao.petNome,
+                especie: internacao.especie,
+                motivo: internacao.motivo,
+                veterinario: internacao.veterinario,
+                admitidoEm: internacao.admitidoEm
+            }
+        };
+    });
+}
+
+// Ficha de tratamento
+
+// Valida uma prescrição; retorna a mensagem de erro ou null
+function validateTreatment(data) {
+    if (!data.medicamento || !String(data.medicamento).trim()) {
+        return 'Informe o medicamento ou procedimento.';
+    }
+    if (!Array.isArray(data.horarios) || data.horarios.length === 0) {
+        return 'Informe ao menos um horário (HH:MM).';
+    }
+    if (!data.horarios.every(isValidTime)) {
+        return 'Horários devem estar no formato HH:MM.';
+    }
+    if (new Set(data.horarios).size !== data.horarios.length) {
+        return 'Há horários repetidos na prescrição.';
+    }
+    if (data.inicio && !isValidDay(data.inicio)) {
+        return 'Data de início inválida (AAAA-MM-DD).';
+    }
+    if (data.fim) {
+        if (!isValidDay(data.fim)) return 'Data de término inválida (AAAA-MM-DD).';
+        if (data.fim < (data.inicio || today())) return 'A data de término deve ser igual ou posterior ao início.';
+    }
+    return null;
+}
+
+function addTreatment(internacao, data, usuario) {
+    const tratamentos = internacao.tratamentos || (internacao.tratamentos = []);
+    const tratamento = {
+        id: nextId(tratamentos),
+        medicamento: String(data.medicamento).trim(),
+        dose: data.dose || '',
+        via: data.via || '',
+        horarios: data.horarios.slice().sort(),
+        inicio: data.inicio || today(),
+        fim: data.fim || null,
+        observacoes: data.observacoes || '',
+        prescritoPor: usuario.login,
+        criadoEm: new Date().toISOString(),
+        suspensoEm: null,
+        suspensoPor: null
+    };
+    tratamentos.push(tratamento);
+    internacao.atualizadoEm = tratamento.criadoEm;
+    return tratamento;
+}
+
+// Encerra a prescrição a partir de agora; os horários já aplicados continuam na ficha
+function suspendTreatment(tratamento, usuario) {
+    tratamento.suspensoEm = new Date().toISOString();
+    tratamento.suspensoPor = usuario.login;
+    return tratamento;
+}
+
+function isScheduledOn(tratamento, dia) {
+    if (tratamento.inicio > dia) return false;
+    if (tratamento.fim && tratamento.fim < dia) return false;
+    if (tratamento.suspensoEm && tratamento.suspensoEm.split('T')[0] < dia) return false;
+    return true;
+}
+
+// Horários previstos no dia, cada um com a aplicação registrada (ou null), em ordem
+function treatmentSheet(internacao, dia) {
+    const aplicacoes = internacao.aplicacoes || [];
+    const itens = [];
+    (internacao.tratamentos || []).filter(t => isScheduledOn(t, dia)).forEach(tratamento => {
+        tratamento.horarios.forEach(hora => {
+            const horario = `${dia}T${hora}`;
+            itens.push({
+                tratamentoId: tratamento.id,
+                medicamento: tratamento.medicamento,
+                dose: tratamento.dose,
+                via: tratamento.via,
+                horario,
+                aplicacao: aplicacoes.find(a => a.tratamentoId == tratamento.id && a.horario === horario) || null
+            });
+        });
+    });
+    return itens.sort((a, b) => a.horario.localeCompare(b.horario));
+}
+
+// Confere se o horário pode ser marcado como aplicado; retorna a mensagem de erro ou null
+function validateCheck(internacao, tratamento, horario) {
+    if (internacao.status !== STATUS_INTERNADO) {
+        return 'A internação já foi encerrada.';
+    }
+    if (!tratamento) return 'Prescrição não encontrada';
+    if (typeof horario !== 'string' || !horario.includes('T')) {
+        return 'Informe o horário previsto (AAAA-MM-DDTHH:MM).';
+    }
+
+    const [dia, hora] = horario.split('T');
+    if (!isValidDay(dia) || !tratamento.horarios.includes(hora) || !isScheduledOn(tratamento, dia)) {
+        return 'Horário fora da prescrição.';
+    }
+    if ((internacao.aplicacoes || []).some(a => a.tratamentoId == tratamento.id && a.horario === horario)) {
+        return 'Este horário já foi registrado.';
+    }
+    return null;
+}
+
+function registerCheck(internacao, tratamento, data, usuario) {
+    const aplicacoes = internacao.aplicacoes || (internacao.aplicacoes = []);
+    const aplicacao = {
+        id: nextId(aplicacoes),
+        tratamentoId: tratamento.id,
+        horario: data.horario,
+        realizadoEm: new Date().toISOString(),
+        realizadoPor: usuario.login,
+        observacoes: data.observacoes || '',
+        estoque: data.estoque || null
+    };
+    aplicacoes.push(aplicacao);
+    internacao.atualizadoEm = aplicacao.realizadoEm;
+    return aplicacao;
+}
+
+module.exports = {
+    BOX_SECTORS,
+    STATUS_INTERNADO,
+    STATUS_ALTA,
+    validateBox,
+    createBox,
+    updateBox,
+    speciesError,
+    findActiveByBox,
+    findActiveByPet,
+    placementError,
+    createAdmission,
+    moveToBox,
+    discharge,
+    occupancyBoard,
+    validateTreatment,
+    addTreatment,
+    suspendTreatment,
+    treatmentSheet,
+    validateCheck,
+    registerCheck
+};
@@ -0,0 +1,71 @@
+// Notificações do painel da equipe (coleção notificacoes): avisam quando um paciente
+// passa para urgente (red), seja pela tag alterada à mão ou pela triagem automática,
+// e quando a triagem sugere urgente para um pet que ainda não está assim.
+// Cada usuário marca as notificações como lidas por conta própria (lidaPor).
+
+const TIPO_TAG = 'tag';
+const TIPO_SUGESTAO = 'sugestao';
+
+// As mais antigas são descartadas ao passar desse total
+const MAX_NOTIFICATIONS = 500;
+const DEFAULT_FEED_SIZE = 30;
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+// dados: { tipo, pet, de, para, usuario, motivos }
+function createNotification(notificacoes, dados) {
+    const { tipo, pet, usuario } = dados;
+    const notificacao = {
+        id: nextId(notificacoes),
+        em: new Date().toISOString(),
+        tipo,
+        petId: pet.id,
+        petNome: pet.nome,
+        de: dados.de || null,
+        para: dados.para,
+        usuario: usuario.login,
+        nome: usuario.nome || usuario.login,
+        motivos: (dados.motivos || []).map(m => m.motivo),
+        lidaPor: []
+    };
+    notificacoes.push(notificacao);
+    if (notificacoes.length > MAX_NOTIFICATIONS) {
+        notificacoes.splice(0, notificacoes.length - MAX_NOTIFICATIONS);
+    }
+    return notificacao;
+}
+
+// Mais recentes primeiro, com `lida` calculado para o usuário
+function notificationFeed(notificacoes, usuario, { naoLidas = false, limite = DEFAULT_FEED_SIZE } = {}) {
+    const itens = notificacoes
+        .map(({ lidaPor, ...n }) => ({ ...n, lida: (lidaPor || []).includes(usuario.login) }))
+        .sort((a, b) => b.em.localeCompare(a.em));
+    return {
+        naoLidas: itens.filter(n => !n.lida).length,
+        notificacoes: itens.filter(n => !naoLidas || !n.lida).slice(0, limite)
+    };
+}
+
+// Retorna true se alguma notificação foi marcada
+function markAsRead(notificacoes, usuario) {
+    let marcadas = 0;
+    notificacoes.forEach(n => {
+        if (!n.lidaPor) n.lidaPor = [];
+        if (!n.lidaPor.includes(usuario.login)) {
+            n.lidaPor.push(usuario.login);
+            marcadas++;
+        }
+    });
+    return marcadas > 0;
+}
+
+module.exports = {
+    TIPO_TAG,
+    TIPO_SUGESTAO,
+    createNotification,
+    notificationFeed,
+    markAsRead
+};
@@ -0,0 +1,159 @@
+// Listagem de pacientes do painel: busca, filtros, ordenação e paginação feitas no
+// servidor, devolvendo só um resumo de cada pet (sem anamnese, exames, vacinas etc.).
+
+const { normalizeCPF } = require('./validacao');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Ordem de gravidade usada ao ordenar por tag
+const TAG_ORDER = { red: 0, yellow: 1, green: 2 };
+
+const SORT_FIELDS = ['nome', 'tutorNome', 'especie', 'localizacao', 'tag', 'dataCadastro', 'ultimaConsulta'];
+
+function isValidDay(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Texto sem acentos e em minúsculas, para a busca
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function lastConsultation(pet) {
+    return (pet.consultasPassadas || [])
+        .map(c => c.data)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+}
+
+// Resumo exibido na tabela de pacientes
+function petListItem(pet) {
+    return {
+        id: pet.id,
+        nome: pet.nome,
+        especie: pet.especie,
+        raca: pet.raca,
+        idade: pet.idade,
+        sexo: pet.sexo,
+        peso: pet.peso,
+        tag: pet.tag || 'green',
+        sugestaoTriagem: pet.triagem ? pet.triagem.sugestao : null,
+        localizacao: pet.localizacao || '',
+        tutorNome: pet.tutorNome,
+        tutorCpf: pet.tutorCpf,
+        tutorTelefone: pet.tutorTelefone,
+        dataCadastro: pet.dataCadastro || null,
+        ultimaConsulta: lastConsultation(pet),
+        internacao: pet.internacao || null
+    };
+}
+
+// "a,b" -> ['a', 'b'] (parâmetro ausente -> null)
+function listParam(value) {
+    if (value === undefined || value === '') return null;
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function intParam(value, padrao) {
+    if (value === undefined || value === '') return padrao;
+    const numero = Number(value);
+    return Number.isInteger(numero) ? numero : NaN;
+}
+
+// Converte a query string em filtros; retorna { filtros } ou { erro }
+function parsePetQuery(query) {
+    const filtros = {
+        q: query.q ? String(query.q).trim() : '',
+        tags: listParam(query.tag),
+        especies: listParam(query.especie),
+        localizacoes: listParam(query.localizacao),
+        cadastroDe: query.cadastroDe || null,
+        cadastroAte: query.cadastroAte || null,
+        consultaDe: query.consultaDe || null,
+        consultaAte: query.consultaAte || null,
+        ordenar: query.ordenar || 'dataCadastro',
+        ordem: query.ordem || (query.ordenar ? 'asc' : 'desc'),
+        pagina: intParam(query.pagina, 1),
+        limite: intParam(query.limite, DEFAULT_PAGE_SIZE)
+    };
+
+    for (const campo of ['cadastroDe', 'cadastroAte', 'consultaDe', 'consultaAte']) {
+        if (filtros[campo] && !isValidDay(filtros[campo])) {
+            return { erro: `${campo}: data inválida (AAAA-MM-DD).` };
+        }
+    }
+    if (!SORT_FIELDS.includes(filtros.ordenar)) {
+        return { erro: `ordenar: use ${SORT_FIELDS.join(', ')}.` };
+    }
+    if (!['asc', 'desc'].includes(filtros.ordem)) {
+        return { erro: 'ordem: use asc ou desc.' };
+    }
+    if (!(filtros.pagina >= 1)) {
+        return { erro: 'pagina: deve ser um número inteiro a partir de 1.' };
+    }
+    if (!(filtros.limite >= 1 && filtros.limite <= MAX_PAGE_SIZE)) {
+        return { erro: `limite: deve ser um número inteiro entre 1 e ${MAX_PAGE_SIZE}.` };
+    }
+    return { filtros };
+}
+
+// Busca por nome do pet, nome do tutor ou CPF (com ou sem pontuação)
+function matchesText(item, q) {
+    if (!q) return true;
+    const termo = fold(q);
+    if (fold(item.nome).includes(termo) || fold(item.tutorNome).includes(termo)) return true;
+    const digitos = normalizeCPF(q);
+    return digitos.length >= 3 && normalizeCPF(item.tutorCpf).includes(digitos);
+}
+
+function inRange(day, de, ate) {
+    if (!de && !ate) return true;
+    if (!day) return false;
+    return (!de || day >= de) && (!ate || day <= ate);
+}
+
+function compareBy(campo) {
+    if (campo === 'tag') return (a, b) => TAG_ORDER[a.tag] - TAG_ORDER[b.tag];
+    // Sem valor vai para o fim na ordem crescente
+    return (a, b) => {
+        const x = a[campo] || '';
+        const y = b[campo] || '';
+        if (!x || !y) return x ? -1 : y ? 1 : 0;
+        return String(x).localeCompare(String(y), 'pt-BR', { sensitivity: 'base' });
+    };
+}
+
+// Aplica filtros, ordenação e paginação; retorna a página com os totais
+function searchPets(pets, filtros) {
+    const itens = pets.map(petListItem).filter(item =>
+        matchesText(item, filtros.q) &&
+        (!filtros.tags || filtros.tags.includes(item.tag)) &&
+        (!filtros.especies || filtros.especies.includes(item.especie)) &&
+        (!filtros.localizacoes || filtros.localizacoes.includes(item.localizacao)) &&
+        inRange(item.dataCadastro && item.dataCadastro.split('T')[0], filtros.cadastroDe, filtros.cadastroAte) &&
+        inRange(item.ultimaConsulta, filtros.consultaDe, filtros.consultaAte)
+    );
+
+    const comparar = compareBy(filtros.ordenar);
+    itens.sort((a, b) => (filtros.ordem === 'desc' ? -comparar(a, b) : comparar(a, b)) || compareBy('nome')(a, b));
+
+    const total = itens.length;
+    const paginas = Math.max(1, Math.ceil(total / filtros.limite));
+    const inicio = (filtros.pagina - 1) * filtros.limite;
+    return {
+        pets: itens.slice(inicio, inicio + filtros.limite),
+        total,
+        pagina: filtros.pagina,
+        limite: filtros.limite,
+        paginas
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    petListItem,
+    parsePetQuery,
+    searchPets
+};
@@ -0,0 +1,132 @@
+// Portal do tutor: o que o tutor pode ver dos próprios pets.
+//
+// Anamnese, observações e histórico clínico ficam de fora. Exames aparecem com o
+// status, mas o resultado só é mostrado depois de liberado pelo veterinário.
+
+const { dueDoses } = require('./vacinas');
+const { STATUS_RESULTADO } = require('./exames');
+const { STATUS_INTERNADO, findActiveByPet } = require('./internacao');
+const { STATUS_REALIZADA } = require('./agenda');
+
+// Pet do tutor logado (`tutor` é o cadastro ligado à conta): comparado pelo tutorId, que
+// não muda quando o CPF do tutor é corrigido
+function isOwner(pet, tutor) {
+    return !!tutor && pet.tutorId === tutor.id;
+}
+
+function admissionSummary(internacao) {
+    return internacao && {
+        boxNome: internacao.boxNome,
+        setor: internacao.setor,
+        motivo: internacao.motivo,
+        veterinario: internacao.veterinario,
+        admitidoEm: internacao.admitidoEm
+    };
+}
+
+function petSummary(pet, internacoes) {
+    const internacao = findActiveByPet(internacoes, pet.id);
+    return {
+        id: pet.id,
+        nome: pet.nome,
+        especie: pet.especie,
+        raca: pet.raca,
+        idade: pet.idade,
+        sexo: pet.sexo,
+        peso: pet.peso,
+        tag: pet.tag,
+        localizacao: pet.localizacao || '',
+        internado: !!internacao,
+        internacao: admissionSummary(internacao) || null
+    };
+}
+
+function examEvent(exame) {
+    const liberado = exame.status === STATUS_RESULTADO && !!exame.liberadoEm;
+    return {
+        tipo: 'exame',
+        data: liberado ? exame.dataResultado : exame.dataSolicitacao,
+        titulo: exame.nome,
+        status: exame.status === STATUS_RESULTADO && !liberado ? 'aguardando liberação' : exame.status,
+        descricao: liberado ? exame.resultado : (exame.descricao || '')
+    };
+}
+
+// Linha do tempo do pet, do evento mais recente para o mais antigo
+function petTimeline(pet, agendamentos, internacoes) {
+    const eventos = [];
+
+    (pet.consultasPassadas || []).forEach(consulta => {
+        eventos.push({
+            tipo: 'consulta',
+            data: consulta.data,
+            titulo: consulta.tipo || 'Consulta',
+            descricao: consulta.descricao || consulta.motivo || '',
+            veterinario: consulta.veterinario || ''
+        });
+    });
+
+    // Realizados já aparecem como consulta
+    agendamentos.filter(a => a.petId == pet.id && a.status !== STATUS_REALIZADA).forEach(a => {
+        eventos.push({
+            tipo: 'agendamento',
+            data: a.inicio,
+            titulo: a.tipo,
+            status: a.status,
+            descricao: a.motivo || '',
+            veterinario: a.vetNome || a.vetLogin
+        });
+    });
+
+    ((pet.exames && pet.exames.lista) || []).forEach(exame => eventos.push(examEvent(exame)));
+
+    (pet.vacinas || []).forEach(dose => {
+        eventos.push({
+            tipo: 'vacina',
+            data: dose.dataAplicacao,
+            titulo: dose.vacina,
+            descricao: dose.proximaDose ? `Próxima dose: ${dose.proximaDose}` : '',
+            veterinario: dose.veterinario || ''
+        });
+    });
+
+    internacoes.filter(i => i.petId == pet.id).forEach(internacao => {
+        eventos.push({
+            tipo: 'internacao',
+            data: internacao.admitidoEm,
+            titulo: `Internação (${internacao.boxNome})`,
+            status: internacao.status,
+            descricao: internacao.motivo || '',
+            veterinario: internacao.veterinario || ''
+        });
+        if (internacao.status !== STATUS_INTERNADO) {
+            eventos.push({
+                tipo: 'alta',
+                data: internacao.altaEm,
+                titulo: 'Alta',
+                descricao: internacao.resumoAlta || ''
+            });
+        }
+    });
+
+    return eventos
+        .filter(e => e.data)
+        .sort((a, b) => String(b.data).localeCompare(String(a.data)));
+}
+
+// Resumo do pet, linha do tempo e reforços de vacina previstos (inclusive atrasados)
+function petPortalView(pet, agendamentos, internacoes, hoje) {
+    return {
+        pet: petSummary(pet, internacoes),
+        eventos: petTimeline(pet, agendamentos, internacoes),
+        proximasVacinas: dueDoses(pet, hoje, '9999-12-31')
+            .sort((a, b) => a.proximaDose.localeCompare(b.proximaDose))
+    };
+}
+
+module.exports = {
+    isOwner,
+    petSummary,
+    petTimeline,
+    petPortalView
+};
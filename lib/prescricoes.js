@@ -0,0 +1,208 @@
+// Prescrições (coleção prescricoes): cada prescrição pertence a um pet, pode estar
+// ligada a uma consulta (agendamento do pet) e é assinada por um veterinário.
+//
+// Estagiários só criam rascunhos, que ficam aguardando a assinatura de um veterinário.
+// As doses são informadas em mg/kg; a dose por administração e o total do tratamento
+// são calculados com o peso do pet no momento da prescrição (gravado em pesoKg).
+// Cada entrega de medicamento ao tutor é registrada em dispensacoes.
+
+const { VET_ROLES } = require('./auth');
+
+const STATUS_RASCUNHO = 'rascunho';
+const STATUS_ATIVA = 'ativa';
+const STATUS_REVOGADA = 'revogada';
+// Calculado: prescrição assinada cujos itens já passaram da duração
+const STATUS_ENCERRADA = 'encerrada';
+
+// Quem assina direto e quem só pode criar rascunho
+const PRESCRIBER_ROLES = VET_ROLES;
+const DRAFT_ROLES = ['Estagiario'];
+
+const ADMINISTRATION_ROUTES = ['Oral', 'Subcutânea', 'Intramuscular', 'Intravenosa', 'Tópica', 'Oftálmica', 'Otológica', 'Retal', 'Inalatória'];
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function addDays(dia, dias) {
+    const data = new Date(`${dia}T00:00:00Z`);
+    data.setUTCDate(data.getUTCDate() + dias);
+    return data.toISOString().split('T')[0];
+}
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function round(valor) {
+    return Math.round(valor * 100) / 100;
+}
+
+// O peso do pet é gravado como texto ("4,5" ou "28"); retorna NaN se não for válido
+function parseWeight(peso) {
+    const numero = Number(String(peso === undefined || peso === null ? '' : peso).trim().replace(',', '.'));
+    return numero > 0 ? numero : NaN;
+}
+
+// Dose por administração e total do tratamento a partir da dose em mg/kg
+function calculateItem(item, pesoKg) {
+    const administracoes = Math.ceil((item.duracaoDias * 24) / item.frequenciaHoras);
+    const doseMg = round(item.doseMgKg * pesoKg);
+    return {
+        ...item,
+        doseMg,
+        administracoes,
+        doseTotalMg: round(doseMg * administracoes)
+    };
+}
+
+// Confere a prescrição já validada pelo esquema; retorna a mensagem de erro ou null
+function validatePrescription(dados, pet, agendamento) {
+    if (!dados.itens || dados.itens.length === 0) {
+        return 'Inclua ao menos um medicamento na prescrição.';
+    }
+    if (isNaN(parseWeight(pet.peso))) {
+        return `Informe o peso de ${pet.nome} antes de prescrever (a dose é calculada em mg/kg).`;
+    }
+    if (dados.agendamentoId && (!agendamento || agendamento.petId != pet.id)) {
+        return 'Consulta não encontrada para este pet.';
+    }
+    return null;
+}
+
+function signature(assinante) {
+    return { login: assinante.login, nome: assinante.nome, crmv: assinante.crmv || null };
+}
+
+// Cria a prescrição; sem assinante (estagiário) ela fica como rascunho
+function createPrescription(prescricoes, dados, pet, agendamento, usuario, assinante) {
+    const agora = new Date().toISOString();
+    const pesoKg = parseWeight(pet.peso);
+    const itens = [];
+    dados.itens.forEach(item => {
+        itens.push({ id: nextId(itens), ...calculateItem(item, pesoKg) });
+    });
+
+    const prescricao = {
+        id: nextId(prescricoes),
+        petId: pet.id,
+        petNome: pet.nome,
+        tutorCpf: pet.tutorCpf,
+        agendamentoId: agendamento ? agendamento.id : null,
+        consultaData: agendamento ? agendamento.inicio.split('T')[0] : null,
+        pesoKg,
+        itens,
+        observacoes: dados.observacoes || '',
+        status: assinante ? STATUS_ATIVA : STATUS_RASCUNHO,
+        criadoEm: agora,
+        criadoPor: usuario.login,
+        prescritoPor: assinante ? signature(assinante) : null,
+        assinadoEm: assinante ? agora : null,
+        inicio: assinante ? today() : null,
+        revogadoEm: null,
+        revogadoPor: null,
+        motivoRevogacao: null,
+        dispensacoes: []
+    };
+    prescricoes.push(prescricao);
+    return prescricao;
+}
+
+// O tratamento começa no dia da assinatura
+function signPrescription(prescricao, assinante) {
+    const agora = new Date().toISOString();
+    prescricao.status = STATUS_ATIVA;
+    prescricao.prescritoPor = signature(assinante);
+    prescricao.assinadoEm = agora;
+    prescricao.inicio = agora.split('T')[0];
+    return prescricao;
+}
+
+function revokePrescription(prescricao, motivo, usuario) {
+    prescricao.status = STATUS_REVOGADA;
+    prescricao.revogadoEm = new Date().toISOString();
+    prescricao.revogadoPor = usuario.login;
+    prescricao.motivoRevogacao = motivo;
+    return prescricao;
+}
+
+// Último dia de tratamento (o maior entre os itens)
+function endDay(prescricao) {
+    if (!prescricao.inicio) return null;
+    return prescricao.itens
+        .map(item => addDays(prescricao.inicio, item.duracaoDias - 1))
+        .sort()
+        .pop();
+}
+
+function prescriptionStatus(prescricao, hoje) {
+    if (prescricao.status === STATUS_ATIVA && endDay(prescricao) < hoje) return STATUS_ENCERRADA;
+    return prescricao.status;
+}
+
+// Prescrição como devolvida pela API: com o status calculado e a data de término
+function prescriptionView(prescricao, hoje) {
+    return { ...prescricao, status: prescriptionStatus(prescricao, hoje), fim: endDay(prescricao) };
+}
+
+function petPrescriptions(prescricoes, petId, hoje) {
+    return prescricoes
+        .filter(p => p.petId == petId)
+        .map(p => prescriptionView(p, hoje))
+        .sort((a, b) => b.criadoEm.localeCompare(a.criadoEm));
+}
+
+function activePrescriptions(prescricoes, petId, hoje) {
+    return petPrescriptions(prescricoes, petId, hoje).filter(p => p.status === STATUS_ATIVA);
+}
+
+// Confere se um item pode ser entregue ao tutor; retorna a mensagem de erro ou null
+function validateDispensing(prescricao, data, hoje) {
+    if (prescriptionStatus(prescricao, hoje) !== STATUS_ATIVA) {
+        return 'Só é possível dispensar medicamentos de prescrições ativas.';
+    }
+    if (!prescricao.itens.some(item => item.id == data.itemId)) {
+        return 'Item da prescrição não encontrado.';
+    }
+    return null;
+}
+
+function registerDispensing(prescricao, data, usuario) {
+    const dispensacoes = prescricao.dispensacoes || (prescricao.dispensacoes = []);
+    const item = prescricao.itens.find(i => i.id == data.itemId);
+    const dispensacao = {
+        id: nextId(dispensacoes),
+        itemId: item.id,
+        medicamento: item.medicamento,
+        quantidade: data.quantidade,
+        observacoes: data.observacoes || '',
+        estoque: data.estoque || null,
+        dispensadoEm: new Date().toISOString(),
+        dispensadoPor: usuario.login
+    };
+    dispensacoes.push(dispensacao);
+    return dispensacao;
+}
+
+module.exports = {
+    STATUS_RASCUNHO,
+    STATUS_ATIVA,
+    STATUS_REVOGADA,
+    STATUS_ENCERRADA,
+    PRESCRIBER_ROLES,
+    DRAFT_ROLES,
+    ADMINISTRATION_ROUTES,
+    parseWeight,
+    calculateItem,
+    validatePrescription,
+    createPrescription,
+    signPrescription,
+    revokePrescription,
+    prescriptionStatus,
+    prescriptionView,
+    petPrescriptions,
+    activePrescriptions,
+    validateDispensing,
+    registerDispensing
+};
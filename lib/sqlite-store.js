@@ -0,0 +1,399 @@
+const path = require('path');
+const fs = require('fs');
+
+// Backend SQLite para as mesmas coleções do lib/storage.js (mesma interface
+// all()/update()), ativado com STORAGE=sqlite.
+//
+// Cada registro continua sendo um documento JSON completo (coluna `dados`), que é
+// a fonte da verdade para as rotas. Os campos mais consultados são projetados em
+// colunas próprias, e consultas, exames e vacinações dos pets ficam em tabelas
+// filhas, reescritas na mesma transação sempre que o pet muda. Assim relatórios e
+// buscas podem usar SQL sem que o formato devolvido pela API mude.
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('O backend SQLite requer o pacote better-sqlite3 (npm install better-sqlite3).');
+    }
+}
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS tutores (
+    cpf TEXT PRIMARY KEY,
+    nome TEXT,
+    telefone TEXT,
+    endereco TEXT,
+    login TEXT,
+    senha TEXT,
+    data_cadastro TEXT,
+    dados TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS funcionarios (
+    chave TEXT PRIMARY KEY,
+    origem TEXT NOT NULL,
+    id INTEGER,
+    nome TEXT,
+    login TEXT,
+    contato TEXT,
+    role TEXT,
+    crmv TEXT,
+    senha TEXT,
+    data_cadastro TEXT,
+    dados TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_funcionarios_login ON funcionarios (login);
+
+CREATE TABLE IF NOT EXISTS contas (
+    id INTEGER PRIMARY KEY,
+    tipo TEXT NOT NULL,
+    login TEXT NOT NULL UNIQUE,
+    nome TEXT,
+    role TEXT,
+    crmv TEXT,
+    contato TEXT,
+    tutor_id INTEGER,
+    ativo INTEGER NOT NULL DEFAULT 1,
+    senha TEXT,
+    data_cadastro TEXT,
+    dados TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS pets (
+    id INTEGER PRIMARY KEY,
+    nome TEXT,
+    especie TEXT,
+    raca TEXT,
+    sexo TEXT,
+    tutor_cpf TEXT,
+    tutor_nome TEXT,
+    tag TEXT,
+    localizacao TEXT,
+    data_cadastro TEXT,
+    dados TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_pets_tutor ON pets (tutor_cpf);
+
+CREATE TABLE IF NOT EXISTS consultas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pet_id INTEGER NOT NULL REFERENCES pets (id) ON DELETE CASCADE,
+    situacao TEXT NOT NULL,
+    data TEXT,
+    motivo TEXT,
+    veterinario TEXT,
+    observacoes TEXT,
+    dados TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_consultas_pet ON consultas (pet_id);
+
+CREATE TABLE IF NOT EXISTS exames (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pet_id INTEGER NOT NULL REFERENCES pets (id) ON DELETE CASCADE,
+    situacao TEXT NOT NULL,
+    nome TEXT,
+    descricao TEXT,
+    data TEXT,
+    dados TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_exames_pet ON exames (pet_id);
+
+CREATE TABLE IF NOT EXISTS vacinacoes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pet_id INTEGER NOT NULL REFERENCES pets (id) ON DELETE CASCADE,
+    vacina TEXT,
+    data_aplicacao TEXT,
+    proxima_dose TEXT,
+    observacoes TEXT,
+    dados TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_vacinacoes_pet ON vacinacoes (pet_id);
+
+CREATE TABLE IF NOT EXISTS documentos (
+    colecao TEXT NOT NULL,
+    chave TEXT NOT NULL,
+    dados TEXT NOT NULL,
+    PRIMARY KEY (colecao, chave)
+);
+`;
+
+function clone(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+function text(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+// Consultas, exames e vacinações de um pet, nos vários formatos já gravados em animais.json
+function petChildren(pet) {
+    const consultas = pet.consultas || {};
+    const exames = pet.exames || {};
+
+    const consultasRows = [
+        ...asArray(pet.consultasPassadas).map(c => ['passada', c]),
+        ...asArray(consultas.consultasPassadas).map(c => ['passada', c]),
+        ...asArray(consultas.passadas).map(c => ['passada', c]),
+        ...asArray(pet.consultasFuturas).map(c => ['futura', c]),
+        ...asArray(consultas.consultasFuturas).map(c => ['futura', c]),
+        ...asArray(consultas.futuras).map(c => ['futura', c])
+    ].map(([situacao, c]) => ({
+        situacao,
+        data: text(c.data),
+        motivo: text(c.motivo),
+        veterinario: text(c.veterinario),
+        observacoes: text(c.observacoes),
+        dados: JSON.stringify(c)
+    }));
+
+    const examesRows = [
+        ...asArray(exames.lista).map(e => [e.status || 'solicitado', e]),
+        ...asArray(exames.examesSolicitados).map(e => ['solicitado', e]),
+        ...asArray(exames.solicitados).map(e => ['solicitado', e]),
+        ...asArray(exames.resultadosExames).map(e => ['resultado', e]),
+        ...asArray(exames.resultados).map(e => ['resultado', e])
+    ].map(([situacao, e]) => ({
+        situacao,
+        nome: text(e.nome || e.tipo),
+        descricao: text(e.resultado || e.descricao),
+        data: text(e.dataResultado || e.dataColeta || e.dataSolicitacao || e.data),
+        dados: JSON.stringify(e)
+    }));
+
+    const vacinacoesRows = asArray(pet.vacinas).map(v => ({
+        vacina: text(v.vacina),
+        data_aplicacao: text(v.dataAplicacao),
+        proxima_dose: text(v.proximaDose),
+        observacoes: text(v.observacoes),
+        dados: JSON.stringify(v)
+    }));
+    if (exames.vacinacao) {
+        vacinacoesRows.push({
+            vacina: text(exames.vacinacao),
+            data_aplicacao: text(exames.dataUltimaVacinacao),
+            proxima_dose: text(exames.proximaVacinacao),
+            observacoes: text(exames.observacoesVacinacao),
+            dados: JSON.stringify({
+                vacinacao: exames.vacinacao,
+                dataUltimaVacinacao: exames.dataUltimaVacinacao,
+                proximaVacinacao: exames.proximaVacinacao,
+                observacoesVacinacao: exames.observacoesVacinacao
+            })
+        });
+    }
+
+    return { consultas: consultasRows, exames: examesRows, vacinacoes: vacinacoesRows };
+}
+
+// Mapeamento de cada coleção para a sua tabela
+function tableSpecs(db) {
+    const funcionariosSpec = origem => ({
+        keyOf: doc => origem === 'medicos' ? `medico:${doc.login}` : `funcionario:${doc.id}`,
+        load: () => db.prepare('SELECT dados FROM funcionarios WHERE origem = ? ORDER BY rowid').all(origem),
+        save: (chave, doc) => db.prepare(`
+            INSERT INTO funcionarios (chave, origem, id, nome, login, contato, role, crmv, senha, data_cadastro, dados)
+            VALUES (@chave, @origem, @id, @nome, @login, @contato, @role, @crmv, @senha, @data_cadastro, @dados)
+            ON CONFLICT (chave) DO UPDATE SET
+                id = excluded.id, nome = excluded.nome, login = excluded.login, contato = excluded.contato,
+                role = excluded.role, crmv = excluded.crmv, senha = excluded.senha,
+                data_cadastro = excluded.data_cadastro, dados = excluded.dados
+        `).run({
+            chave,
+            origem,
+            id: doc.id || null,
+            nome: text(doc.nome),
+            login: text(doc.login),
+            contato: text(doc.contato),
+            role: origem === 'medicos' ? 'Medico vet' : text(doc.role),
+            crmv: text(doc.crmv),
+            senha: text(doc.senha),
+            data_cadastro: text(doc.dataCadastro),
+            dados: JSON.stringify(doc)
+        }),
+        remove: chave => db.prepare('DELETE FROM funcionarios WHERE chave = ?').run(chave)
+    });
+
+    return {
+        usuarios: {
+            keyOf: doc => doc.cpf || doc.login,
+            load: () => db.prepare('SELECT dados FROM tutores ORDER BY rowid').all(),
+            save: (chave, doc) => db.prepare(`
+                INSERT INTO tutores (cpf, nome, telefone, endereco, login, senha, data_cadastro, dados)
+                VALUES (@cpf, @nome, @telefone, @endereco, @login, @senha, @data_cadastro, @dados)
+                ON CONFLICT (cpf) DO UPDATE SET
+                    nome = excluded.nome, telefone = excluded.telefone, endereco = excluded.endereco,
+                    login = excluded.login, senha = excluded.senha,
+                    data_cadastro = excluded.data_cadastro, dados = excluded.dados
+            `).run({
+                cpf: chave,
+                nome: text(doc.nome),
+                telefone: text(doc.telefone),
+                endereco: text(doc.endereco),
+                login: text(doc.login),
+                senha: text(doc.senha),
+                data_cadastro: text(doc.dataCadastro),
+                dados: JSON.stringify(doc)
+            }),
+            remove: chave => db.prepare('DELETE FROM tutores WHERE cpf = ?').run(chave)
+        },
+        contas: {
+            keyOf: doc => String(doc.id),
+            load: () => db.prepare('SELECT dados FROM contas ORDER BY rowid').all(),
+            save: (chave, doc) => db.prepare(`
+                INSERT INTO contas (id, tipo, login, nome, role, crmv, contato, tutor_id, ativo, senha, data_cadastro, dados)
+                VALUES (@id, @tipo, @login, @nome, @role, @crmv, @contato, @tutor_id, @ativo, @senha, @data_cadastro, @dados)
+                ON CONFLICT (id) DO UPDATE SET
+                    tipo = excluded.tipo, login = excluded.login, nome = excluded.nome, role = excluded.role,
+                    crmv = excluded.crmv, contato = excluded.contato, tutor_id = excluded.tutor_id,
+                    ativo = excluded.ativo, senha = excluded.senha,
+                    data_cadastro = excluded.data_cadastro, dados = excluded.dados
+            `).run({
+                id: Number(chave),
+                tipo: text(doc.tipo),
+                login: text(doc.login),
+                nome: text(doc.nome),
+                role: text(doc.role),
+                crmv: text(doc.crmv),
+                contato: text(doc.contato),
+                tutor_id: doc.tutorId || null,
+                ativo: doc.ativo === false ? 0 : 1,
+                senha: text(doc.senha),
+                data_cadastro: text(doc.dataCadastro),
+                dados: JSON.stringify(doc)
+            }),
+            remove: chave => db.prepare('DELETE FROM contas WHERE id = ?').run(Number(chave))
+        },
+        medicos: funcionariosSpec('medicos'),
+        funcionarios: funcionariosSpec('funcionarios'),
+        animais: {
+            keyOf: doc => String(doc.id),
+            load: () => db.prepare('SELECT dados FROM pets ORDER BY rowid').all(),
+            save: (chave, doc) => {
+                db.prepare(`
+                    INSERT INTO pets (id, nome, especie, raca, sexo, tutor_cpf, tutor_nome, tag, localizacao, data_cadastro, dados)
+                    VALUES (@id, @nome, @especie, @raca, @sexo, @tutor_cpf, @tutor_nome, @tag, @localizacao, @data_cadastro, @dados)
+                    ON CONFLICT (id) DO UPDATE SET
+                        nome = excluded.nome, especie = excluded.especie, raca = excluded.raca, sexo = excluded.sexo,
+                        tutor_cpf = excluded.tutor_cpf, tutor_nome = excluded.tutor_nome, tag = excluded.tag,
+                        localizacao = excluded.localizacao, data_cadastro = excluded.data_cadastro, dados = excluded.dados
+                `).run({
+                    id: Number(chave),
+                    nome: text(doc.nome),
+                    especie: text(doc.especie),
+                    raca: text(doc.raca),
+                    sexo: text(doc.sexo),
+                    tutor_cpf: text(doc.tutorCpf),
+                    tutor_nome: text(doc.tutorNome),
+                    tag: text(doc.tag),
+                    localizacao: text(doc.localizacao),
+                    data_cadastro: text(doc.dataCadastro),
+                    dados: JSON.stringify(doc)
+                });
+
+                const petId = Number(chave);
+                const children = petChildren(doc);
+                for (const table of ['consultas', 'exames', 'vacinacoes']) {
+                    db.prepare(`DELETE FROM ${table} WHERE pet_id = ?`).run(petId);
+                    for (const row of children[table]) {
+                        const columns = Object.keys(row);
+                        db.prepare(`INSERT INTO ${table} (pet_id, ${columns.join(', ')}) VALUES (@pet_id, ${columns.map(c => '@' + c).join(', ')})`)
+                            .run({ pet_id: petId, ...row });
+                    }
+                }
+            },
+            remove: chave => db.prepare('DELETE FROM pets WHERE id = ?').run(Number(chave))
+        }
+    };
+}
+
+// Coleções sem tabela própria (ex.: criadas por novas funcionalidades) ficam na tabela documentos
+function documentSpec(db, name) {
+    return {
+        keyOf: (doc, index) => String(doc.id ?? doc.login ?? doc.cpf ?? `#${index}`),
+        load: () => db.prepare('SELECT dados FROM documentos WHERE colecao = ? ORDER BY rowid').all(name),
+        save: (chave, doc) => db.prepare(`
+            INSERT INTO documentos (colecao, chave, dados) VALUES (?, ?, ?)
+            ON CONFLICT (colecao, chave) DO UPDATE SET dados = excluded.dados
+        `).run(name, chave, JSON.stringify(doc)),
+        remove: chave => db.prepare('DELETE FROM documentos WHERE colecao = ? AND chave = ?').run(name, chave)
+    };
+}
+
+function createSqliteCollection(db, spec) {
+    let cache = spec.load().map(row => JSON.parse(row.dados));
+    let queue = Promise.resolve();
+
+    const indexBy = items => {
+        const map = new Map();
+        items.forEach((doc, index) => map.set(spec.keyOf(doc, index), JSON.stringify(doc)));
+        return map;
+    };
+
+    // Grava apenas os registros incluídos, alterados ou removidos
+    const applyChanges = db.transaction((before, after) => {
+        for (const [chave, json] of after) {
+            if (before.get(chave) !== json) spec.save(chave, JSON.parse(json));
+        }
+        for (const chave of before.keys()) {
+            if (!after.has(chave)) spec.remove(chave);
+        }
+    });
+
+    function all() {
+        return Promise.resolve(cache);
+    }
+
+    // Mesma semântica do backend JSON: um retorno falso cancela a escrita
+    function update(mutator) {
+        const run = queue.then(async () => {
+            const draft = clone(cache);
+            const result = await mutator(draft);
+            if (!result) return result;
+
+            const after = indexBy(draft);
+            if (after.size !== draft.length) {
+                throw new Error('Registros duplicados na coleção (mesma chave)');
+            }
+            applyChanges(indexBy(cache), after);
+            cache = draft;
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return { all, update };
+}
+
+function createSqliteStore(filePath) {
+    const Database = loadDriver();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const specs = tableSpecs(db);
+    const collections = {};
+
+    return {
+        db,
+        collection(name) {
+            if (!collections[name]) {
+                collections[name] = createSqliteCollection(db, specs[name] || documentSpec(db, name));
+            }
+            return collections[name];
+        },
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const { existsSync, mkdirSync, renameSync } = require('fs');
+const path = require('path');
+
+// Camada de persistência em arquivos JSON.
+//
+// Cada coleção é um arquivo com um array de registros. As leituras usam um cache
+// em memória (recarregado apenas se o arquivo mudar em disco) e as escritas de uma
+// mesma coleção são enfileiradas, de modo que duas requisições simultâneas nunca
+// sobrescrevam as alterações uma da outra. A gravação é atômica: o conteúdo vai
+// para um arquivo temporário que depois substitui o original com rename.
+
+// Coleções do sistema, na ordem usada pela importação para o SQLite e pelos backups
+const COLLECTIONS = [
+    'contas', 'usuarios', 'medicos', 'funcionarios', 'animais', 'agendamentos', 'boxes', 'internacoes',
+    'auditoria', 'prescricoes', 'notificacoes', 'servicos', 'faturas', 'produtos'
+];
+
+function clone(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+function createCollection(filePath) {
+    let cache = null;
+    let cacheMtime = null;
+    let queue = Promise.resolve();
+
+    async function load() {
+        let stat;
+        try {
+            stat = await fs.stat(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // Arquivo ainda não existe: coleção vazia
+            cache = cache || [];
+            cacheMtime = null;
+            return cache;
+        }
+
+        if (cache && cacheMtime === stat.mtimeMs) return cache;
+
+        const data = await fs.readFile(filePath, 'utf8');
+        // Um arquivo corrompido gera erro em vez de virar uma coleção vazia,
+        // para que a próxima escrita não apague os dados existentes.
+        cache = data.trim() ? JSON.parse(data) : [];
+        cacheMtime = stat.mtimeMs;
+        return cache;
+    }
+
+    async function persist(items) {
+        const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            await fs.writeFile(tmpPath, JSON.stringify(items, null, 2));
+            await fs.rename(tmpPath, filePath);
+        } catch (error) {
+            await fs.unlink(tmpPath).catch(() => {});
+            throw error;
+        }
+        const stat = await fs.stat(filePath);
+        cache = items;
+        cacheMtime = stat.mtimeMs;
+    }
+
+    // Retorna todos os registros. O array vem do cache: trate-o como somente leitura
+    // e faça alterações apenas via update().
+    function all() {
+        return load();
+    }
+
+    // Executa mutator(registros) com exclusão mútua e grava o resultado.
+    // O mutator recebe uma cópia dos registros e pode alterá-la livremente.
+    // Se ele retornar um valor falso (null, undefined, false) nada é gravado
+    // (ex.: registro não encontrado); caso contrário a cópia é gravada e o valor
+    // retornado ao chamador. Erros lançados pelo mutator ou pela escrita são
+    // propagados e o arquivo permanece intacto.
+    function update(mutator) {
+        const run = queue.then(async () => {
+            const draft = clone(await load());
+            const result = await mutator(draft);
+            if (!result) return result;
+            await persist(draft);
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return { all, update };
+}
+
+// Abre as coleções de um diretório de dados (uma por arquivo <nome>.json)
+function createJsonStore(dataDir) {
+    const collections = {};
+    return {
+        collection(name) {
+            if (!collections[name]) {
+                collections[name] = createCollection(path.join(dataDir, `${name}.json`));
+            }
+            return collections[name];
+        },
+        close() {}
+    };
+}
+
+// Instalações antigas guardavam os dados na raiz do projeto, que era servida ao
+// navegador. Move os arquivos de dados (coleções, banco SQLite e backups) de `origem`
+// para `destino` quando ainda não existem lá; retorna os nomes movidos.
+function relocateDataFiles(origem, destino) {
+    if (path.resolve(origem) === path.resolve(destino)) return [];
+    mkdirSync(destino, { recursive: true });
+
+    const nomes = [...COLLECTIONS.map(nome => `${nome}.json`), 'clinica.db', 'clinica.db-wal', 'clinica.db-shm', 'backups'];
+    return nomes.filter(nome => {
+        const antigo = path.join(origem, nome);
+        const novo = path.join(destino, nome);
+        if (!existsSync(antigo) || existsSync(novo)) return false;
+        renameSync(antigo, novo);
+        return true;
+    });
+}
+
+// Escolhe o backend pela configuração: STORAGE=json (padrão) ou STORAGE=sqlite.
+// No modo SQLite o banco fica em SQLITE_FILE (padrão: clinica.db no diretório de dados).
+function createStore(dataDir, options = {}) {
+    const backend = options.backend || process.env.STORAGE || 'json';
+
+    if (backend === 'sqlite') {
+        // Carregado sob demanda: better-sqlite3 é uma dependência opcional
+        const { createSqliteStore } = require('./sqlite-store');
+        return createSqliteStore(options.file || process.env.SQLITE_FILE || path.join(dataDir, 'clinica.db'));
+    }
+
+    if (backend !== 'json') {
+        throw new Error(`Backend de armazenamento desconhecido: ${backend} (use json ou sqlite)`);
+    }
+
+    return createJsonStore(dataDir);
+}
+
+module.exports = { COLLECTIONS, createCollection, createJsonStore, createStore, relocateDataFiles };
+
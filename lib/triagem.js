@@ -0,0 +1,161 @@
+// Triagem automática da tag (green/yellow/red) a partir dos dados do prontuário:
+// internação ativa, sinais vitais fora da faixa da espécie, exame pendente além do
+// prazo e vacina atrasada. Cada regra que se aplica gera um motivo com a tag sugerida;
+// a sugestão do pet é a mais grave entre os motivos (sem motivos, green).
+//
+// A sugestão fica gravada em pet.triagem. Com TRIAGEM_MODO=automatico a tag também
+// sobe sozinha quando surge uma sugestão mais grave; a triagem nunca baixa a tag, e
+// uma tag ajustada à mão só volta a ser alterada quando a sugestão mudar.
+
+const { dueDoses } = require('./vacinas');
+const { latestVitals } = require('./vitais');
+const { STATUS_SOLICITADO, STATUS_COLETADO } = require('./exames');
+
+const MODE_SUGESTAO = 'sugestao';
+const MODE_AUTOMATICO = 'automatico';
+const TRIAGE_MODE = process.env.TRIAGEM_MODO === MODE_AUTOMATICO ? MODE_AUTOMATICO : MODE_SUGESTAO;
+
+// Dias que um exame pode ficar sem resultado e validade de uma medição de sinais vitais
+const EXAM_DEADLINE_DAYS = Number(process.env.EXAME_PRAZO_DIAS) || 7;
+const VITALS_WINDOW_DAYS = Number(process.env.SINAIS_VITAIS_JANELA_DIAS) || 3;
+
+// Usuário registrado na auditoria e nas notificações quando a triagem altera um pet
+const TRIAGE_USER = { login: 'triagem', nome: 'Triagem automática', role: null };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TAG_SEVERITY = { green: 0, yellow: 1, red: 2 };
+
+// Faixas de referência por espécie; `critico` marca o limite a partir do qual é urgente
+const VITAL_RANGES = {
+    'Cão': {
+        temperatura: { min: 37.5, max: 39.2, critico: { min: 36.5, max: 40.5 } },
+        fc: { min: 60, max: 160, critico: { min: 40, max: 200 } },
+        fr: { min: 10, max: 30, critico: { min: 6, max: 50 } }
+    },
+    'Gato': {
+        temperatura: { min: 37.8, max: 39.2, critico: { min: 36.5, max: 40.5 } },
+        fc: { min: 140, max: 220, critico: { min: 100, max: 260 } },
+        fr: { min: 20, max: 30, critico: { min: 10, max: 60 } }
+    }
+};
+
+const VITAL_LABELS = { temperatura: 'Temperatura', fc: 'FC', fr: 'FR' };
+const VITAL_UNITS = { temperatura: '°C', fc: 'bpm', fr: 'mpm' };
+
+function daysBetween(de, ate) {
+    return Math.round((new Date(ate) - new Date(de)) / MS_PER_DAY);
+}
+
+function isMoreSevere(tag, outra) {
+    return TAG_SEVERITY[tag] > TAG_SEVERITY[outra || 'green'];
+}
+
+function hospitalizationRule(pet) {
+    if (!pet.internacao) return [];
+    return [{ tag: 'red', motivo: `Internado no box ${pet.internacao.boxNome}.` }];
+}
+
+function vitalsRule(pet, hoje) {
+    const faixas = VITAL_RANGES[pet.especie];
+    if (!faixas || !Array.isArray(pet.sinaisVitais)) return [];
+
+    const ultimos = latestVitals(pet);
+    const motivos = [];
+    Object.keys(faixas).forEach(campo => {
+        const medida = ultimos[campo];
+        if (!medida || daysBetween(medida.data, hoje) > VITALS_WINDOW_DAYS) return;
+        const faixa = faixas[campo];
+        if (medida.valor >= faixa.min && medida.valor <= faixa.max) return;
+
+        const critico = medida.valor < faixa.critico.min || medida.valor > faixa.critico.max;
+        motivos.push({
+            tag: critico ? 'red' : 'yellow',
+            motivo: `${VITAL_LABELS[campo]} de ${medida.valor} ${VITAL_UNITS[campo]} em ${medida.data} ` +
+                `(referência ${faixa.min}–${faixa.max}).`
+        });
+    });
+
+    if (ultimos.alertaPeso) {
+        motivos.push({ tag: 'yellow', motivo: `Variação de peso de ${ultimos.variacaoPeso}% na última pesagem.` });
+    }
+    return motivos;
+}
+
+function examRule(pet, hoje) {
+    const lista = (pet.exames && pet.exames.lista) || [];
+    return lista
+        .filter(exame => [STATUS_SOLICITADO, STATUS_COLETADO].includes(exame.status) && exame.dataSolicitacao)
+        .filter(exame => daysBetween(exame.dataSolicitacao, hoje) > EXAM_DEADLINE_DAYS)
+        .map(exame => ({
+            tag: 'yellow',
+            motivo: `Exame "${exame.nome}" ${exame.status} desde ${exame.dataSolicitacao}, ` +
+                `sem resultado há mais de ${EXAM_DEADLINE_DAYS} dias.`
+        }));
+}
+
+function vaccinationRule(pet, hoje) {
+    return dueDoses(pet, hoje, hoje)
+        .filter(dose => dose.atrasada)
+        .map(dose => ({ tag: 'yellow', motivo: `Vacina ${dose.vacina} atrasada desde ${dose.proximaDose}.` }));
+}
+
+const TRIAGE_RULES = [
+    { id: 'internacao', descricao: 'Pet internado', avaliar: hospitalizationRule },
+    { id: 'sinais-vitais', descricao: 'Sinais vitais fora da faixa da espécie ou variação de peso', avaliar: vitalsRule },
+    { id: 'exame-atrasado', descricao: `Exame sem resultado há mais de ${EXAM_DEADLINE_DAYS} dias`, avaliar: examRule },
+    { id: 'vacina-atrasada', descricao: 'Reforço de vacina atrasado', avaliar: vaccinationRule }
+];
+
+// Aplica todas as regras; retorna a tag sugerida e os motivos (do mais grave ao mais leve)
+function evaluateTriage(pet, hoje) {
+    const motivos = [];
+    TRIAGE_RULES.forEach(regra => {
+        regra.avaliar(pet, hoje).forEach(m => motivos.push({ regra: regra.id, ...m }));
+    });
+    motivos.sort((a, b) => TAG_SEVERITY[b.tag] - TAG_SEVERITY[a.tag]);
+    return { tag: motivos.length ? motivos[0].tag : 'green', motivos };
+}
+
+// Reavalia o pet e grava a sugestão em pet.triagem. Retorna o que mudou:
+// alterado (algo a gravar), de/para (tag antes e depois) e sugestao/motivos.
+function applyTriage(pet, hoje, modo = TRIAGE_MODE) {
+    const { tag, motivos } = evaluateTriage(pet, hoje);
+    const anterior = pet.triagem || {};
+    const tagAtual = pet.tag || 'green';
+
+    const sugestaoMudou = tag !== anterior.sugestao;
+    const motivosMudaram = JSON.stringify(motivos) !== JSON.stringify(anterior.motivos || []);
+    if (!sugestaoMudou && !motivosMudaram) {
+        return { alterado: false };
+    }
+
+    pet.triagem = { sugestao: tag, motivos, avaliadoEm: new Date().toISOString() };
+    if (modo === MODE_AUTOMATICO && sugestaoMudou && isMoreSevere(tag, tagAtual)) {
+        pet.tag = tag;
+    }
+
+    return {
+        alterado: true,
+        de: tagAtual,
+        para: pet.tag || 'green',
+        sugestao: tag,
+        sugestaoNova: sugestaoMudou,
+        motivos
+    };
+}
+
+function triageRules() {
+    return TRIAGE_RULES.map(({ id, descricao }) => ({ id, descricao }));
+}
+
+module.exports = {
+    MODE_SUGESTAO,
+    MODE_AUTOMATICO,
+    TRIAGE_MODE,
+    TRIAGE_USER,
+    VITAL_RANGES,
+    isMoreSevere,
+    evaluateTriage,
+    applyTriage,
+    triageRules
+};
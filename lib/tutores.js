@@ -0,0 +1,225 @@
+// Cadastro de tutores (coleção usuarios): cada tutor tem um id, CPF só com dígitos e
+// contato. A conta de acesso ao portal fica no diretório de usuários (lib/contas.js, com
+// `tutorId`) e é opcional, para tutores cadastrados só na recepção.
+//
+// O pet aponta para o tutor por `tutorId`. Nome, CPF, telefone e endereço continuam
+// copiados no pet (tutorNome, tutorCpf...) para listas, buscas e documentos, mas só são
+// gravados a partir do cadastro do tutor (syncPetTutor): alterar o tutor atualiza todos
+// os pets dele.
+
+const { normalizeCPF } = require('./validacao');
+
+// Campos do tutor copiados no pet
+const PET_TUTOR_FIELDS = { nome: 'tutorNome', cpf: 'tutorCpf', telefone: 'tutorTelefone', endereco: 'tutorEndereco' };
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+function findByCpf(tutores, cpf) {
+    const digitos = normalizeCPF(cpf);
+    return digitos ? tutores.find(t => normalizeCPF(t.cpf) === digitos) : null;
+}
+
+// Tutor sem conta de acesso (cadastrado pela equipe)
+function createTutor(tutores, dados) {
+    const agora = new Date().toISOString();
+    const tutor = {
+        id: nextId(tutores),
+        nome: dados.nome,
+        cpf: normalizeCPF(dados.cpf),
+        telefone: digits(dados.telefone),
+        endereco: dados.endereco || '',
+        dataCadastro: agora,
+        atualizadoEm: agora
+    };
+    tutores.push(tutor);
+    return tutor;
+}
+
+// Confere o tutor já validado pelo esquema; retorna a mensagem de erro ou null
+function validateTutor(tutores, dados, atual) {
+    if (dados.cpf !== undefined) {
+        const outro = findByCpf(tutores, dados.cpf);
+        if (outro && outro !== atual) {
+            return `O CPF informado já pertence ao tutor ${outro.nome}.`;
+        }
+    }
+    return null;
+}
+
+function updateTutor(tutor, dados) {
+    ['nome', 'cpf', 'telefone', 'endereco'].forEach(campo => {
+        if (dados[campo] !== undefined) tutor[campo] = dados[campo];
+    });
+    tutor.atualizadoEm = new Date().toISOString();
+    return tutor;
+}
+
+// Grava no pet o vínculo e a cópia dos dados do tutor; retorna true se algo mudou
+function syncPetTutor(pet, tutor) {
+    let alterado = false;
+    if (pet.tutorId !== tutor.id) {
+        pet.tutorId = tutor.id;
+        alterado = true;
+    }
+    Object.entries(PET_TUTOR_FIELDS).forEach(([campo, campoPet]) => {
+        const valor = tutor[campo] || '';
+        if ((pet[campoPet] || '') !== valor) {
+            pet[campoPet] = valor;
+            alterado = true;
+        }
+    });
+    return alterado;
+}
+
+// Dados do tutor enviados junto com o pet (tutorNome, tutorCpf...) no formato do cadastro
+function tutorDataFromPet(dados) {
+    const tutor = {};
+    Object.entries(PET_TUTOR_FIELDS).forEach(([campo, campoPet]) => {
+        if (dados[campoPet] !== undefined) tutor[campo] = dados[campoPet];
+    });
+    return tutor;
+}
+
+function withoutTutorFields(dados) {
+    const resto = { ...dados };
+    Object.values(PET_TUTOR_FIELDS).forEach(campoPet => delete resto[campoPet]);
+    return resto;
+}
+
+// Migração: dá id e normaliza CPF/telefone dos tutores e cria o cadastro dos tutores que
+// só existiam copiados nos pets. Usa os dados do pet cadastrado mais recentemente.
+// Retorna true se a coleção de tutores foi alterada.
+function migrateTutors(tutores, pets) {
+    let alterado = false;
+    tutores.forEach(tutor => {
+        if (!tutor.id) {
+            tutor.id = nextId(tutores);
+            alterado = true;
+        }
+        const cpf = normalizeCPF(tutor.cpf);
+        const telefone = digits(tutor.telefone);
+        if (tutor.cpf !== cpf || (tutor.telefone || '') !== telefone) {
+            tutor.cpf = cpf;
+            tutor.telefone = telefone;
+            alterado = true;
+        }
+    });
+
+    pets
+        .filter(pet => normalizeCPF(pet.tutorCpf))
+        .sort((a, b) => String(b.dataCadastro || '').localeCompare(String(a.dataCadastro || '')))
+        .forEach(pet => {
+            if (findByCpf(tutores, pet.tutorCpf)) return;
+            createTutor(tutores, {
+                nome: pet.tutorNome || 'Tutor sem nome',
+                cpf: pet.tutorCpf,
+                telefone: pet.tutorTelefone,
+                endereco: pet.tutorEndereco
+            });
+            alterado = true;
+        });
+    return alterado;
+}
+
+// Liga cada pet ao tutor do seu CPF; retorna os pets alterados
+function linkPets(pets, tutores) {
+    return pets.filter(pet => {
+        const tutor = tutores.find(t => t.id === pet.tutorId) || findByCpf(tutores, pet.tutorCpf);
+        return tutor ? syncPetTutor(pet, tutor) : false;
+    });
+}
+
+function hasAccount(tutor, contas) {
+    return contas.some(c => c.tutorId === tutor.id && c.ativo !== false);
+}
+
+// Visão do tutor para a equipe, com os pets e se ele acessa o portal
+function tutorView(tutor, pets, contas = []) {
+    return {
+        ...tutor,
+        temAcesso: hasAccount(tutor, contas),
+        pets: pets
+            .filter(p => p.tutorId === tutor.id)
+            .map(p => ({ id: p.id, nome: p.nome, especie: p.especie }))
+    };
+}
+
+function searchTutors(tutores, termo) {
+    const texto = fold(termo);
+    const numeros = digits(termo);
+    if (!texto) return tutores;
+    return tutores.filter(t =>
+        fold(t.nome).includes(texto) ||
+        (numeros.length >= 3 && (normalizeCPF(t.cpf).includes(numeros) || digits(t.telefone).includes(numeros)))
+    );
+}
+
+// Possíveis cadastros repetidos: mesmo nome ou mesmo telefone com CPFs diferentes
+function findDuplicates(tutores) {
+    const grupos = [];
+    const agrupar = (motivo, chaveDe) => {
+        const porChave = {};
+        tutores.forEach(tutor => {
+            const chave = chaveDe(tutor);
+            if (chave) (porChave[chave] = porChave[chave] || []).push(tutor);
+        });
+        Object.values(porChave)
+            .filter(lista => lista.length > 1)
+            .forEach(lista => grupos.push({ motivo, tutorIds: lista.map(t => t.id) }));
+    };
+    agrupar('Mesmo nome', tutor => fold(tutor.nome).replace(/\s+/g, ' '));
+    agrupar('Mesmo telefone', tutor => digits(tutor.telefone).length >= 10 ? digits(tutor.telefone) : null);
+    return grupos;
+}
+
+// Mescla `origem` em `destino`; retorna a mensagem de erro ou null
+function validateMerge(destino, origem, contas) {
+    if (!destino || !origem) return 'Tutor não encontrado';
+    if (destino.id === origem.id) return 'Escolha dois tutores diferentes.';
+    if (hasAccount(destino, contas) && hasAccount(origem, contas)) {
+        return 'Os dois tutores têm conta de acesso ao portal e não podem ser mesclados.';
+    }
+    return null;
+}
+
+// O destino fica com os dados que faltarem; a conta de acesso da origem passa a apontar
+// para o destino (no servidor). A origem sai da coleção; o CPF dela fica registrado em
+// destino.cpfsAnteriores.
+function mergeTutors(tutores, destino, origem) {
+    ['telefone', 'endereco'].forEach(campo => {
+        if (!destino[campo] && origem[campo]) destino[campo] = origem[campo];
+    });
+    destino.cpfsAnteriores = [...(destino.cpfsAnteriores || []), origem.cpf, ...(origem.cpfsAnteriores || [])];
+    destino.atualizadoEm = new Date().toISOString();
+    tutores.splice(tutores.indexOf(origem), 1);
+    return destino;
+}
+
+module.exports = {
+    PET_TUTOR_FIELDS,
+    findByCpf,
+    createTutor,
+    validateTutor,
+    updateTutor,
+    syncPetTutor,
+    tutorDataFromPet,
+    withoutTutorFields,
+    migrateTutors,
+    linkPets,
+    tutorView,
+    searchTutors,
+    findDuplicates,
+    validateMerge,
+    mergeTutors
+};
@@ -0,0 +1,131 @@
+// Carteira de vacinação: cada dose aplicada é um registro em pet.vacinas,
+// substituindo o antigo texto livre pet.exames.vacinacao (sobrescrito a cada salvamento).
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function nextDoseId(vacinas) {
+    const maior = vacinas.reduce((max, dose) => Math.max(max, Number(dose.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function doseList(pet) {
+    if (!Array.isArray(pet.vacinas)) pet.vacinas = [];
+    return pet.vacinas;
+}
+
+// Converte o registro único antigo (exames.vacinacao + datas) em uma dose.
+// Retorna true se o pet foi alterado.
+function migrateLegacyVaccination(pet) {
+    const exames = pet.exames;
+    const legacyKeys = ['vacinacao', 'dataUltimaVacinacao', 'proximaVacinacao', 'observacoesVacinacao', 'dataVacinacao'];
+    if (!exames || !legacyKeys.some(k => k in exames)) return false;
+
+    if (exames.vacinacao) {
+        const vacinas = doseList(pet);
+        const agora = new Date().toISOString();
+        vacinas.push({
+            id: nextDoseId(vacinas),
+            vacina: exames.vacinacao,
+            lote: '',
+            fabricante: '',
+            veterinario: '',
+            dataAplicacao: exames.dataUltimaVacinacao || null,
+            proximaDose: exames.proximaVacinacao || null,
+            observacoes: exames.observacoesVacinacao || '',
+            criadoEm: agora,
+            atualizadoEm: agora
+        });
+    }
+
+    legacyKeys.forEach(k => delete exames[k]);
+    return true;
+}
+
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Valida os dados de uma dose; retorna a mensagem de erro ou null
+function validateDose(data, current) {
+    const merged = { ...(current || {}), ...data };
+
+    if (!merged.vacina || !String(merged.vacina).trim()) {
+        return 'Informe a vacina aplicada.';
+    }
+    if (!merged.dataAplicacao || !isValidDate(merged.dataAplicacao)) {
+        return 'Informe a data de aplicação (AAAA-MM-DD).';
+    }
+    if (merged.proximaDose) {
+        if (!isValidDate(merged.proximaDose)) {
+            return 'Data da próxima dose inválida (AAAA-MM-DD).';
+        }
+        if (merged.proximaDose <= merged.dataAplicacao) {
+            return 'A próxima dose deve ser posterior à data de aplicação.';
+        }
+    }
+    return null;
+}
+
+const EDITABLE_FIELDS = ['vacina', 'lote', 'fabricante', 'veterinario', 'dataAplicacao', 'proximaDose', 'observacoes'];
+
+function createDose(vacinas, data, usuario) {
+    const agora = new Date().toISOString();
+    const dose = {
+        id: nextDoseId(vacinas),
+        vacina: String(data.vacina).trim(),
+        lote: data.lote || '',
+        fabricante: data.fabricante || '',
+        veterinario: data.veterinario || usuario.nome || usuario.login,
+        dataAplicacao: data.dataAplicacao,
+        proximaDose: data.proximaDose || null,
+        observacoes: data.observacoes || '',
+        estoque: data.estoque || null,
+        registradoPor: usuario.login,
+        criadoEm: agora,
+        atualizadoEm: agora
+    };
+    vacinas.push(dose);
+    return dose;
+}
+
+function updateDose(dose, data, usuario) {
+    EDITABLE_FIELDS.forEach(campo => {
+        if (data[campo] !== undefined) dose[campo] = data[campo];
+    });
+    dose.atualizadoPor = usuario.login;
+    dose.atualizadoEm = new Date().toISOString();
+    return dose;
+}
+
+// Doses com reforço vencido ou vencendo até `limite` (AAAA-MM-DD).
+// Só a dose mais recente de cada vacina conta: aplicar o reforço encerra o lembrete anterior.
+function dueDoses(pet, hoje, limite) {
+    const ultimas = {};
+    (pet.vacinas || []).forEach(dose => {
+        const chave = String(dose.vacina).trim().toLowerCase();
+        const atual = ultimas[chave];
+        if (!atual || (dose.dataAplicacao || '') >= (atual.dataAplicacao || '')) {
+            ultimas[chave] = dose;
+        }
+    });
+
+    return Object.values(ultimas)
+        .filter(dose => dose.proximaDose && dose.proximaDose <= limite)
+        .map(dose => ({
+            doseId: dose.id,
+            vacina: dose.vacina,
+            ultimaDose: dose.dataAplicacao,
+            proximaDose: dose.proximaDose,
+            diasRestantes: Math.round((new Date(dose.proximaDose) - new Date(hoje)) / MS_PER_DAY),
+            atrasada: dose.proximaDose < hoje
+        }));
+}
+
+module.exports = {
+    doseList,
+    migrateLegacyVaccination,
+    validateDose,
+    createDose,
+    updateDose,
+    dueDoses
+};
@@ -0,0 +1,551 @@
+// Esquemas de validação dos dados recebidos pela API (pet, tutor, anamnese, consulta,
+// exame, vacina, agenda, internação, prescrição, sinais vitais, faturamento, estoque e funcionário).
+//
+// Cada esquema declara os campos aceitos; campos fora do esquema são recusados.
+// validate() devolve os dados normalizados (textos aparados, números convertidos,
+// CPF e telefone só com dígitos) e a lista de erros por campo, usada nas respostas 400.
+
+const { EXAM_STATUS } = require('./exames');
+const { STAFF_ROLES } = require('./auth');
+const { ADMINISTRATION_ROUTES } = require('./prescricoes');
+const { SERVICE_CATEGORIES, PAYMENT_METHODS } = require('./faturamento');
+const { PRODUCT_CATEGORIES, MOV_USO, MOV_PERDA } = require('./estoque');
+const { SYSTEM_STATUS, SYSTEM_SIGNS, COPYABLE_SECTIONS, situacaoField, sinaisField } = require('./anamneses');
+const { APPOINTMENT_TYPES, APPOINTMENT_STATUS } = require('./agenda');
+const { BOX_SECTORS } = require('./internacao');
+
+// CPF
+
+function normalizeCPF(cpf) {
+    return String(cpf || '').replace(/\D/g, '');
+}
+
+// Confere os dois dígitos verificadores (aceita com ou sem pontuação)
+function isValidCPF(cpf) {
+    const digitos = normalizeCPF(cpf);
+    if (!/^\d{11}$/.test(digitos) || /^(\d)\1{10}$/.test(digitos)) return false;
+
+    const numeros = digitos.split('').map(Number);
+    for (const tamanho of [9, 10]) {
+        const soma = numeros.slice(0, tamanho).reduce((total, n, i) => total + n * (tamanho + 1 - i), 0);
+        const digito = (soma * 10) % 11 % 10;
+        if (digito !== numeros[tamanho]) return false;
+    }
+    return true;
+}
+
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '');
+}
+
+function isValidPhone(phone) {
+    return /^\d{10,11}$/.test(normalizePhone(phone));
+}
+
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [y, m, d] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+// Validação de um campo: retorna { valor } ou { erro }
+function checkField(def, valor) {
+    const rotulo = def.rotulo;
+
+    switch (def.tipo) {
+        case 'texto': {
+            if (typeof valor !== 'string' && typeof valor !== 'number') return { erro: `${rotulo}: deve ser um texto.` };
+            const texto = def.aparar === false ? String(valor) : String(valor).trim();
+            if (def.max && texto.length > def.max) return { erro: `${rotulo}: no máximo ${def.max} caracteres.` };
+            if (def.min && texto.length < def.min) return { erro: `${rotulo}: no mínimo ${def.min} caracteres.` };
+            if (def.opcoes && texto && !def.opcoes.includes(texto)) {
+                return { erro: `${rotulo}: valor inválido. Use: ${def.opcoes.join(', ')}.` };
+            }
+            return { valor: texto };
+        }
+        case 'numero': {
+            const numero = typeof valor === 'number' ? valor : Number(String(valor).trim().replace(',', '.'));
+            if (valor === '' || !Number.isFinite(numero)) return { erro: `${rotulo}: deve ser um número.` };
+            if (def.inteiro && !Number.isInteger(numero)) return { erro: `${rotulo}: deve ser um número inteiro.` };
+            if ((def.minimo !== undefined && numero < def.minimo) || (def.maximo !== undefined && numero > def.maximo)) {
+                return { erro: `${rotulo}: deve estar entre ${def.minimo} e ${def.maximo}.` };
+            }
+            return { valor: numero };
+        }
+        case 'data':
+            if (typeof valor !== 'string' || !isValidDate(valor)) return { erro: `${rotulo}: data inválida (AAAA-MM-DD).` };
+            return { valor };
+        case 'booleano':
+            if (typeof valor !== 'boolean') return { erro: `${rotulo}: deve ser verdadeiro ou falso.` };
+            return { valor };
+        case 'cpf':
+            if (!isValidCPF(valor)) return { erro: `${rotulo}: CPF inválido.` };
+            return { valor: normalizeCPF(valor) };
+        case 'telefone':
+            if (!isValidPhone(valor)) return { erro: `${rotulo}: telefone inválido (DDD + número, 10 ou 11 dígitos).` };
+            return { valor: normalizePhone(valor) };
+        case 'selecao': {
+            // Várias opções marcadas, enviadas como texto separado por vírgulas (ex.: "normal, aumentado")
+            if (typeof valor !== 'string') return { erro: `${rotulo}: deve ser um texto.` };
+            const marcadas = valor.split(',').map(v => v.trim()).filter(Boolean);
+            const invalidas = marcadas.filter(v => !def.opcoes.includes(v));
+            if (invalidas.length) return { erro: `${rotulo}: opção inválida (${invalidas.join(', ')}). Use: ${def.opcoes.join(', ')}.` };
+            return { valor: marcadas.join(', ') };
+        }
+        case 'lista': {
+            if (!Array.isArray(valor)) return { erro: `${rotulo}: deve ser uma lista.` };
+            const itens = [];
+            for (let i = 0; i < valor.length; i++) {
+                // Lista de valores simples: `itens` é a definição de um campo, não um esquema
+                if (typeof def.itens.tipo === 'string') {
+                    const resultado = checkField({ ...def.itens, rotulo }, valor[i]);
+                    if (resultado.erro) return { erro: `${resultado.erro} (item ${i + 1})` };
+                    itens.push(resultado.valor);
+                    continue;
+                }
+                const { dados, erros } = validate(def.itens, valor[i]);
+                if (erros.length) return { erro: `${rotulo} (item ${i + 1}): ${erros[0].mensagem}` };
+                itens.push(dados);
+            }
+            return { valor: itens };
+        }
+        default:
+            throw new Error(`Tipo de campo desconhecido: ${def.tipo}`);
+    }
+}
+
+// Valida `data` contra o esquema. Com { parcial: true } (alterações), os campos
+// obrigatórios só são exigidos se vierem no corpo.
+function validate(schema, data, options = {}) {
+    const erros = [];
+    const dados = {};
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return { dados, erros: [{ campo: '', mensagem: 'O corpo da requisição deve ser um objeto.' }] };
+    }
+
+    Object.keys(data).forEach(campo => {
+        if (!schema[campo]) erros.push({ campo, mensagem: `${campo}: campo não permitido.` });
+    });
+
+    Object.entries(schema).forEach(([campo, def]) => {
+        const valor = data[campo];
+        const vazio = valor === undefined || valor === null || valor === '';
+
+        if (vazio) {
+            if (def.obrigatorio && !(options.parcial && valor === undefined)) {
+                erros.push({ campo, mensagem: `${def.rotulo}: campo obrigatório.` });
+            } else if (valor !== undefined) {
+                dados[campo] = def.tipo === 'lista' ? [] : '';
+            }
+            return;
+        }
+
+        const resultado = checkField(def, valor);
+        if (resultado.erro) erros.push({ campo, mensagem: resultado.erro });
+        else dados[campo] = resultado.valor;
+    });
+
+    return { dados, erros };
+}
+
+// Esquemas
+
+const SPECIES = ['Cão', 'Gato'];
+const SEXES = ['Macho', 'Fêmea'];
+// Os setores de internação (BOX_SECTORS) só entram pela admissão e pela transferência de box
+const LOCATIONS = ['Recepção'];
+const TAGS = ['green', 'yellow', 'red'];
+
+const tutorFields = {
+    tutorNome: { tipo: 'texto', rotulo: 'Nome do tutor', obrigatorio: true, max: 120 },
+    tutorCpf: { tipo: 'cpf', rotulo: 'CPF do tutor', obrigatorio: true },
+    tutorTelefone: { tipo: 'telefone', rotulo: 'Telefone do tutor' },
+    tutorEndereco: { tipo: 'texto', rotulo: 'Endereço do tutor', max: 300 }
+};
+
+const petSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome do pet', obrigatorio: true, max: 100 },
+    especie: { tipo: 'texto', rotulo: 'Espécie', obrigatorio: true, opcoes: SPECIES },
+    raca: { tipo: 'texto', rotulo: 'Raça', max: 100 },
+    idade: { tipo: 'numero', rotulo: 'Idade', minimo: 0, maximo: 40 },
+    sexo: { tipo: 'texto', rotulo: 'Sexo', opcoes: SEXES },
+    peso: { tipo: 'numero', rotulo: 'Peso (kg)', minimo: 0, maximo: 200 },
+    localizacao: { tipo: 'texto', rotulo: 'Localização', opcoes: LOCATIONS },
+    ...tutorFields
+};
+
+// Cadastro de conta de tutor (/api/cadastrar-tutor)
+const tutorSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome', obrigatorio: true, max: 120 },
+    cpf: { tipo: 'cpf', rotulo: 'CPF', obrigatorio: true },
+    telefone: { tipo: 'telefone', rotulo: 'Telefone', obrigatorio: true },
+    endereco: { tipo: 'texto', rotulo: 'Endereço', obrigatorio: true, max: 300 },
+    senha: { tipo: 'texto', rotulo: 'Senha', obrigatorio: true, min: 6, max: 100, aparar: false }
+};
+
+// Contato que o próprio tutor pode alterar no portal
+const tutorContatoSchema = {
+    telefone: tutorSchema.telefone,
+    endereco: tutorSchema.endereco
+};
+
+// Cadastro do tutor pela equipe (sem conta de acesso) e alteração dos dados
+const tutorCadastroSchema = {
+    nome: tutorSchema.nome,
+    cpf: tutorSchema.cpf,
+    telefone: { ...tutorSchema.telefone, obrigatorio: false },
+    endereco: { ...tutorSchema.endereco, obrigatorio: false }
+};
+
+const mesclagemTutorSchema = {
+    origemId: { tipo: 'numero', rotulo: 'Tutor a mesclar', obrigatorio: true, inteiro: true }
+};
+
+const transferenciaPetSchema = {
+    tutorId: { tipo: 'numero', rotulo: 'Novo tutor', obrigatorio: true, inteiro: true }
+};
+
+// Campos de texto livre da ficha de anamnese
+const ANAMNESE_TEXT_FIELDS = [
+    'queixaPrincipal', 'desdeQuandoNaFamilia', 'motivoAquisicao', 'imunizacao', 'desverminacao',
+    'ambiente', 'tipoPiso', 'exposicaoPoeira', 'exposicaoQuimicos', 'presencaRatos', 'presencaPlantas',
+    'animaisContactantes', 'convivenciaOutrosAnimais', 'alimentacao', 'manutencaoPeso', 'quantidadeAgua',
+    'defecacao', 'aspectoVomitos', 'frequenciaVomitos', 'frequenciaRegurgitacao', 'sistemaCardiorrespiratorio',
+    'sistemaGeniturinario', 'sistemaNeurologicoLocomotor', 'sistemaTegumentar', 'historicoMedicoMedicamentoso',
+    'nivelConsciencia', 'postura', 'escoreCorporal', 'avaliacaoCabeca', 'quaisLinfonodos', 'auscultaPulmonar',
+    'auscultaCardiaca', 'fr', 'fc', 'palpacaoAbdominal', 'pulsoArterial', 'sistemaReprodutor', 'temperatura',
+    'outrosAchados', 'suspeitaClinica', 'examesComplementares', 'diagnosticoDefinitivo', 'tratamento',
+    'avaliacaoComportamental'
+];
+
+const anamneseSchema = {
+    ...Object.fromEntries(ANAMNESE_TEXT_FIELDS.map(campo => [campo, { tipo: 'texto', rotulo: campo, max: 5000 }])),
+    dataUltimaDoseVacina: { tipo: 'data', rotulo: 'Data da última dose da vacina' },
+    dataUltimaDoseVermifugo: { tipo: 'data', rotulo: 'Data da última dose do vermífugo' },
+    frequenciaPasseios: { tipo: 'texto', rotulo: 'Frequência dos passeios', opcoes: ['diarios-1x', 'diarios-2x+', 'semanais'] },
+    duracaoPasseio: { tipo: 'texto', rotulo: 'Duração do passeio', opcoes: ['ate-15min', '15-30min', '30min+'] },
+    tipoConvivencia: { tipo: 'texto', rotulo: 'Tipo de convivência', opcoes: ['residem-juntos', 'contato-frequente', 'contato-raro'] },
+    vomitos: { tipo: 'texto', rotulo: 'Vômitos', opcoes: ['sim', 'nao'] },
+    regurgitacao: { tipo: 'texto', rotulo: 'Regurgitação', opcoes: ['sim', 'nao'] },
+    linfonodos: { tipo: 'texto', rotulo: 'Linfonodos', opcoes: ['normais', 'anormais'] },
+    apetite: { tipo: 'selecao', rotulo: 'Apetite', opcoes: ['normal', 'aumentado', 'diminuido', 'disfagia', 'parorexia', 'coprofagia'] },
+    ingestaoAgua: { tipo: 'selecao', rotulo: 'Ingestão de água', opcoes: ['normal', 'aumentado', 'diminuido'] },
+    mucosas: { tipo: 'selecao', rotulo: 'Mucosas', opcoes: ['normocoradas', 'palidas', 'congestas', 'cianoticas', 'ictericas'] },
+    // Situação e sinais de cada sistema (a descrição continua no campo de texto do sistema)
+    ...Object.fromEntries(Object.entries(SYSTEM_SIGNS).flatMap(([sistema, sinais]) => [
+        [situacaoField(sistema), { tipo: 'texto', rotulo: `${sistema}: situação`, opcoes: SYSTEM_STATUS }],
+        [sinaisField(sistema), { tipo: 'selecao', rotulo: `${sistema}: sinais`, opcoes: sinais }]
+    ]))
+};
+
+// Nova ficha de anamnese no histórico do pet
+const anamneseRegistroSchema = {
+    ...anamneseSchema,
+    data: { tipo: 'data', rotulo: 'Data da anamnese' },
+    agendamentoId: { tipo: 'numero', rotulo: 'Consulta', inteiro: true },
+    copiarSecoes: { tipo: 'lista', rotulo: 'Seções copiadas da anamnese anterior', itens: { tipo: 'texto', opcoes: Object.keys(COPYABLE_SECTIONS) } }
+};
+
+// Consulta registrada no prontuário (passada ou futura)
+const consultaSchema = {
+    data: { tipo: 'data', rotulo: 'Data da consulta', obrigatorio: true },
+    descricao: { tipo: 'texto', rotulo: 'Descrição', max: 2000 },
+    motivo: { tipo: 'texto', rotulo: 'Motivo', max: 2000 },
+    tipo: { tipo: 'texto', rotulo: 'Tipo', max: 50 },
+    veterinario: { tipo: 'texto', rotulo: 'Veterinário', max: 120 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 5000 },
+    agendamentoId: { tipo: 'numero', rotulo: 'Agendamento', inteiro: true }
+};
+
+const consultasSchema = {
+    consultasPassadas: { tipo: 'lista', rotulo: 'Consultas passadas', itens: consultaSchema },
+    consultasFuturas: { tipo: 'lista', rotulo: 'Consultas futuras', itens: consultaSchema }
+};
+
+const observacoesSchema = {
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 10000 }
+};
+
+const historicoClinicoSchema = {
+    historicoClinico: { tipo: 'texto', rotulo: 'Histórico clínico', max: 20000 }
+};
+
+const tagSchema = {
+    tag: { tipo: 'texto', rotulo: 'Status', obrigatorio: true, opcoes: TAGS }
+};
+
+const exameSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome do exame', obrigatorio: true, max: 200 },
+    descricao: { tipo: 'texto', rotulo: 'Descrição', max: 2000 },
+    status: { tipo: 'texto', rotulo: 'Status', opcoes: EXAM_STATUS },
+    solicitante: { tipo: 'texto', rotulo: 'Solicitante', max: 120 },
+    dataSolicitacao: { tipo: 'data', rotulo: 'Data da solicitação' },
+    dataColeta: { tipo: 'data', rotulo: 'Data da coleta' },
+    resultado: { tipo: 'texto', rotulo: 'Resultado', max: 10000 },
+    dataResultado: { tipo: 'data', rotulo: 'Data do resultado' }
+};
+
+// Dose de vacina aplicada (a ordem das datas é conferida em lib/vacinas.js)
+const doseSchema = {
+    vacina: { tipo: 'texto', rotulo: 'Vacina', obrigatorio: true, max: 150 },
+    dataAplicacao: { tipo: 'data', rotulo: 'Data de aplicação', obrigatorio: true },
+    proximaDose: { tipo: 'data', rotulo: 'Próxima dose' },
+    lote: { tipo: 'texto', rotulo: 'Lote', max: 60 },
+    fabricante: { tipo: 'texto', rotulo: 'Fabricante', max: 120 },
+    veterinario: { tipo: 'texto', rotulo: 'Veterinário', max: 120 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 2000 }
+};
+
+// Agendamento (o formato dos horários, AAAA-MM-DDTHH:MM, e os conflitos são conferidos em lib/agenda.js)
+const agendamentoSchema = {
+    petId: { tipo: 'numero', rotulo: 'Pet', obrigatorio: true, inteiro: true },
+    vetLogin: { tipo: 'texto', rotulo: 'Veterinário', obrigatorio: true, max: 60 },
+    inicio: { tipo: 'texto', rotulo: 'Início', obrigatorio: true, max: 16 },
+    fim: { tipo: 'texto', rotulo: 'Fim', obrigatorio: true, max: 16 },
+    tipo: { tipo: 'texto', rotulo: 'Tipo', obrigatorio: true, opcoes: APPOINTMENT_TYPES },
+    motivo: { tipo: 'texto', rotulo: 'Motivo', max: 500 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 2000 }
+};
+
+// Pedido de horário pelo portal do tutor: o fim e o status são definidos pela clínica
+const solicitacaoAgendamentoSchema = {
+    petId: agendamentoSchema.petId,
+    vetLogin: agendamentoSchema.vetLogin,
+    inicio: agendamentoSchema.inicio,
+    tipo: agendamentoSchema.tipo,
+    motivo: agendamentoSchema.motivo
+};
+
+// Remarcação ou edição de um agendamento (o pet não muda)
+const agendamentoAlteracaoSchema = {
+    vetLogin: agendamentoSchema.vetLogin,
+    inicio: agendamentoSchema.inicio,
+    fim: agendamentoSchema.fim,
+    tipo: agendamentoSchema.tipo,
+    motivo: agendamentoSchema.motivo,
+    observacoes: agendamentoSchema.observacoes
+};
+
+const statusAgendamentoSchema = {
+    status: { tipo: 'texto', rotulo: 'Status', obrigatorio: true, opcoes: APPOINTMENT_STATUS },
+    observacoes: agendamentoSchema.observacoes
+};
+
+// Internação: boxes, admissão, transferência, alta e ficha de tratamento
+const boxSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome do box', obrigatorio: true, max: 60 },
+    setor: { tipo: 'texto', rotulo: 'Setor', obrigatorio: true, opcoes: BOX_SECTORS },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 500 },
+    ativo: { tipo: 'booleano', rotulo: 'Ativo' }
+};
+
+const internacaoSchema = {
+    petId: { tipo: 'numero', rotulo: 'Pet', obrigatorio: true, inteiro: true },
+    boxId: { tipo: 'numero', rotulo: 'Box', obrigatorio: true, inteiro: true },
+    motivo: { tipo: 'texto', rotulo: 'Motivo da internação', max: 1000 },
+    veterinario: { tipo: 'texto', rotulo: 'Veterinário responsável', max: 120 }
+};
+
+const transferenciaBoxSchema = {
+    boxId: internacaoSchema.boxId
+};
+
+const altaSchema = {
+    resumoAlta: { tipo: 'texto', rotulo: 'Resumo da alta', max: 5000 }
+};
+
+// Tratamento da ficha de internação (os horários HH:MM são conferidos em lib/internacao.js)
+const tratamentoSchema = {
+    medicamento: { tipo: 'texto', rotulo: 'Medicamento', obrigatorio: true, max: 150 },
+    dose: { tipo: 'texto', rotulo: 'Dose', max: 100 },
+    via: { tipo: 'texto', rotulo: 'Via', max: 50 },
+    horarios: { tipo: 'lista', rotulo: 'Horários', obrigatorio: true, itens: { tipo: 'texto', max: 5 } },
+    inicio: { tipo: 'data', rotulo: 'Início' },
+    fim: { tipo: 'data', rotulo: 'Término' },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 1000 }
+};
+
+// Horário da ficha marcado como aplicado (a baixa de estoque vem em baixaEstoqueSchema)
+const aplicacaoSchema = {
+    horario: { tipo: 'texto', rotulo: 'Horário previsto', obrigatorio: true, max: 16 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 500 }
+};
+
+// Item de prescrição: dose em mg/kg, a cada `frequenciaHoras` horas, por `duracaoDias` dias
+const prescricaoItemSchema = {
+    medicamento: { tipo: 'texto', rotulo: 'Medicamento', obrigatorio: true, max: 150 },
+    doseMgKg: { tipo: 'numero', rotulo: 'Dose (mg/kg)', obrigatorio: true, minimo: 0.001, maximo: 1000 },
+    via: { tipo: 'texto', rotulo: 'Via', obrigatorio: true, opcoes: ADMINISTRATION_ROUTES },
+    frequenciaHoras: { tipo: 'numero', rotulo: 'Frequência (horas)', obrigatorio: true, inteiro: true, minimo: 1, maximo: 168 },
+    duracaoDias: { tipo: 'numero', rotulo: 'Duração (dias)', obrigatorio: true, inteiro: true, minimo: 1, maximo: 365 },
+    instrucoes: { tipo: 'texto', rotulo: 'Instruções', max: 500 }
+};
+
+const prescricaoSchema = {
+    itens: { tipo: 'lista', rotulo: 'Medicamentos', obrigatorio: true, itens: prescricaoItemSchema },
+    agendamentoId: { tipo: 'numero', rotulo: 'Consulta', inteiro: true },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 2000 }
+};
+
+const revogacaoSchema = {
+    motivo: { tipo: 'texto', rotulo: 'Motivo da revogação', obrigatorio: true, max: 500 }
+};
+
+// Lote de onde sai o que foi usado (vacina aplicada, medicamento dispensado ou aplicado)
+const baixaEstoqueSchema = {
+    produtoId: { tipo: 'numero', rotulo: 'Produto do estoque', obrigatorio: true, inteiro: true },
+    loteId: { tipo: 'numero', rotulo: 'Lote', obrigatorio: true, inteiro: true },
+    unidades: { tipo: 'numero', rotulo: 'Quantidade retirada do estoque', minimo: 0.001, maximo: 10000 }
+};
+
+const dispensacaoSchema = {
+    itemId: { tipo: 'numero', rotulo: 'Item da prescrição', obrigatorio: true, inteiro: true },
+    quantidade: { tipo: 'texto', rotulo: 'Quantidade entregue', obrigatorio: true, max: 100 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 500 },
+    produtoId: { ...baixaEstoqueSchema.produtoId, obrigatorio: false },
+    loteId: { ...baixaEstoqueSchema.loteId, obrigatorio: false },
+    unidades: baixaEstoqueSchema.unidades
+};
+
+// Medição de sinais vitais (ao menos uma medida é exigida em lib/vitais.js)
+const sinaisVitaisSchema = {
+    data: { tipo: 'data', rotulo: 'Data da medição' },
+    agendamentoId: { tipo: 'numero', rotulo: 'Consulta', inteiro: true },
+    peso: { tipo: 'numero', rotulo: 'Peso (kg)', minimo: 0.01, maximo: 200 },
+    temperatura: { tipo: 'numero', rotulo: 'Temperatura (°C)', minimo: 30, maximo: 45 },
+    fc: { tipo: 'numero', rotulo: 'FC (bpm)', inteiro: true, minimo: 10, maximo: 400 },
+    fr: { tipo: 'numero', rotulo: 'FR (mpm)', inteiro: true, minimo: 2, maximo: 200 },
+    escoreCorporal: { tipo: 'numero', rotulo: 'Escore corporal', inteiro: true, minimo: 1, maximo: 9 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 1000 }
+};
+
+// Catálogo de serviços do faturamento
+const servicoSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome do serviço', obrigatorio: true, max: 150 },
+    categoria: { tipo: 'texto', rotulo: 'Categoria', obrigatorio: true, opcoes: SERVICE_CATEGORIES },
+    preco: { tipo: 'numero', rotulo: 'Preço (R$)', obrigatorio: true, minimo: 0, maximo: 100000 },
+    padrao: { tipo: 'booleano', rotulo: 'Padrão da categoria' },
+    ativo: { tipo: 'booleano', rotulo: 'Ativo' }
+};
+
+// Serviço do catálogo cobrado fora dos registros do prontuário
+const faturaExtraSchema = {
+    servicoId: { tipo: 'numero', rotulo: 'Serviço', obrigatorio: true, inteiro: true },
+    quantidade: { tipo: 'numero', rotulo: 'Quantidade', inteiro: true, minimo: 1, maximo: 1000 },
+    descricao: { tipo: 'texto', rotulo: 'Descrição', max: 200 }
+};
+
+const faturaSchema = {
+    petId: { tipo: 'numero', rotulo: 'Pet', obrigatorio: true, inteiro: true },
+    origens: { tipo: 'lista', rotulo: 'Cobranças', itens: { tipo: 'texto', max: 100 } },
+    extras: { tipo: 'lista', rotulo: 'Serviços avulsos', itens: faturaExtraSchema },
+    desconto: { tipo: 'numero', rotulo: 'Desconto (R$)', minimo: 0, maximo: 100000 },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 1000 }
+};
+
+const pagamentoSchema = {
+    valor: { tipo: 'numero', rotulo: 'Valor (R$)', obrigatorio: true, minimo: 0.01, maximo: 100000 },
+    forma: { tipo: 'texto', rotulo: 'Forma de pagamento', obrigatorio: true, opcoes: PAYMENT_METHODS },
+    observacoes: { tipo: 'texto', rotulo: 'Observações', max: 500 }
+};
+
+const cancelamentoSchema = {
+    motivo: { tipo: 'texto', rotulo: 'Motivo do cancelamento', obrigatorio: true, max: 500 }
+};
+
+// Estoque: produtos, entrada de lotes e baixas manuais (uso ou perda)
+const produtoSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome do produto', obrigatorio: true, max: 150 },
+    categoria: { tipo: 'texto', rotulo: 'Categoria', obrigatorio: true, opcoes: PRODUCT_CATEGORIES },
+    unidade: { tipo: 'texto', rotulo: 'Unidade', max: 30 },
+    estoqueMinimo: { tipo: 'numero', rotulo: 'Estoque mínimo', minimo: 0, maximo: 100000 },
+    ativo: { tipo: 'booleano', rotulo: 'Ativo' }
+};
+
+const loteSchema = {
+    numero: { tipo: 'texto', rotulo: 'Número do lote', obrigatorio: true, max: 60 },
+    validade: { tipo: 'data', rotulo: 'Validade', obrigatorio: true },
+    quantidade: { tipo: 'numero', rotulo: 'Quantidade', obrigatorio: true, minimo: 0.001, maximo: 100000 },
+    fabricante: { tipo: 'texto', rotulo: 'Fabricante', max: 120 },
+    motivo: { tipo: 'texto', rotulo: 'Observações', max: 500 }
+};
+
+const movimentacaoSchema = {
+    tipo: { tipo: 'texto', rotulo: 'Tipo de movimentação', obrigatorio: true, opcoes: [MOV_USO, MOV_PERDA] },
+    loteId: baixaEstoqueSchema.loteId,
+    quantidade: { tipo: 'numero', rotulo: 'Quantidade', obrigatorio: true, minimo: 0.001, maximo: 100000 },
+    motivo: { tipo: 'texto', rotulo: 'Motivo', obrigatorio: true, max: 500 }
+};
+
+const staffSchema = {
+    nome: { tipo: 'texto', rotulo: 'Nome', obrigatorio: true, max: 120 },
+    login: { tipo: 'texto', rotulo: 'Login', obrigatorio: true, min: 3, max: 60 },
+    contato: { tipo: 'telefone', rotulo: 'Contato', obrigatorio: true },
+    senha: { tipo: 'texto', rotulo: 'Senha', obrigatorio: true, min: 6, max: 100, aparar: false },
+    role: { tipo: 'texto', rotulo: 'Cargo', obrigatorio: true, opcoes: STAFF_ROLES },
+    crmv: { tipo: 'texto', rotulo: 'CRMV', max: 30 }
+};
+
+// Médico veterinário gestor (/api/cadastrar-vet): CRMV obrigatório e sem cargo (é sempre Medico vet)
+const vetSchema = {
+    nome: staffSchema.nome,
+    login: staffSchema.login,
+    contato: staffSchema.contato,
+    senha: staffSchema.senha,
+    crmv: { ...staffSchema.crmv, obrigatorio: true }
+};
+
+// Troca da própria senha (qualquer conta, inclusive após uma senha temporária)
+const trocaSenhaSchema = {
+    senhaAtual: { tipo: 'texto', rotulo: 'Senha atual', obrigatorio: true, max: 100, aparar: false },
+    novaSenha: { ...staffSchema.senha, rotulo: 'Nova senha' }
+};
+
+module.exports = {
+    normalizeCPF,
+    normalizePhone,
+    isValidCPF,
+    isValidPhone,
+    validate,
+    petSchema,
+    tutorSchema,
+    tutorContatoSchema,
+    tutorCadastroSchema,
+    mesclagemTutorSchema,
+    transferenciaPetSchema,
+    anamneseSchema,
+    anamneseRegistroSchema,
+    consultasSchema,
+    observacoesSchema,
+    historicoClinicoSchema,
+    tagSchema,
+    exameSchema,
+    doseSchema,
+    agendamentoSchema,
+    solicitacaoAgendamentoSchema,
+    agendamentoAlteracaoSchema,
+    statusAgendamentoSchema,
+    boxSchema,
+    internacaoSchema,
+    transferenciaBoxSchema,
+    altaSchema,
+    tratamentoSchema,
+    aplicacaoSchema,
+    prescricaoSchema,
+    revogacaoSchema,
+    baixaEstoqueSchema,
+    dispensacaoSchema,
+    sinaisVitaisSchema,
+    servicoSchema,
+    faturaSchema,
+    pagamentoSchema,
+    cancelamentoSchema,
+    produtoSchema,
+    loteSchema,
+    movimentacaoSchema,
+    staffSchema,
+    vetSchema,
+    trocaSenhaSchema
+};
@@ -0,0 +1,154 @@
+// Sinais vitais do pet (pet.sinaisVitais): cada registro é uma medição feita em uma
+// consulta (agendamentoId) ou avulsa, com peso, temperatura, FC, FR e escore corporal.
+//
+// pet.peso continua sendo o peso atual (usado no cálculo das doses) e acompanha a
+// pesagem mais recente. Quando o peso varia mais que ALERTA_PESO_PERCENTUAL (padrão 10%)
+// entre duas pesagens seguidas, o registro sai sinalizado no histórico.
+
+const { parseWeight } = require('./prescricoes');
+
+const VITAL_FIELDS = ['peso', 'temperatura', 'fc', 'fr', 'escoreCorporal'];
+const WEIGHT_ALERT_PERCENT = Number(process.env.ALERTA_PESO_PERCENTUAL) || 10;
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function nextId(lista) {
+    const maior = lista.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+    return Math.max(Date.now(), maior + 1);
+}
+
+function vitalsList(pet) {
+    if (!Array.isArray(pet.sinaisVitais)) pet.sinaisVitais = [];
+    return pet.sinaisVitais;
+}
+
+// Ordem cronológica: dia da medição e, no mesmo dia, ordem de registro
+function sortByDate(registros) {
+    return registros.slice().sort((a, b) =>
+        a.data.localeCompare(b.data) || a.registradoEm.localeCompare(b.registradoEm)
+    );
+}
+
+// Mantém pet.peso igual à pesagem mais recente
+function syncCurrentWeight(pet) {
+    const pesagens = sortByDate(vitalsList(pet)).filter(r => r.peso !== undefined && r.peso !== null);
+    if (pesagens.length) pet.peso = pesagens[pesagens.length - 1].peso;
+}
+
+// Pets cadastrados antes do histórico: o peso do cadastro vira a primeira pesagem.
+// Retorna true se o pet foi alterado.
+function migrateInitialWeight(pet) {
+    if (Array.isArray(pet.sinaisVitais)) return false;
+    vitalsList(pet);
+    recordWeight(pet, pet.peso, null, (pet.dataCadastro || new Date().toISOString()).split('T')[0]);
+    return true;
+}
+
+// Registra uma pesagem vinda do cadastro do pet (novo pet ou peso alterado na ficha)
+function recordWeight(pet, peso, usuario, data) {
+    const valor = parseWeight(peso);
+    if (isNaN(valor)) return null;
+
+    const registros = vitalsList(pet);
+    const registro = {
+        id: nextId(registros),
+        data: data || today(),
+        agendamentoId: null,
+        peso: valor,
+        origem: 'cadastro',
+        observacoes: '',
+        registradoPor: usuario ? usuario.login : null,
+        registradoEm: new Date().toISOString()
+    };
+    registros.push(registro);
+    return registro;
+}
+
+// Confere a medição já validada pelo esquema; retorna a mensagem de erro ou null
+function validateVitals(dados, pet, agendamento) {
+    if (!VITAL_FIELDS.some(campo => dados[campo] !== undefined && dados[campo] !== '')) {
+        return 'Informe ao menos uma medida (peso, temperatura, FC, FR ou escore corporal).';
+    }
+    if (dados.data && dados.data > today()) {
+        return 'A data da medição não pode estar no futuro.';
+    }
+    if (dados.agendamentoId && (!agendamento || agendamento.petId != pet.id)) {
+        return 'Consulta não encontrada para este pet.';
+    }
+    return null;
+}
+
+function createVitals(pet, dados, agendamento, usuario) {
+    const registros = vitalsList(pet);
+    const registro = {
+        id: nextId(registros),
+        data: dados.data || (agendamento ? agendamento.inicio.split('T')[0] : today()),
+        agendamentoId: agendamento ? agendamento.id : null,
+        origem: agendamento ? 'consulta' : 'avulsa',
+        observacoes: dados.observacoes || '',
+        registradoPor: usuario.login,
+        registradoEm: new Date().toISOString()
+    };
+    VITAL_FIELDS.forEach(campo => {
+        if (dados[campo] !== undefined && dados[campo] !== '') registro[campo] = dados[campo];
+    });
+    registros.push(registro);
+    syncCurrentWeight(pet);
+    return registro;
+}
+
+function removeVitals(pet, registroId) {
+    const registros = vitalsList(pet);
+    const indice = registros.findIndex(r => r.id == registroId);
+    if (indice === -1) return null;
+    const [removido] = registros.splice(indice, 1);
+    syncCurrentWeight(pet);
+    return removido;
+}
+
+// Histórico em ordem cronológica; cada pesagem traz a variação em relação à anterior
+function vitalsHistory(pet, limitePercentual = WEIGHT_ALERT_PERCENT) {
+    let pesoAnterior = null;
+    return sortByDate(pet.sinaisVitais || []).map(registro => {
+        if (registro.peso === undefined || registro.peso === null) return { ...registro };
+        const variacaoPeso = pesoAnterior
+            ? Math.round(((registro.peso - pesoAnterior) / pesoAnterior) * 1000) / 10
+            : null;
+        pesoAnterior = registro.peso;
+        return {
+            ...registro,
+            variacaoPeso,
+            alertaPeso: variacaoPeso !== null && Math.abs(variacaoPeso) > limitePercentual
+        };
+    });
+}
+
+// Valor mais recente de cada medida, com a data da medição
+function latestVitals(pet, limitePercentual = WEIGHT_ALERT_PERCENT) {
+    const historico = vitalsHistory(pet, limitePercentual);
+    const ultimos = {};
+    VITAL_FIELDS.forEach(campo => {
+        const registro = historico.filter(r => r[campo] !== undefined && r[campo] !== null).pop();
+        ultimos[campo] = registro ? { valor: registro[campo], data: registro.data } : null;
+    });
+
+    const ultimaPesagem = historico.filter(r => r.peso !== undefined && r.peso !== null).pop();
+    ultimos.variacaoPeso = ultimaPesagem ? ultimaPesagem.variacaoPeso : null;
+    ultimos.alertaPeso = !!(ultimaPesagem && ultimaPesagem.alertaPeso);
+    return ultimos;
+}
+
+module.exports = {
+    VITAL_FIELDS,
+    WEIGHT_ALERT_PERCENT,
+    vitalsList,
+    migrateInitialWeight,
+    recordWeight,
+    validateVitals,
+    createVitals,
+    removeVitals,
+    vitalsHistory,
+    latestVitals
+};
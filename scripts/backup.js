@@ -0,0 +1,80 @@
+// Backups das coleções pela linha de comando (o servidor também gera backups sozinho,
+// veja BACKUP_INTERVALO_HORAS no README).
+//
+// Uso: npm run backup -- [criar | listar | restaurar <nome>] [--dir <pasta dos backups>]
+//
+// Vale para o armazenamento configurado em STORAGE (JSON ou SQLite). Antes de restaurar,
+// um backup do estado atual é gerado, então a restauração pode ser desfeita. Rode a
+// restauração com o servidor parado.
+
+const path = require('path');
+const { COLLECTIONS, createStore, relocateDataFiles } = require('../lib/storage');
+const { ROOT_DIR, DATA_DIR, BACKUP_DIR } = require('../lib/config');
+const { BACKUP_RETENTION_DAYS, createBackup, listBackups, pruneBackups, restoreBackup } = require('../lib/backup');
+
+function parseArgs(argv) {
+    const options = {
+        dir: BACKUP_DIR,
+        comando: 'criar',
+        nome: null
+    };
+    const posicionais = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') options.dir = path.resolve(argv[++i]);
+        else posicionais.push(argv[i]);
+    }
+    if (posicionais.length) options.comando = posicionais[0];
+    options.nome = posicionais[1] || null;
+    return options;
+}
+
+function describe(backup) {
+    const registros = Object.values(backup.colecoes).reduce((soma, n) => soma + n, 0);
+    return `${backup.nome}  ${backup.motivo}${backup.criadoPor ? ` (${backup.criadoPor})` : ''}  ${registros} registro(s)`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!['criar', 'listar', 'restaurar'].includes(options.comando)) {
+        throw new Error(`Comando desconhecido: ${options.comando}. Use criar, listar ou restaurar <nome>.`);
+    }
+    if (options.comando === 'restaurar' && !options.nome) {
+        throw new Error('Informe o nome do backup a restaurar (veja npm run backup -- listar).');
+    }
+
+    relocateDataFiles(ROOT_DIR, DATA_DIR);
+    const store = createStore(DATA_DIR);
+    const colecoes = Object.fromEntries(COLLECTIONS.map(nome => [nome, store.collection(nome)]));
+
+    try {
+        if (options.comando === 'listar') {
+            const backups = await listBackups(options.dir);
+            if (!backups.length) console.log(`Nenhum backup em ${options.dir}`);
+            backups.forEach(backup => console.log(describe(backup)));
+            return;
+        }
+
+        if (options.comando === 'restaurar') {
+            if (!(await listBackups(options.dir)).some(b => b.nome === options.nome)) {
+                throw new Error(`Backup não encontrado: ${options.nome}`);
+            }
+            const seguranca = await createBackup(colecoes, options.dir, { motivo: 'antes-da-restauracao' });
+            console.log(`Estado atual guardado no backup ${seguranca.nome}`);
+            const restaurado = await restoreBackup(colecoes, options.dir, options.nome);
+            console.log(`Backup ${restaurado.nome} restaurado.`);
+            return;
+        }
+
+        const backup = await createBackup(colecoes, options.dir, { motivo: 'manual' });
+        const apagados = await pruneBackups(options.dir, BACKUP_RETENTION_DAYS);
+        console.log(`Backup criado: ${describe(backup)}`);
+        if (apagados.length) console.log(`${apagados.length} backup(s) antigo(s) apagado(s)`);
+    } finally {
+        store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Erro no backup:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+// Importa os arquivos JSON das coleções para o banco SQLite.
+//
+// Uso: npm run importar-sqlite -- [--dir <pasta dos JSON>] [--db <arquivo .db>] [coleções...]
+//
+// Cada coleção importada substitui o conteúdo que já estiver no banco, então o
+// comando pode ser repetido com segurança. Rode com o servidor parado.
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, createStore, relocateDataFiles } = require('../lib/storage');
+const { ROOT_DIR, DATA_DIR } = require('../lib/config');
+
+function parseArgs(argv) {
+    const options = { dir: DATA_DIR, db: null, colecoes: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') options.dir = path.resolve(argv[++i]);
+        else if (argv[i] === '--db') options.db = path.resolve(argv[++i]);
+        else options.colecoes.push(argv[i]);
+    }
+    if (!options.colecoes.length) options.colecoes = COLLECTIONS;
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    relocateDataFiles(ROOT_DIR, DATA_DIR);
+    const store = createStore(options.dir, { backend: 'sqlite', file: options.db });
+
+    try {
+        for (const nome of options.colecoes) {
+            const arquivo = path.join(options.dir, `${nome}.json`);
+            if (!fs.existsSync(arquivo)) {
+                console.log(`${nome}: ${arquivo} não encontrado, ignorado`);
+                continue;
+            }
+
+            const registros = JSON.parse(fs.readFileSync(arquivo, 'utf8') || '[]');
+            if (!Array.isArray(registros)) {
+                throw new Error(`${arquivo} não contém uma lista de registros`);
+            }
+
+            await store.collection(nome).update(atuais => {
+                atuais.splice(0, atuais.length, ...registros);
+                return true;
+            });
+            console.log(`${nome}: ${registros.length} registro(s) importado(s)`);
+        }
+    } finally {
+        store.close();
+    }
+
+    console.log('Importação concluída.');
+}
+
+main().catch(error => {
+    console.error('Erro na importação:', error.message);
+    process.exit(1);
+});
@@ -1,717 +1,3887 @@
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const { createStore, relocateDataFiles } = require('./lib/storage');
+const {
+    ROOT_DIR,
+    PUBLIC_DIR,
+    PORT,
+    DATA_DIR,
+    BACKUP_DIR,
+    CORS_ORIGINS
+} = require('./lib/config');
+const {
+    requireAuth,
+    requireStreamAuth,
+    requireRole,
+    hasRole,
+    issueToken,
+    hashPassword,
+    isPasswordHashed,
+    verifyPassword,
+    ROLE_TUTOR,
+    VET_ROLES,
+    CLINICAL_ROLES,
+    STAFF_ROLES,
+    MANAGER_ROLES
+} = require('./lib/auth');
+const {
+    examList,
+    migrateLegacyExams,
+    validateExam,
+    validateRelease,
+    releaseExam,
+    createExam,
+    updateExam
+} = require('./lib/exames');
+const {
+    normalizeCPF,
+    normalizePhone,
+    validate,
+    petSchema,
+    tutorSchema,
+    tutorContatoSchema,
+    tutorCadastroSchema,
+    mesclagemTutorSchema,
+    transferenciaPetSchema,
+    anamneseSchema,
+    anamneseRegistroSchema,
+    consultasSchema,
+    observacoesSchema,
+    historicoClinicoSchema,
+    tagSchema,
+    exameSchema,
+    doseSchema,
+    agendamentoSchema,
+    solicitacaoAgendamentoSchema,
+    agendamentoAlteracaoSchema,
+    statusAgendamentoSchema,
+    boxSchema,
+    internacaoSchema,
+    transferenciaBoxSchema,
+    altaSchema,
+    tratamentoSchema,
+    aplicacaoSchema,
+    prescricaoSchema,
+    revogacaoSchema,
+    baixaEstoqueSchema,
+    dispensacaoSchema,
+    sinaisVitaisSchema,
+    servicoSchema,
+    faturaSchema,
+    pagamentoSchema,
+    cancelamentoSchema,
+    produtoSchema,
+    loteSchema,
+    movimentacaoSchema,
+    staffSchema,
+    vetSchema,
+    trocaSenhaSchema
+} = require('./lib/validacao');
+const {
+    doseList,
+    migrateLegacyVaccination,
+    validateDose,
+    createDose,
+    updateDose,
+    dueDoses
+} = require('./lib/vacinas');
+const {
+    STATUS_TRANSITIONS,
+    STATUS_SOLICITADA,
+    STATUS_CONFIRMADA,
+    STATUS_REALIZADA,
+    STATUS_CANCELADA,
+    REQUEST_DURATION_MINUTES,
+    isValidDay,
+    isValidSlot,
+    addMinutes,
+    nowSlot,
+    addDays,
+    weekRange,
+    validateAppointment,
+    findConflicts,
+    conflictMessage,
+    createAppointment,
+    changeStatus,
+    toPastConsultation,
+    sortBySlot
+} = require('./lib/agenda');
+const {
+    STATUS_INTERNADO,
+    validateBox,
+    createBox,
+    updateBox,
+    findActiveByBox,
+    findActiveByPet,
+    placementError,
+    createAdmission,
+    moveToBox,
+    discharge,
+    occupancyBoard,
+    validateTreatment,
+    addTreatment,
+    suspendTreatment,
+    treatmentSheet,
+    validateCheck,
+    registerCheck
+} = require('./lib/internacao');
+const {
+    isOwner,
+    petSummary,
+    petPortalView
+} = require('./lib/portal');
+const { parsePetQuery, searchPets } = require('./lib/pacientes');
+const {
+    STATUS_RASCUNHO,
+    STATUS_REVOGADA,
+    STATUS_ENCERRADA,
+    PRESCRIBER_ROLES,
+    DRAFT_ROLES,
+    parseWeight,
+    validatePrescription,
+    createPrescription,
+    signPrescription,
+    revokePrescription,
+    prescriptionStatus,
+    prescriptionView,
+    petPrescriptions,
+    activePrescriptions,
+    validateDispensing,
+    registerDispensing
+} = require('./lib/prescricoes');
+const {
+    WEIGHT_ALERT_PERCENT,
+    migrateInitialWeight,
+    recordWeight,
+    validateVitals,
+    createVitals,
+    removeVitals,
+    vitalsHistory,
+    latestVitals
+} = require('./lib/vitais');
+const {
+    COPYABLE_SECTIONS,
+    migrateLegacyAnamnesis,
+    validateAnamnesis,
+    copySections,
+    createAnamnesis,
+    restoreAnamnesis,
+    anamnesisSummaries,
+    compareAnamneses
+} = require('./lib/anamneses');
+const {
+    DOCUMENT_TYPES,
+    fileName,
+    validateDocument,
+    buildDocument,
+    receiptFileName,
+    buildReceipt
+} = require('./lib/documentos');
+const {
+    STATUS_CANCELADA: FATURA_CANCELADA,
+    validateService,
+    createService,
+    updateService,
+    pendingCharges,
+    invoiceItems,
+    validateDiscount,
+    createInvoice,
+    validatePayment,
+    registerPayment,
+    validateCancel,
+    cancelInvoice,
+    outstandingBalances
+} = require('./lib/faturamento');
+const {
+    MOV_USO,
+    NEAR_EXPIRY_DAYS,
+    validateProduct,
+    createProduct,
+    updateProduct,
+    productSummary,
+    validateEntry,
+    registerEntry,
+    validateWithdrawal,
+    registerWithdrawal,
+    withdrawalRecord,
+    lowStockReport,
+    expiryReport
+} = require('./lib/estoque');
+const {
+    findByCpf,
+    createTutor,
+    validateTutor,
+    updateTutor,
+    syncPetTutor,
+    tutorDataFromPet,
+    withoutTutorFields,
+    migrateTutors,
+    linkPets,
+    tutorView,
+    searchTutors,
+    findDuplicates,
+    validateMerge,
+    mergeTutors
+} = require('./lib/tutores');
+const {
+    ACCOUNT_STAFF,
+    ACCOUNT_TUTOR,
+    ROLE_TRANSITIONS,
+    ROLES_WITHOUT_CRMV,
+    validateRoleChange,
+    findByLogin,
+    validateAccount,
+    createAccount,
+    updateAccount,
+    accountView,
+    validateDeactivation,
+    deactivateAccount,
+    reactivateAccount,
+    temporaryPassword,
+    importLegacyAccount
+} = require('./lib/contas');
+const {
+    TRIAGE_MODE,
+    TRIAGE_USER,
+    evaluateTriage,
+    applyTriage,
+    triageRules
+} = require('./lib/triagem');
+const {
+    TIPO_TAG,
+    TIPO_SUGESTAO,
+    createNotification,
+    notificationFeed,
+    markAsRead
+} = require('./lib/notificacoes');
+const {
+    createEventHub,
+    petChangeEvents,
+    petCreatedEvent
+} = require('./lib/eventos');
+const {
+    RESTORABLE_FIELDS,
+    diffRecords,
+    diffCollection,
+    auditTarget,
+    isPetEntry,
+    createAuditEntry,
+    touchesField,
+    versionBefore
+} = require('./lib/auditoria');
+const {
+    BACKUP_INTERVAL_HOURS,
+    BACKUP_RETENTION_DAYS,
+    createBackup,
+    listBackups,
+    recentBackup,
+    pruneBackups
+} = require('./lib/backup');
+const { toCsv, parseCsv } = require('./lib/csv');
+const {
+    IMPORT_TYPES,
+    exportFileName,
+    patientFileName,
+    datasetExport,
+    collectionTable,
+    patientRecord,
+    patientTable,
+    checkImport
+} = require('./lib/exportacao');
+
+// Cria a aplicação com as coleções em `options.dataDir` (padrão: DATA_DIR, lib/config.js)
+// e os backups em `options.backupDir`. Não abre a porta: server.js chama listen quando é
+// executado diretamente e os testes (test/) usam uma pasta de dados temporária.
+// Retorna { app, db, ready, close }: `ready` termina junto com as migrações de
+// inicialização e `close` para os timers e fecha o armazenamento.
+function createApp(options = {}) {
+    const dataDir = options.dataDir || DATA_DIR;
+    const backupDir = options.backupDir || (options.dataDir ? path.join(options.dataDir, 'backups') : BACKUP_DIR);
+
+    const app = express();
+
+    // Middleware
+    if (CORS_ORIGINS.length) {
+        app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS }));
+    }
+    app.use(express.json());
+    // As rotas da API esperam o backup e as migrações de inicialização (`ready`, mais abaixo):
+    // um login logo após a primeira partida com dados antigos já encontra as contas migradas
+    app.use('/api', (req, res, next) => {
+        ready.then(() => next());
+    });
+    // Só a interface (public/) é servida; os dados ficam em DATA_DIR (lib/config.js)
+    app.use(express.static(PUBLIC_DIR));
+
+    // Combinações de autorização usadas nas rotas
+    // `signedIn` só serve à troca da senha temporária; as demais rotas exigem a senha já trocada
+    const signedIn = [requireAuth, activeAccount];
+    const authenticated = [...signedIn, passwordChanged];
+    const staffOnly = [...authenticated, requireRole(...STAFF_ROLES)];
+    const clinicalOnly = [...authenticated, requireRole(...CLINICAL_ROLES)];
+    const managersOnly = [...authenticated, requireRole(...MANAGER_ROLES)];
+    const vetsOnly = [...authenticated, requireRole(...VET_ROLES)];
+    const tutorOnly = [...authenticated, requireRole(ROLE_TUTOR)];
+    const prescribersOnly = [...authenticated, requireRole(...PRESCRIBER_ROLES, ...DRAFT_ROLES)];
+
+    // Conta desativada perde o acesso na hora, mesmo com uma sessão ainda válida
+    async function activeAccount(req, res, next) {
+        try {
+            const conta = (await db.contas.all()).find(c => c.id == req.user.sub);
+            if (!conta || conta.ativo === false) {
+                return res.status(401).json({ success: false, message: 'Conta desativada. Procure a administração da clínica.' });
+            }
+            next();
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    }
 
-const app = express();
-const PORT = 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
-
-// Helper functions
-function validateCPF(cpf) {
-    // Basic CPF validation (11 digits)
-    return /^\d{11}$/.test(cpf);
-}
-
-function validatePhone(phone) {
-    // Basic phone validation (10-11 digits)
-    return /^\d{10,11}$/.test(phone);
-}
+    // Senha redefinida pelo gestor (trocarSenha): a sessão só serve para escolher uma nova
+    async function passwordChanged(req, res, next) {
+        try {
+            const conta = (await db.contas.all()).find(c => c.id == req.user.sub);
+            if (conta && conta.trocarSenha) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Troque a senha temporária antes de continuar.',
+                    trocarSenha: true
+                });
+            }
+            next();
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    }
 
-// Função auxiliar para ler JSON
-async function readJSON(filename) {
-    try {
-        const data = await fs.readFile(filename, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.log(`Erro ao ler ${filename}:`, error.message);
-        return [];
+    // Resposta 400 com os erros de validação campo a campo (lib/validacao.js)
+    function sendValidationErrors(res, erros) {
+        res.status(400).json({
+            success: false,
+            message: erros.map(e => e.mensagem).join(' '),
+            erros
+        });
     }
-}
 
-// Função auxiliar para escrever JSON
-async function writeJSON(filename, data) {
-    try {
-        await fs.writeFile(filename, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.log(`Erro ao escrever ${filename}:`, error.message);
-        return false;
+    // Coleções persistidas (arquivos JSON ou SQLite, conforme STORAGE) na pasta de dados
+    const store = createStore(dataDir);
+
+    const db = {
+        contas: store.collection('contas'),
+        usuarios: store.collection('usuarios'),
+        // Logins antigos, levados para `contas` na inicialização (migrateAccounts)
+        medicos: store.collection('medicos'),
+        funcionarios: store.collection('funcionarios'),
+        animais: store.collection('animais'),
+        agendamentos: store.collection('agendamentos'),
+        boxes: store.collection('boxes'),
+        internacoes: store.collection('internacoes'),
+        auditoria: store.collection('auditoria'),
+        prescricoes: store.collection('prescricoes'),
+        notificacoes: store.collection('notificacoes'),
+        servicos: store.collection('servicos'),
+        faturas: store.collection('faturas'),
+        produtos: store.collection('produtos')
+    };
+
+    // Canal de atualizações em tempo real das estações da equipe (lib/eventos.js)
+    const events = createEventHub();
+
+    // Gera um backup de todas as coleções e apaga os que passaram da retenção
+    async function runBackup(motivo, usuario = null) {
+        const manifesto = await createBackup(db, backupDir, { motivo, usuario });
+        await pruneBackups(backupDir, BACKUP_RETENTION_DAYS);
+        return manifesto;
     }
-}
 
-// Rota para login
-app.post('/api/login', async (req, res) => {
-    const { login, senha } = req.body;
+    // Envia um arquivo para download (exportações)
+    function sendDownload(res, nome, tipo, conteudo) {
+        res.setHeader('Content-Type', `${tipo}; charset=utf-8`);
+        res.setHeader('Content-Disposition', `attachment; filename="${nome}"`);
+        res.send(conteudo);
+    }
 
-    // Validation
-    if (!login || !senha) {
-        return res.json({ success: false, message: 'Login e senha são obrigatórios!' });
+    // Registra na auditoria uma alteração feita por uma requisição autenticada (`alvo`: auditTarget).
+    // Uma falha aqui não desfaz a alteração já gravada, só é registrada no log.
+    async function recordAudit(req, alvo, alteracoes) {
+        try {
+            await db.auditoria.update(entradas => createAuditEntry(entradas, req, alvo, alteracoes));
+        } catch (error) {
+            console.error(`Erro ao registrar auditoria de ${alvo.recurso} ${alvo.registroId}:`, error);
+        }
     }
 
-    try {
-        // Buscar nos médicos
-        const medicos = await readJSON('medicos.json');
-        const medico = medicos.find(m => m.login === login);
+    // Aplica uma alteração a um único pet; retorna o pet atualizado ou null se não existir.
+    // O mutator pode retornar false para desistir (nada é gravado). Com `req`, a diferença
+    // antes/depois é registrada na auditoria. Toda alteração gravada é avisada às estações conectadas.
+    async function updatePet(id, mutator, req) {
+        let alteracoes = [];
+        const pet = await db.animais.update(animais => {
+            const pet = animais.find(p => p.id == id);
+            if (!pet) return null;
+            const antes = structuredClone(pet);
+            if (mutator(pet) === false) return null;
+            alteracoes = diffRecords(antes, pet);
+            return pet;
+        });
+
+        if (pet && req && alteracoes.length) {
+            await recordAudit(req, auditTarget('animais', pet), alteracoes);
+        }
+        if (pet && alteracoes.length) {
+            petChangeEvents(pet, alteracoes, req && req.user).forEach(([tipo, dados]) => events.publish(tipo, dados));
+        }
+        return pet;
+    }
 
-        if (medico) {
-            if (senha === medico.senha) {
-                return res.json({
-                    success: true,
-                    user: { ...medico, tipo: 'medico', senha: undefined }
-                });
-            }
+    // Como updatePet, para os registros clínicos de outras coleções (agendamentos, internacoes,
+    // prescricoes) e os boxes: executa db[recurso].update(mutator) e registra na auditoria
+    // cada registro que o mutator criou, alterou ou removeu. Retorna o que o mutator retornar.
+    async function updateAudited(recurso, req, mutator) {
+        let mudancas = [];
+        const resultado = await db[recurso].update(registros => {
+            const antes = structuredClone(registros);
+            const retorno = mutator(registros);
+            if (retorno) mudancas = diffCollection(antes, registros);
+            return retorno;
+        });
+
+        for (const { registro, alteracoes } of mudancas) {
+            await recordAudit(req, auditTarget(recurso, registro), alteracoes);
         }
+        return resultado;
+    }
 
-        // Buscar nos usuários (tutores)
-        const usuarios = await readJSON('usuarios.json');
-        const tutor = usuarios.find(u => u.login === login);
+    // Registra uma notificação no painel da equipe (lib/notificacoes.js).
+    // Como na auditoria, uma falha aqui só é registrada no log.
+    async function notify(dados) {
+        try {
+            await db.notificacoes.update(notificacoes => createNotification(notificacoes, dados));
+        } catch (error) {
+            console.error(`Erro ao registrar notificação do pet ${dados.pet.id}:`, error);
+        }
+    }
 
-        if (tutor) {
-            if (senha === tutor.senha) {
-                return res.json({
-                    success: true,
-                    user: { ...tutor, tipo: 'tutor', senha: undefined }
-                });
-            }
+    // Campos de baixa de estoque (produtoId, loteId, unidades) enviados junto com um registro
+    // clínico. Retorna { resto, baixa } com o corpo sem esses campos, ou { erros }.
+    function pickWithdrawal(body) {
+        const { produtoId, loteId, unidades, ...resto } = body || {};
+        const vazio = valor => valor === undefined || valor === null || valor === '';
+        if (vazio(produtoId) && vazio(loteId)) {
+            return { resto, baixa: null };
         }
+        const { dados, erros } = validate(baixaEstoqueSchema, { produtoId, loteId, unidades });
+        return erros.length ? { erros } : { resto, baixa: dados };
+    }
 
-        // Buscar nos funcionários
-        const funcionarios = await readJSON('funcionarios.json');
-        const funcionario = funcionarios.find(f => f.login === login);
+    // Baixa (uso) de um lote do estoque para um registro clínico; `categorias` restringe o tipo
+    // de produto aceito. Retorna { registro } com o resumo a gravar no registro, ou { erro }.
+    async function withdrawStock(baixa, categorias, referencia, usuario) {
+        if (!baixa.produtoId || !baixa.loteId) {
+            return { erro: 'Informe o produto e o lote do estoque.' };
+        }
 
-        if (funcionario) {
-            if (senha === funcionario.senha) {
-                return res.json({
-                    success: true,
-                    user: { id: funcionario.id, nome: funcionario.nome, login: funcionario.login, contato: funcionario.contato, role: funcionario.role, tipo: 'funcionario' }
-                });
+        const hoje = new Date().toISOString().split('T')[0];
+        let erro = 'Produto não encontrado no estoque';
+        let registro = null;
+        await db.produtos.update(produtos => {
+            const produto = produtos.find(p => p.id == baixa.produtoId);
+            if (!produto) return null;
+            if (!categorias.includes(produto.categoria)) {
+                erro = `O produto ${produto.nome} não pode ser usado aqui (categoria ${produto.categoria}).`;
+                return null;
             }
-        }
 
-        res.json({ success: false, message: 'Usuário ou senha incorretos!' });
-    } catch (error) {
-        console.error('Erro ao fazer login:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
+            const dados = { tipo: MOV_USO, loteId: baixa.loteId, quantidade: baixa.unidades || 1, referencia };
+            erro = validateWithdrawal(produto, dados, hoje);
+            if (erro) return null;
 
-// Rota para cadastrar tutor
-app.post('/api/cadastrar-tutor', async (req, res) => {
-    const { nome, cpf, telefone, endereco, senha } = req.body;
+            const { lote, movimento } = registerWithdrawal(produto, dados, usuario);
+            registro = withdrawalRecord(produto, lote, movimento);
+            return produto;
+        });
+        return registro ? { registro } : { erro };
+    }
 
-    // Validation
-    if (!nome || !cpf || !telefone || !endereco || !senha) {
-        return res.json({ success: false, message: 'Todos os campos são obrigatórios!' });
+    // Devolve ao lote uma baixa cujo registro clínico não chegou a ser gravado ou foi excluído
+    async function returnStock(registro, usuario) {
+        try {
+            await db.produtos.update(produtos => {
+                const produto = produtos.find(p => p.id == registro.produtoId);
+                if (!produto) return null;
+                return registerEntry(produto, {
+                    numero: registro.lote,
+                    validade: registro.validade,
+                    quantidade: registro.quantidade,
+                    motivo: `Estorno da baixa ${registro.movimentoId}`
+                }, usuario);
+            });
+        } catch (error) {
+            console.error(`Erro ao estornar baixa do produto ${registro.produtoId}:`, error);
+        }
     }
 
-    if (!validateCPF(cpf)) {
-        return res.json({ success: false, message: 'CPF inválido!' });
+    // Grava o registro clínico de uma baixa já feita (`estoque`, ou nada sem baixa). Se a
+    // gravação falhar ou não chegar a gravar (retorno vazio), a baixa volta para o lote.
+    async function recordWithStock(estoque, usuario, gravar) {
+        let resultado;
+        try {
+            resultado = await gravar();
+        } catch (error) {
+            if (estoque) await returnStock(estoque, usuario);
+            throw error;
+        }
+        if (!resultado && estoque) await returnStock(estoque, usuario);
+        return resultado;
     }
 
-    if (!validatePhone(telefone)) {
-        return res.json({ success: false, message: 'Telefone inválido!' });
+    // Tutor informado junto com um pet (cadastro ou ficha): o cadastro com o mesmo CPF ou um novo
+    async function findOrCreateTutor(dadosTutor) {
+        let tutor = null;
+        await db.usuarios.update(tutores => {
+            tutor = findByCpf(tutores, dadosTutor.cpf);
+            if (tutor) return null;
+            tutor = createTutor(tutores, dadosTutor);
+            return tutor;
+        });
+        return tutor;
     }
 
-    if (senha.length < 6) {
-        return res.json({ success: false, message: 'A senha deve ter pelo menos 6 caracteres!' });
+    // Regrava nos pets do tutor a cópia dos dados dele (lib/tutores.js); retorna quantos mudaram
+    async function syncTutorPets(tutor, req) {
+        let alterados = 0;
+        const pets = (await db.animais.all()).filter(p => p.tutorId === tutor.id);
+        for (const pet of pets) {
+            if (await updatePet(pet.id, p => syncPetTutor(p, tutor), req)) alterados++;
+        }
+        return alterados;
     }
 
-    try {
-        const usuarios = await readJSON('usuarios.json');
+    // Dados do tutor alterados pela ficha do pet: com outro CPF, o pet passa para o tutor desse
+    // CPF (cadastrado se ainda não existir); com o mesmo CPF, o cadastro do tutor é alterado e
+    // vale para todos os pets dele. Retorna { tutor } ou { erro }.
+    async function changePetTutor(petId, dadosTutor, req) {
+        const pet = (await db.animais.all()).find(p => p.id == petId);
+        if (!pet) return { erro: 'Pet não encontrado' };
 
-        // Verificar se CPF já existe
-        if (usuarios.find(u => u.cpf === cpf)) {
-            return res.json({ success: false, message: 'CPF já cadastrado!' });
+        if (dadosTutor.cpf && dadosTutor.cpf !== normalizeCPF(pet.tutorCpf)) {
+            if (!dadosTutor.nome) return { erro: 'Informe o nome do novo tutor.' };
+            return { tutor: await findOrCreateTutor(dadosTutor) };
         }
 
-        // Store plain password temporarily
-        // const hashedPassword = await hashPassword(senha);
+        const { cpf, ...contato } = dadosTutor;
+        const tutor = await db.usuarios.update(tutores => {
+            const atual = tutores.find(t => t.id === pet.tutorId);
+            return atual ? updateTutor(atual, contato) : null;
+        });
+        if (!tutor) return { erro: 'Tutor do pet não encontrado' };
 
-        // Adicionar novo tutor
-        const novoTutor = {
-            nome,
-            cpf,
-            telefone,
-            endereco,
-            login: cpf,
-            senha: senha,
-            dataCadastro: new Date().toISOString()
-        };
+        await syncTutorPets(tutor, req);
+        return { tutor };
+    }
 
-        usuarios.push(novoTutor);
+    // "Requisição" usada na auditoria quando a triagem automática altera a tag
+    const TRIAGE_REQUEST = { user: TRIAGE_USER, method: 'TRIAGEM', originalUrl: 'triagem automática' };
+
+    // Reavalia as regras de triagem (lib/triagem.js) de um pet depois de uma alteração nos
+    // dados que elas usam; notifica a equipe quando o pet passa (ou deveria passar) para red.
+    async function reviewTriage(id) {
+        try {
+            let resultado = null;
+            const pet = await updatePet(id, pet => {
+                resultado = applyTriage(pet, new Date().toISOString().split('T')[0]);
+                return resultado.alterado;
+            });
+            if (!pet) return;
+
+            if (resultado.para !== resultado.de) {
+                await recordAudit(TRIAGE_REQUEST, auditTarget('animais', pet), [{ campo: 'tag', antes: resultado.de, depois: resultado.para }]);
+            }
+            if (resultado.para === 'red' && resultado.de !== 'red') {
+                await notify({ tipo: TIPO_TAG, pet, de: resultado.de, para: 'red', usuario: TRIAGE_USER, motivos: resultado.motivos });
+            } else if (resultado.sugestaoNova && resultado.sugestao === 'red' && resultado.para !== 'red') {
+                await notify({ tipo: TIPO_SUGESTAO, pet, de: resultado.para, para: 'red', usuario: TRIAGE_USER, motivos: resultado.motivos });
+            }
+        } catch (error) {
+            console.error(`Erro na triagem do pet ${id}:`, error);
+        }
+    }
 
-        if (await writeJSON('usuarios.json', usuarios)) {
-            res.json({ success: true, message: 'Cadastro realizado com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar dados' });
+    // Reavalia todos os pets (regras que dependem da data: vacina atrasada, exame além do prazo)
+    async function reviewAllTriage() {
+        const animais = await db.animais.all();
+        for (const pet of animais) {
+            await reviewTriage(pet.id);
         }
-    } catch (error) {
-        console.error('Erro ao cadastrar tutor:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
-});
 
-// Rota para cadastrar veterinário
-app.post('/api/cadastrar-vet', async (req, res) => {
-    const { nome, login, crmv, contato, senha } = req.body;
+    // Veterinários que podem receber agendamentos (contas ativas da equipe com cargo de vet)
+    async function listVets() {
+        return (await db.contas.all())
+            .filter(c => c.tipo === ACCOUNT_STAFF && c.ativo !== false && VET_ROLES.includes(c.role))
+            .map(c => ({ login: c.login, nome: c.nome, role: c.role }));
+    }
+
+    // Nome, cargo e CRMV de quem assina um documento, conforme o diretório de usuários
+    async function findSigner(user) {
+        const conta = (await db.contas.all()).find(c => c.id == user.sub) || {};
+        return { login: user.login, nome: conta.nome || user.nome, role: user.role, crmv: conta.crmv || null };
+    }
 
-    // Validation
-    if (!nome || !login || !crmv || !contato || !senha) {
-        return res.json({ success: false, message: 'Todos os campos são obrigatórios!' });
+    // Dados da sessão devolvidos no login (e gravados no token); tutores levam o cadastro do tutor
+    async function sessionUser(conta) {
+        const { senha, ...dados } = conta;
+        if (conta.tipo !== ACCOUNT_TUTOR) return dados;
+        const tutor = (await db.usuarios.all()).find(t => t.id === conta.tutorId) || {};
+        return { ...tutor, ...dados, nome: tutor.nome || conta.nome, role: ROLE_TUTOR };
     }
 
-    if (senha.length < 6) {
-        return res.json({ success: false, message: 'A senha deve ter pelo menos 6 caracteres!' });
+    // Nova conta da equipe; retorna { conta } ou { erro }
+    async function createStaffAccount(dados) {
+        const senha = await hashPassword(dados.senha);
+        let erro = null;
+        const conta = await db.contas.update(contas => {
+            erro = validateAccount(contas, dados);
+            if (erro) return null;
+            return createAccount(contas, { ...dados, tipo: ACCOUNT_STAFF }, senha);
+        });
+        return conta ? { conta } : { erro };
     }
 
-    if (!validatePhone(contato)) {
-        return res.json({ success: false, message: 'Telefone inválido!' });
+    // Migra uma senha legada (texto puro) para bcrypt após um login bem-sucedido
+    async function upgradeLegacyPassword(id, senha) {
+        const hashedPassword = await hashPassword(senha);
+        try {
+            await db.contas.update(contas => {
+                const conta = contas.find(c => c.id === id);
+                if (!conta || isPasswordHashed(conta.senha)) return null;
+                conta.senha = hashedPassword;
+                return conta;
+            });
+        } catch (error) {
+            console.log(`Não foi possível migrar a senha da conta ${id}:`, error.message);
+        }
     }
 
-    try {
-        const medicos = await readJSON('medicos.json');
+    // Rota para login (equipe e tutores no mesmo diretório de usuários, lib/contas.js)
+    app.post('/api/login', async (req, res) => {
+        const { login, senha } = req.body;
+
+        // Validation
+        if (!login || !senha) {
+            return res.json({ success: false, message: 'Login e senha são obrigatórios!' });
+        }
+
+        try {
+            const conta = findByLogin(await db.contas.all(), login);
+            if (!conta || !(await verifyPassword(senha, conta.senha))) {
+                return res.json({ success: false, message: 'Usuário ou senha incorretos!' });
+            }
+            if (conta.ativo === false) {
+                return res.json({ success: false, message: 'Conta desativada. Procure a administração da clínica.' });
+            }
+
+            if (!isPasswordHashed(conta.senha)) {
+                await upgradeLegacyPassword(conta.id, senha);
+            }
 
-        // Verificar se login já existe
-        if (medicos.find(m => m.login === login)) {
-            return res.json({ success: false, message: 'Login já cadastrado!' });
+            const user = await sessionUser(conta);
+            res.json({ success: true, token: issueToken(conta.tipo, user), user });
+        } catch (error) {
+            console.error('Erro ao fazer login:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
 
-        // Verificar se CRMV já existe
-        if (medicos.find(m => m.crmv === crmv)) {
-            return res.json({ success: false, message: 'CRMV já cadastrado!' });
+    // Rota para cadastrar tutor
+    app.post('/api/cadastrar-tutor', async (req, res) => {
+        const { dados, erros } = validate(tutorSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
+        const { nome, cpf, telefone, endereco, senha } = dados;
 
-        // Store plain password temporarily
-        // const hashedPassword = await hashPassword(senha);
+        try {
+            const hashedPassword = await hashPassword(senha);
 
-        // Adicionar novo veterinário
-        const novoMedico = {
-            nome,
-            login,
-            crmv,
-            contato,
-            senha: senha,
-            dataCadastro: new Date().toISOString()
-        };
+            // O tutor pode já ter sido cadastrado pela recepção, ainda sem conta de acesso
+            const contas = await db.contas.all();
+            const existente = findByCpf(await db.usuarios.all(), cpf);
+            if (validateAccount(contas, { login: cpf }) || (existente && contas.some(c => c.tutorId === existente.id))) {
+                return res.json({ success: false, message: 'CPF já cadastrado!' });
+            }
+            // Esta rota é aberta: saber o CPF não basta para assumir o cadastro da recepção.
+            // O telefone informado tem de ser o do cadastro, e o contato gravado não muda.
+            if (existente && (!existente.telefone || normalizePhone(existente.telefone) !== telefone)) {
+                return res.json({
+                    success: false,
+                    message: 'Este CPF já está cadastrado na clínica. Informe o telefone do cadastro ou procure a recepção para liberar o acesso.'
+                });
+            }
+
+            const tutor = existente || await db.usuarios.update(usuarios => {
+                return findByCpf(usuarios, cpf) ? null : createTutor(usuarios, { nome, cpf, telefone, endereco });
+            });
+            if (!tutor) {
+                return res.json({ success: false, message: 'CPF já cadastrado!' });
+            }
+
+            let erro = null;
+            const conta = await db.contas.update(lista => {
+                erro = validateAccount(lista, { login: cpf });
+                if (erro) return null;
+                return createAccount(lista, { tipo: ACCOUNT_TUTOR, login: cpf, nome: tutor.nome, tutorId: tutor.id }, hashedPassword);
+            });
+
+            if (!conta) {
+                return res.json({ success: false, message: 'CPF já cadastrado!' });
+            }
+
+            res.json({ success: true, message: 'Cadastro realizado com sucesso!' });
+        } catch (error) {
+            console.error('Erro ao cadastrar tutor:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cadastrar veterinário
+    app.post('/api/cadastrar-vet', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(vetSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
 
-        medicos.push(novoMedico);
+        try {
+            // Mesma conta da equipe do /api/cadastrar-funcionario, com o cargo de gestor
+            const { erro } = await createStaffAccount({ ...dados, role: 'Medico vet' });
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
 
-        if (await writeJSON('medicos.json', medicos)) {
             res.json({ success: true, message: 'Cadastro realizado com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar dados' });
+        } catch (error) {
+            console.error('Erro ao cadastrar veterinário:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-    } catch (error) {
-        console.error('Erro ao cadastrar veterinário:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    });
+
+    // Cadastra um pet com os dados já validados (petSchema); usado pelo formulário e
+    // pela importação de planilhas
+    async function registerPet(dados, req) {
+        // Tutor já cadastrado (mesmo CPF) ou um novo cadastro com os dados do pet
+        const tutor = await findOrCreateTutor(tutorDataFromPet(dados));
+
+        const novoPet = await db.animais.update(animais => {
+            // A tag começa em green e é reavaliada pela triagem logo após o cadastro
+            const maiorId = animais.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0);
+            const pet = {
+                id: Math.max(Date.now(), maiorId + 1),
+                ...withoutTutorFields(dados),
+                tag: 'green',
+                anamnese: null,
+                anamneses: [],
+                observacoes: '',
+                dataCadastro: new Date().toISOString(),
+                sinaisVitais: []
+            };
+            syncPetTutor(pet, tutor);
+            recordWeight(pet, pet.peso, req.user);
+            animais.push(pet);
+            return pet;
+        });
+        await recordAudit(req, auditTarget('animais', novoPet), diffRecords({}, novoPet));
+        events.publish(...petCreatedEvent(novoPet, req.user));
+        await reviewTriage(novoPet.id);
+        return novoPet;
     }
-});
 
-// Rota para salvar pet
-app.post('/api/salvar-pet', async (req, res) => {
-    const petData = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        
-        const novoPet = {
-            id: Date.now(),
-            ...petData,
-            tag: 'green',
-            anamnese: null,
-            observacoes: '',
-            dataCadastro: new Date().toISOString()
-        };
-        
-        animais.push(novoPet);
-        
-        if (await writeJSON('animais.json', animais)) {
+    // Rota para salvar pet
+    app.post('/api/salvar-pet', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(petSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const novoPet = await registerPet(dados, req);
             res.json({ success: true, pet: novoPet });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar pet' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para buscar pets do tutor
-app.get('/api/pets-tutor/:cpf', async (req, res) => {
-    const { cpf } = req.params;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const pets = animais.filter(p => p.tutorCpf === cpf);
-        res.json({ success: true, pets });
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para buscar todos os pets (médico)
-app.get('/api/pets', async (req, res) => {
-    try {
-        const animais = await readJSON('animais.json');
-        res.json({ success: true, pets: animais });
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar anamnese
-app.put('/api/salvar-anamnese/:id', async (req, res) => {
-    const { id } = req.params;
-    const anamneseData = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        animais[petIndex].anamnese = {
-            ...anamneseData,
-            data: new Date().toLocaleString('pt-BR')
-        };
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Anamnese salva com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar anamnese' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar histórico clínico
-app.put('/api/salvar-historico-clinico/:id', async (req, res) => {
-    const { id } = req.params;
-    const { historicoClinico } = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+    });
+
+    // Rota para buscar pets do tutor
+    app.get('/api/pets-tutor/:cpf', authenticated, async (req, res) => {
+        const { cpf } = req.params;
+
+        if (req.user.role !== ROLE_TUTOR && !hasRole(req.user, STAFF_ROLES)) {
+            return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
         }
         
-        if (!animais[petIndex].exames) {
-            animais[petIndex].exames = {};
+        try {
+            // Tutores só podem consultar os próprios pets (CPF atual do cadastro, não o da sessão)
+            if (req.user.role === ROLE_TUTOR) {
+                const proprio = await findTutorAccount(req.user);
+                if (!proprio || normalizeCPF(proprio.cpf) !== normalizeCPF(cpf)) {
+                    return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
+                }
+            }
+
+            const animais = await db.animais.all();
+            const pets = animais.filter(p => normalizeCPF(p.tutorCpf) === normalizeCPF(cpf));
+            res.json({ success: true, pets });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        animais[petIndex].exames.historicoClinico = historicoClinico;
-        animais[petIndex].exames.dataHistorico = new Date().toLocaleString('pt-BR');
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Histórico clínico salvo com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar histórico clínico' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar vacinação
-app.put('/api/salvar-vacinacao/:id', async (req, res) => {
-    const { id } = req.params;
-    const vacinacaoData = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+    });
+
+    // Rota para a lista de pacientes: resumo paginado com busca (q), filtros
+    // (tag, especie, localizacao, cadastroDe/Ate, consultaDe/Ate) e ordenação (ordenar, ordem)
+    app.get('/api/pets', staffOnly, async (req, res) => {
+        const { filtros, erro } = parsePetQuery(req.query);
+        if (erro) {
+            return res.json({ success: false, message: erro });
         }
-        
-        if (!animais[petIndex].exames) {
-            animais[petIndex].exames = {};
+
+        try {
+            const animais = await db.animais.all();
+            res.json({ success: true, ...searchPets(animais, filtros) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        animais[petIndex].exames = {
-            ...animais[petIndex].exames,
-            ...vacinacaoData,
-            dataVacinacao: new Date().toLocaleString('pt-BR')
-        };
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Vacinação salva com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar vacinação' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar consultas
-app.put('/api/salvar-consultas/:id', async (req, res) => {
-    const { id } = req.params;
-    const consultasData = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+    });
+
+    // Rota para a ficha completa de um pet
+    app.get('/api/pets/:id', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            res.json({ success: true, pet });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        if (!animais[petIndex].consultas) {
-            animais[petIndex].consultas = {};
+    });
+
+    // Rota para baixar um documento clínico do pet em PDF (anamnese, receituário, vacinação, solicitação de exames)
+    app.get('/api/pets/:id/documentos/:tipo', staffOnly, async (req, res) => {
+        const { id, tipo } = req.params;
+
+        const documento = DOCUMENT_TYPES[tipo];
+        if (documento && !hasRole(req.user, documento.roles)) {
+            return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
         }
-        
-        animais[petIndex].consultas = {
-            ...animais[petIndex].consultas,
-            ...consultasData,
-            dataAtualizacao: new Date().toLocaleString('pt-BR')
-        };
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Consultas salvas com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar consultas' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar exames
-app.put('/api/salvar-exames/:id', async (req, res) => {
-    const { id } = req.params;
-    const examesData = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            // Receituário de uma prescrição registrada: sai assinado por quem prescreveu
+            let prescricao = null;
+            if (tipo === 'receituario' && req.query.prescricao) {
+                prescricao = (await db.prescricoes.all()).find(p => p.id == req.query.prescricao && p.petId == pet.id);
+                if (!prescricao) {
+                    return res.json({ success: false, message: 'Prescrição não encontrada' });
+                }
+                prescricao = prescriptionView(prescricao, new Date().toISOString().split('T')[0]);
+            }
+
+            const opcoes = {
+                profissional: prescricao && prescricao.prescritoPor ? prescricao.prescritoPor : await findSigner(req.user),
+                emitidoEm: new Date(),
+                exameIds: req.query.exames ? String(req.query.exames).split(',').map(v => v.trim()) : null,
+                prescricao
+            };
+            const erro = validateDocument(tipo, pet, opcoes);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            const doc = buildDocument(tipo, pet, opcoes);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName(tipo, pet, opcoes.emitidoEm)}"`);
+            doc.pipe(res);
+            doc.end();
+        } catch (error) {
+            console.error('Erro ao gerar documento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        if (!animais[petIndex].exames) {
-            animais[petIndex].exames = {};
+    });
+
+    // Registra uma nova ficha de anamnese no histórico do pet; retorna { registro } ou { erro }.
+    // `dados` traz os campos da ficha e, opcionalmente, data, agendamentoId e copiarSecoes.
+    async function saveAnamnesis(id, dados, req) {
+        const { data, agendamentoId, copiarSecoes, ...campos } = dados;
+        const agendamento = agendamentoId
+            ? (await db.agendamentos.all()).find(a => a.id == agendamentoId)
+            : null;
+        const veterinario = await findSigner(req.user);
+
+        let erro = 'Pet não encontrado';
+        let registro = null;
+        await updatePet(id, pet => {
+            const ficha = copySections(pet, campos, copiarSecoes);
+            erro = validateAnamnesis(ficha, pet, agendamento, dados);
+            if (erro) return false;
+            registro = createAnamnesis(pet, ficha, dados, agendamento, veterinario);
+        }, req);
+
+        return registro ? { registro } : { erro };
+    }
+
+    // Rota para salvar anamnese (formato antigo: cada envio vira uma nova ficha avulsa)
+    app.put('/api/salvar-anamnese/:id', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(anamneseSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
-        
-        animais[petIndex].exames = {
-            ...animais[petIndex].exames,
-            ...examesData,
-            dataExames: new Date().toLocaleString('pt-BR')
-        };
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Exames salvos com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar exames' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar observações
-app.put('/api/salvar-observacoes/:id', async (req, res) => {
-    const { id } = req.params;
-    const { observacoes } = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+
+        try {
+            const { registro, erro } = await saveAnamnesis(id, dados, req);
+            if (!registro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Anamnese salva com sucesso!', registro });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        animais[petIndex].observacoes = observacoes;
-        animais[petIndex].dataObservacoes = new Date().toLocaleString('pt-BR');
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Observações salvas com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar observações' });
-        }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
-
-// Rota para salvar observações médicas
-app.put('/api/salvar-observacoes/:id', async (req, res) => {
-    const { id } = req.params;
-    const { observacoes } = req.body;
-    
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
-        
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+    });
+
+    // Rota para listar as anamneses do pet (mais recentes primeiro) e as seções que podem ser copiadas
+    app.get('/api/pets/:id/anamneses', staffOnly, async (req, res) => {
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == req.params.id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const secoesCopiaveis = Object.entries(COPYABLE_SECTIONS).map(([chave, secao]) => ({ chave, ...secao }));
+            res.json({ success: true, anamneses: anamnesisSummaries(pet), secoesCopiaveis });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-        
-        animais[petIndex].observacoes = observacoes;
-        
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Observações salvas com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar observações' });
+    });
+
+    // Rota para comparar duas anamneses lado a lado (`de` e `para`; sem eles, as duas mais recentes)
+    app.get('/api/pets/:id/anamneses/comparar', staffOnly, async (req, res) => {
+        const { de, para } = req.query;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == req.params.id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const resumos = anamnesisSummaries(pet);
+            const idAntes = de || (resumos[1] && resumos[1].id);
+            const idDepois = para || (resumos[0] && resumos[0].id);
+            const antes = (pet.anamneses || []).find(a => a.id == idAntes);
+            const depois = (pet.anamneses || []).find(a => a.id == idDepois);
+            if (!antes || !depois) {
+                return res.json({ success: false, message: 'Escolha duas anamneses deste pet para comparar.' });
+            }
+
+            res.json({ success: true, antes, depois, secoes: compareAnamneses(antes, depois) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para uma anamnese completa
+    app.get('/api/pets/:id/anamneses/:anamneseId', staffOnly, async (req, res) => {
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == req.params.id);
+            const anamnese = pet && (pet.anamneses || []).find(a => a.id == req.params.anamneseId);
+            if (!anamnese) {
+                return res.json({ success: false, message: 'Anamnese não encontrada' });
+            }
+
+            res.json({ success: true, anamnese });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para registrar uma nova anamnese (em uma consulta ou avulsa), opcionalmente
+    // copiando seções da anterior
+    app.post('/api/pets/:id/anamneses', clinicalOnly, async (req, res) => {
+        const { dados, erros } = validate(anamneseRegistroSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
 
-// Rota para alterar tag do pet
-app.put('/api/alterar-tag/:id', async (req, res) => {
-    const { id } = req.params;
-    const { tag } = req.body;
+        try {
+            const { registro, erro } = await saveAnamnesis(req.params.id, dados, req);
+            if (!registro) {
+                return res.json({ success: false, message: erro });
+            }
 
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
+            res.json({ success: true, message: 'Anamnese registrada com sucesso!', anamnese: registro });
+        } catch (error) {
+            console.error('Erro ao registrar anamnese:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para voltar uma anamnese anterior a ser a atual (vira uma nova ficha com a data de hoje)
+    app.post('/api/pets/:id/anamneses/:anamneseId/restaurar', clinicalOnly, async (req, res) => {
+        try {
+            const veterinario = await findSigner(req.user);
+            let erro = 'Pet não encontrado';
+            let registro = null;
+            await updatePet(req.params.id, pet => {
+                ({ registro, erro } = restoreAnamnesis(pet, req.params.anamneseId, veterinario));
+                if (erro) return false;
+            }, req);
+
+            if (!registro) {
+                return res.json({ success: false, message: erro });
+            }
 
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+            res.json({ success: true, message: 'Anamnese restaurada como a ficha atual!', anamnese: registro });
+        } catch (error) {
+            console.error('Erro ao restaurar anamnese:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para salvar histórico clínico
+    app.put('/api/salvar-historico-clinico/:id', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(historicoClinicoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
+        const { historicoClinico } = dados;
 
-        animais[petIndex].tag = tag;
+        try {
+            const pet = await updatePet(id, pet => {
+                if (!pet.exames) {
+                    pet.exames = {};
+                }
 
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Tag alterada com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao alterar tag' });
+                pet.exames.historicoClinico = historicoClinico;
+                pet.exames.dataHistorico = new Date().toLocaleString('pt-BR');
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            res.json({ success: true, message: 'Histórico clínico salvo com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
+    });
 
-// Rota para salvar consultas (passadas e futuras)
-app.put('/api/salvar-consultas/:id', async (req, res) => {
-    const { id } = req.params;
-    const { consultasPassadas, consultasFuturas } = req.body;
+    // Rota para listar a carteira de vacinação de um pet
+    app.get('/api/pets/:id/vacinas', staffOnly, async (req, res) => {
+        const { id } = req.params;
 
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
+        try {
+            const animais = await db.animais.all();
+            const pet = animais.find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
 
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+            res.json({ success: true, vacinas: pet.vacinas || [] });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
 
-        animais[petIndex].consultasPassadas = consultasPassadas || [];
-        animais[petIndex].consultasFuturas = consultasFuturas || [];
+    // Rota para registrar uma dose aplicada. Com produtoId/loteId, uma unidade sai do lote
+    // escolhido no estoque e o número do lote fica gravado na dose.
+    app.post('/api/pets/:id/vacinas', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
 
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Consultas salvas com sucesso!' });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar consultas' });
+        const { resto, baixa, erros } = pickWithdrawal(req.body);
+        if (erros) {
+            return sendValidationErrors(res, erros);
         }
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
+        const { dados, erros: errosDose } = validate(doseSchema, resto);
+        if (errosDose.length) {
+            return sendValidationErrors(res, errosDose);
+        }
+
+        const erro = validateDose(dados);
+        if (erro) {
+            return res.json({ success: false, message: erro });
+        }
+
+        try {
+            const petAtual = (await db.animais.all()).find(p => p.id == id);
+            if (!petAtual) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
 
+            let dadosDose = dados;
+            if (baixa) {
+                const referencia = { tipo: 'vacina', petId: petAtual.id, petNome: petAtual.nome };
+                const resultado = await withdrawStock(baixa, ['vacina'], referencia, req.user);
+                if (resultado.erro) {
+                    return res.json({ success: false, message: resultado.erro });
+                }
+                const estoque = resultado.registro;
+                dadosDose = { ...dados, lote: estoque.lote, fabricante: dados.fabricante || estoque.fabricante, estoque };
+            }
+
+            let dose = null;
+            const pet = await recordWithStock(dadosDose.estoque, req.user, () => updatePet(id, pet => {
+                dose = createDose(doseList(pet), dadosDose, req.user);
+            }, req));
 
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
 
-// Servir index.html na rota raiz
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Vacinação salva com sucesso!', dose });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para corrigir uma dose registrada
+    app.patch('/api/pets/:id/vacinas/:doseId', clinicalOnly, async (req, res) => {
+        const { id, doseId } = req.params;
+        const { dados, erros } = validate(doseSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
 
-app.listen(PORT, () => {
-    console.log(`🐾 Sistema Veterinário rodando em http://localhost:${PORT}`);
-    console.log('Para parar o servidor, pressione Ctrl+C');
-});
+        try {
+            let erro = 'Pet não encontrado';
+            let dose = null;
+            await updatePet(id, pet => {
+                const atual = doseList(pet).find(d => d.id == doseId);
+                if (!atual) {
+                    erro = 'Dose não encontrada';
+                    return false;
+                }
 
-// Rota para cadastrar funcionário (apenas funcionários da clínica)
-app.post('/api/cadastrar-funcionario', async (req, res) => {
-    const { nome, login, contato, senha, role, crmv } = req.body;
+                erro = validateDose(dados, atual);
+                if (erro) return false;
 
-    if (!nome || !login || !contato || !senha) {
-        return res.json({ success: false, message: 'Campos obrigatórios ausentes' });
-    }
+                dose = updateDose(atual, dados, req.user);
+            }, req);
 
-    try {
-        // armazenamos em funcionarios.json para separar de medicos/usuarios
-        const funcionarios = await readJSON('funcionarios.json');
+            if (!dose) {
+                return res.json({ success: false, message: erro });
+            }
 
-        if (funcionarios.find(f => f.login === login)) {
-            return res.json({ success: false, message: 'Login já cadastrado' });
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Vacinação atualizada com sucesso!', dose });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
+
+    // Rota para excluir uma dose
+    app.delete('/api/pets/:id/vacinas/:doseId', clinicalOnly, async (req, res) => {
+        const { id, doseId } = req.params;
+
+        try {
+            let erro = 'Pet não encontrado';
+            let removida = null;
+            await updatePet(id, pet => {
+                const vacinas = doseList(pet);
+                const idx = vacinas.findIndex(d => d.id == doseId);
+                if (idx === -1) {
+                    erro = 'Dose não encontrada';
+                    return false;
+                }
+
+                removida = vacinas.splice(idx, 1)[0];
+            }, req);
+
+            if (!removida) {
+                return res.json({ success: false, message: erro });
+            }
 
-        // do not allow Estagiario to be created with a CRMV
-        if (role === 'Estagiario' && crmv) {
-            return res.json({ success: false, message: 'Estagiário não pode ter CRMV.' });
+            // Dose que saiu de um lote do estoque: a unidade volta para o lote
+            if (removida.estoque) await returnStock(removida.estoque, req.user);
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Dose excluída com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
 
-        const novo = {
-            id: Date.now(),
-            nome,
-            login,
-            contato,
-            senha,
-            role,
-            crmv: crmv || null,
-            dataCadastro: new Date().toISOString()
-        };
+    // Rota para listar pets com reforço vencido ou vencendo nos próximos `dias` (padrão 30)
+    app.get('/api/vacinas/pendentes', staffOnly, async (req, res) => {
+        const dias = req.query.dias === undefined ? 30 : Number(req.query.dias);
+        if (!Number.isInteger(dias) || dias < 0 || dias > 365) {
+            return res.json({ success: false, message: 'O parâmetro dias deve ser um número inteiro entre 0 e 365.' });
+        }
 
-        funcionarios.push(novo);
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            const limite = new Date(Date.now() + dias * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+            const animais = await db.animais.all();
+            const pendencias = [];
+            animais.forEach(pet => {
+                dueDoses(pet, hoje, limite).forEach(dose => {
+                    pendencias.push({
+                        petId: pet.id,
+                        petNome: pet.nome,
+                        especie: pet.especie,
+                        tutorNome: pet.tutorNome,
+                        tutorCpf: pet.tutorCpf,
+                        tutorTelefone: pet.tutorTelefone,
+                        ...dose
+                    });
+                });
+            });
+            pendencias.sort((a, b) => a.proximaDose.localeCompare(b.proximaDose));
 
-        if (await writeJSON('funcionarios.json', funcionarios)) {
-            res.json({ success: true, message: 'Funcionário cadastrado com sucesso', funcionario: { ...novo, senha: undefined } });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar funcionário' });
+            res.json({ success: true, dias, pendencias });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para salvar consultas (passadas e futuras)
+    app.put('/api/salvar-consultas/:id', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(consultasSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
-    } catch (error) {
-        console.error('Erro ao cadastrar funcionário:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
 
-// Rota para listar funcionários
-app.get('/api/funcionarios', async (req, res) => {
-    try {
-        const funcionarios = await readJSON('funcionarios.json');
-        // Não retornamos senhas
-        const safe = funcionarios.map(f => ({ id: f.id, nome: f.nome, login: f.login, contato: f.contato, role: f.role, crmv: f.crmv }));
-        res.json({ success: true, funcionarios: safe });
-    } catch (error) {
-        console.error('Erro ao carregar funcionários:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
+        const { consultasPassadas, consultasFuturas } = dados;
 
-// Rota para atualizar campos de um pet (ex: localizacao)
-app.put('/api/atualizar-pet/:id', async (req, res) => {
-    const { id } = req.params;
-    const updateData = req.body;
+        try {
+            const pet = await updatePet(id, pet => {
+                pet.consultasPassadas = consultasPassadas || [];
+                pet.consultasFuturas = consultasFuturas || [];
+            }, req);
 
-    try {
-        const animais = await readJSON('animais.json');
-        const petIndex = animais.findIndex(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
 
-        if (petIndex === -1) {
-            return res.json({ success: false, message: 'Pet não encontrado' });
+            res.json({ success: true, message: 'Consultas salvas com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
 
-        animais[petIndex] = {
-            ...animais[petIndex],
-            ...updateData
-        };
+    // Rota para listar os exames de um pet
+    app.get('/api/pets/:id/exames', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const animais = await db.animais.all();
+            const pet = animais.find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
 
-        if (await writeJSON('animais.json', animais)) {
-            res.json({ success: true, message: 'Pet atualizado com sucesso!', pet: animais[petIndex] });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar alterações' });
+            res.json({ success: true, exames: (pet.exames && pet.exames.lista) || [] });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-    } catch (error) {
-        console.error('Erro ao atualizar pet:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
+    });
+
+    // Rota para solicitar um exame (ou registrar diretamente um resultado)
+    app.post('/api/pets/:id/exames', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(exameSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        const erro = validateExam(dados);
+        if (erro) {
+            return res.json({ success: false, message: erro });
+        }
+
+        try {
+            let exame = null;
+            const pet = await updatePet(id, pet => {
+                exame = createExam(examList(pet), dados, req.user);
+            }, req);
 
-// Rota para atualizar funcionário (com regras de mudança de cargo)
-app.put('/api/funcionarios/:id', async (req, res) => {
-    const { id } = req.params;
-    const updateData = req.body;
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Exame salvo com sucesso!', exame });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para atualizar um exame (status, resultado, dados da solicitação)
+    app.patch('/api/pets/:id/exames/:exameId', clinicalOnly, async (req, res) => {
+        const { id, exameId } = req.params;
+        const { dados, erros } = validate(exameSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
 
-    try {
-        const funcionarios = await readJSON('funcionarios.json');
-        const idx = funcionarios.findIndex(f => f.id == id);
-        if (idx === -1) return res.json({ success: false, message: 'Funcionário não encontrado' });
+        try {
+            let erro = 'Pet não encontrado';
+            let exame = null;
+            await updatePet(id, pet => {
+                const atual = examList(pet).find(e => e.id == exameId);
+                if (!atual) {
+                    erro = 'Exame não encontrado';
+                    return false;
+                }
 
-        const current = funcionarios[idx];
+                erro = validateExam(dados, atual);
+                if (erro) return false;
 
-    // Server-side role-change validation
-        if (updateData.role && updateData.role !== current.role) {
-            const from = current.role;
-            const to = updateData.role;
+                exame = updateExam(atual, dados, req.user);
+            }, req);
 
-            // If current is Medico vet, cannot be altered
-            if (from === 'Medico vet') {
-                return res.json({ success: false, message: 'Usuário Veterinário não pode ser alterado.' });
+            if (!exame) {
+                return res.json({ success: false, message: erro });
             }
 
-            // Recepção and Internação cannot change role
-            if ((from === 'Recepção' || from === 'Internação') && to !== from) {
-                return res.json({ success: false, message: 'Funcionários de Recepção ou Internação não podem alterar o cargo.' });
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Exame atualizado com sucesso!', exame });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para excluir um exame
+    app.delete('/api/pets/:id/exames/:exameId', clinicalOnly, async (req, res) => {
+        const { id, exameId } = req.params;
+
+        try {
+            let erro = 'Pet não encontrado';
+            let removido = null;
+            await updatePet(id, pet => {
+                const lista = examList(pet);
+                const idx = lista.findIndex(e => e.id == exameId);
+                if (idx === -1) {
+                    erro = 'Exame não encontrado';
+                    return false;
+                }
+
+                removido = lista.splice(idx, 1)[0];
+            }, req);
+
+            if (!removido) {
+                return res.json({ success: false, message: erro });
             }
 
-            // Estagiario can change only to Vet junior (no direct promotion to Medico vet)
-            if (from === 'Estagiario' && to !== 'Vet junior') {
-                return res.json({ success: false, message: 'Estagiário só pode mudar para Vet junior.' });
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Exame excluído com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para liberar o resultado de um exame para o tutor (portal do tutor)
+    app.put('/api/pets/:id/exames/:exameId/liberar', vetsOnly, async (req, res) => {
+        const { id, exameId } = req.params;
+
+        try {
+            let erro = 'Pet não encontrado';
+            let exame = null;
+            await updatePet(id, pet => {
+                const atual = examList(pet).find(e => e.id == exameId);
+                if (!atual) {
+                    erro = 'Exame não encontrado';
+                    return false;
+                }
+
+                erro = validateRelease(atual);
+                if (erro) return false;
+
+                exame = releaseExam(atual, req.user);
+            }, req);
+
+            if (!exame) {
+                return res.json({ success: false, message: erro });
             }
 
-            // Vet junior can change only to Medico vet
-            if (from === 'Vet junior' && to !== 'Medico vet') {
-                return res.json({ success: false, message: 'Vet junior só pode mudar para Medico vet.' });
+            res.json({ success: true, message: 'Resultado liberado para o tutor!', exame });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para salvar observações
+    app.put('/api/salvar-observacoes/:id', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(observacoesSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+        const { observacoes } = dados;
+
+        try {
+            const pet = await updatePet(id, pet => {
+                pet.observacoes = observacoes;
+                pet.dataObservacoes = new Date().toLocaleString('pt-BR');
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
             }
 
-            // If none of the above, allow (covers allowed exact transitions)
+            res.json({ success: true, message: 'Observações salvas com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para alterar tag do pet
+    app.put('/api/alterar-tag/:id', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(tagSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
+        const { tag } = dados;
 
-        // Apply update (do not allow changing id or dataCadastro)
-        // Disallow assigning CRMV if current is Estagiario and not being promoted to a vet role
-        if (current.role === 'Estagiario') {
-            const targetRole = updateData.role || current.role;
-            if (!(targetRole === 'Vet junior' || targetRole === 'Medico vet')) {
-                // strip crmv from updateData to prevent adding it
-                delete updateData.crmv;
+        try {
+            let anterior = null;
+            const pet = await updatePet(id, pet => {
+                anterior = pet.tag || 'green';
+                pet.tag = tag;
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            if (tag === 'red' && anterior !== 'red') {
+                await notify({ tipo: TIPO_TAG, pet, de: anterior, para: tag, usuario: req.user });
             }
+
+            res.json({ success: true, message: 'Tag alterada com sucesso!' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
+    });
+
+    // Rota para listar os veterinários disponíveis para agendamento
+    // (tutores também consultam a lista para pedir um horário no portal)
+    app.get('/api/veterinarios', authenticated, async (req, res) => {
+        try {
+            res.json({ success: true, veterinarios: await listVets() });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar agendamentos (filtros opcionais: data, vet, petId, status)
+    app.get('/api/agendamentos', staffOnly, async (req, res) => {
+        const { data, vet, petId, status } = req.query;
 
-        const allowed = { ...updateData };
-        delete allowed.id;
-        delete allowed.dataCadastro;
+        if (data && !isValidDay(data)) {
+            return res.json({ success: false, message: 'Data inválida (AAAA-MM-DD).' });
+        }
 
-        funcionarios[idx] = { ...funcionarios[idx], ...allowed };
+        try {
+            const agendamentos = (await db.agendamentos.all()).filter(a =>
+                (!data || a.inicio.startsWith(data)) &&
+                (!vet || a.vetLogin === vet) &&
+                (!petId || a.petId == petId) &&
+                (!status || a.status === status)
+            );
+            res.json({ success: true, agendamentos: sortBySlot(agendamentos) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Agenda de um veterinário entre duas datas (inclusive)
+    async function vetAgenda(req, res, inicio, fim) {
+        try {
+            const vet = (await listVets()).find(v => v.login === req.params.vet);
+            if (!vet) {
+                return res.json({ success: false, message: 'Veterinário não encontrado' });
+            }
 
-        if (await writeJSON('funcionarios.json', funcionarios)) {
-            const safe = { ...funcionarios[idx] };
-            delete safe.senha;
-            res.json({ success: true, message: 'Funcionário atualizado com sucesso', funcionario: safe });
-        } else {
-            res.json({ success: false, message: 'Erro ao salvar funcionário' });
+            const limite = addDays(fim, 1);
+            const agendamentos = (await db.agendamentos.all())
+                .filter(a => a.vetLogin === vet.login && a.inicio >= inicio && a.inicio < limite);
+            res.json({ success: true, vet, inicio, fim, agendamentos: sortBySlot(agendamentos) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
-    } catch (error) {
-        console.error('Erro ao atualizar funcionário:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
-});
 
-// Rota para deletar funcionário
-app.delete('/api/funcionarios/:id', async (req, res) => {
-    const { id } = req.params;
+    // Rota para a agenda do dia de um veterinário
+    app.get('/api/agenda/:vet/dia/:data', staffOnly, (req, res) => {
+        const { data } = req.params;
+        if (!isValidDay(data)) {
+            return res.json({ success: false, message: 'Data inválida (AAAA-MM-DD).' });
+        }
+        vetAgenda(req, res, data, data);
+    });
+
+    // Rota para a agenda da semana (segunda a domingo) que contém a data
+    app.get('/api/agenda/:vet/semana/:data', staffOnly, (req, res) => {
+        const { data } = req.params;
+        if (!isValidDay(data)) {
+            return res.json({ success: false, message: 'Data inválida (AAAA-MM-DD).' });
+        }
+        const semana = weekRange(data);
+        vetAgenda(req, res, semana.inicio, semana.fim);
+    });
+
+    // Rota para criar um agendamento (recusa horários já ocupados pelo veterinário ou pelo pet)
+    app.post('/api/agendamentos', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(agendamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const vets = await listVets();
+            const erro = validateAppointment(dados, vets);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            const pet = (await db.animais.all()).find(p => p.id == dados.petId);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+            const vet = vets.find(v => v.login === dados.vetLogin);
+
+            let conflitos = [];
+            const agendamento = await updateAudited('agendamentos', req, agendamentos => {
+                conflitos = findConflicts(agendamentos, dados);
+                if (conflitos.length) return null;
+                return createAppointment(agendamentos, dados, pet, vet, req.user);
+            });
+
+            if (!agendamento) {
+                return res.json({ success: false, message: conflictMessage(conflitos, dados), conflitos });
+            }
+
+            res.json({ success: true, message: 'Consulta agendada com sucesso!', agendamento });
+        } catch (error) {
+            console.error('Erro ao criar agendamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para remarcar ou editar um agendamento ainda ativo
+    app.patch('/api/agendamentos/:id', staffOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(agendamentoAlteracaoSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
 
-    try {
-        const funcionarios = await readJSON('funcionarios.json');
-        const idx = funcionarios.findIndex(f => f.id == id);
-        if (idx === -1) return res.json({ success: false, message: 'Funcionário não encontrado' });
+        try {
+            const vets = await listVets();
+            let erro = null;
+            let conflitos = [];
+
+            const agendamento = await updateAudited('agendamentos', req, agendamentos => {
+                const atual = agendamentos.find(a => a.id == id);
+                if (!atual) {
+                    erro = 'Agendamento não encontrado';
+                    return null;
+                }
+                if (STATUS_TRANSITIONS[atual.status].length === 0) {
+                    erro = `Um agendamento com status "${atual.status}" não pode ser alterado.`;
+                    return null;
+                }
+
+                const alterado = { ...atual, ...dados };
+
+                erro = validateAppointment(alterado, vets);
+                if (erro) return null;
+
+                conflitos = findConflicts(agendamentos, alterado, atual.id);
+                if (conflitos.length) {
+                    erro = conflictMessage(conflitos, alterado);
+                    return null;
+                }
+
+                const vet = vets.find(v => v.login === alterado.vetLogin);
+                Object.assign(atual, alterado, { vetNome: vet.nome, atualizadoEm: new Date().toISOString() });
+                return atual;
+            });
+
+            if (!agendamento) {
+                return res.json({ success: false, message: erro, conflitos });
+            }
 
-        const current = funcionarios[idx];
-        if (current.role === 'Medico vet') {
-            return res.json({ success: false, message: 'Não é permitido excluir usuário Veterinário.' });
+            res.json({ success: true, message: 'Agendamento atualizado com sucesso!', agendamento });
+        } catch (error) {
+            console.error('Erro ao atualizar agendamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para mudar o status (confirmada, realizada, faltou, cancelada).
+    // Uma consulta realizada é registrada nas consultas passadas do pet.
+    app.put('/api/agendamentos/:id/status', staffOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(statusAgendamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
         }
+        const { status, observacoes } = dados;
 
-        funcionarios.splice(idx, 1);
-        if (await writeJSON('funcionarios.json', funcionarios)) {
-            res.json({ success: true, message: 'Funcionário excluído com sucesso' });
-        } else {
-            res.json({ success: false, message: 'Erro ao excluir funcionário' });
+        if (status === STATUS_REALIZADA && !hasRole(req.user, CLINICAL_ROLES)) {
+            return res.status(403).json({ success: false, message: 'Somente a equipe clínica pode concluir um atendimento.' });
         }
-    } catch (error) {
-        console.error('Erro ao excluir funcionário:', error);
-        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-    }
-});
\ No newline at end of file
+
+        try {
+            let erro = null;
+            const agendamento = await updateAudited('agendamentos', req, agendamentos => {
+                const atual = agendamentos.find(a => a.id == id);
+                if (!atual) {
+                    erro = 'Agendamento não encontrado';
+                    return null;
+                }
+                if (!STATUS_TRANSITIONS[atual.status].includes(status)) {
+                    erro = `Não é possível mudar o status de "${atual.status}" para "${status}".`;
+                    return null;
+                }
+
+                // Pedidos do tutor não ocupam a agenda: o horário é conferido ao confirmar
+                if (atual.status === STATUS_SOLICITADA && status === STATUS_CONFIRMADA) {
+                    const conflitos = findConflicts(agendamentos, atual, atual.id);
+                    if (conflitos.length) {
+                        erro = conflictMessage(conflitos, atual);
+                        return null;
+                    }
+                }
+                return changeStatus(atual, status, req.user, observacoes);
+            });
+
+            if (!agendamento) {
+                return res.json({ success: false, message: erro });
+            }
+
+            if (status === STATUS_REALIZADA) {
+                await updatePet(agendamento.petId, pet => {
+                    pet.consultasPassadas = [...(pet.consultasPassadas || []), toPastConsultation(agendamento)];
+                }, req);
+            }
+
+            res.json({ success: true, message: 'Status atualizado com sucesso!', agendamento });
+        } catch (error) {
+            console.error('Erro ao alterar status do agendamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar os boxes de internação
+    app.get('/api/boxes', staffOnly, async (req, res) => {
+        try {
+            res.json({ success: true, boxes: await db.boxes.all() });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cadastrar um box (somente gestores)
+    app.post('/api/boxes', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(boxSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            const box = await updateAudited('boxes', req, boxes => {
+                erro = validateBox(dados, boxes);
+                if (erro) return null;
+                return createBox(boxes, dados);
+            });
+
+            if (!box) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Box cadastrado com sucesso!', box });
+        } catch (error) {
+            console.error('Erro ao cadastrar box:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para alterar um box. Box ocupado só pode ter as observações alteradas.
+    app.patch('/api/boxes/:id', managersOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(boxSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const ocupante = findActiveByBox(await db.internacoes.all(), id);
+            let erro = null;
+
+            const box = await updateAudited('boxes', req, boxes => {
+                const atual = boxes.find(b => b.id == id);
+                if (!atual) {
+                    erro = 'Box não encontrado';
+                    return null;
+                }
+                if (ocupante && ['nome', 'setor', 'ativo'].some(campo => dados[campo] !== undefined && dados[campo] !== atual[campo])) {
+                    erro = `O box está ocupado por ${ocupante.petNome}. Dê alta ou transfira o pet antes de alterar nome, setor ou status.`;
+                    return null;
+                }
+                erro = validateBox(dados, boxes, atual);
+                if (erro) return null;
+                return updateBox(atual, dados);
+            });
+
+            if (!box) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Box atualizado com sucesso!', box });
+        } catch (error) {
+            console.error('Erro ao atualizar box:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para excluir um box livre
+    app.delete('/api/boxes/:id', managersOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const ocupante = findActiveByBox(await db.internacoes.all(), id);
+            if (ocupante) {
+                return res.json({ success: false, message: `O box está ocupado por ${ocupante.petNome}.` });
+            }
+
+            let erro = null;
+            await updateAudited('boxes', req, boxes => {
+                const index = boxes.findIndex(b => b.id == id);
+                if (index === -1) {
+                    erro = 'Box não encontrado';
+                    return null;
+                }
+                boxes.splice(index, 1);
+                return true;
+            });
+
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Box excluído com sucesso!' });
+        } catch (error) {
+            console.error('Erro ao excluir box:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o mapa de ocupação dos boxes
+    app.get('/api/internacao/ocupacao', staffOnly, async (req, res) => {
+        try {
+            const boxes = occupancyBoard(await db.boxes.all(), await db.internacoes.all());
+            const ocupados = boxes.filter(b => b.ocupado).length;
+            res.json({ success: true, boxes, total: boxes.length, ocupados, livres: boxes.filter(b => b.ativo && !b.ocupado).length });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar internações (filtros opcionais: status, petId)
+    app.get('/api/internacoes', staffOnly, async (req, res) => {
+        const { status, petId } = req.query;
+
+        try {
+            const internacoes = (await db.internacoes.all())
+                .filter(i => (!status || i.status === status) && (!petId || i.petId == petId))
+                .sort((a, b) => b.admitidoEm.localeCompare(a.admitidoEm));
+            res.json({ success: true, internacoes });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para consultar uma internação
+    app.get('/api/internacoes/:id', staffOnly, async (req, res) => {
+        try {
+            const internacao = (await db.internacoes.all()).find(i => i.id == req.params.id);
+            if (!internacao) {
+                return res.json({ success: false, message: 'Internação não encontrada' });
+            }
+            res.json({ success: true, internacao });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para internar um pet em um box livre
+    app.post('/api/internacoes', clinicalOnly, async (req, res) => {
+        const { dados, erros } = validate(internacaoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+        const { petId, boxId } = dados;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == petId);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+            const box = (await db.boxes.all()).find(b => b.id == boxId);
+
+            let erro = null;
+            const internacao = await updateAudited('internacoes', req, internacoes => {
+                const atual = findActiveByPet(internacoes, pet.id);
+                if (atual) {
+                    erro = `${pet.nome} já está internado no box ${atual.boxNome}.`;
+                    return null;
+                }
+                erro = placementError(internacoes, box, pet);
+                if (erro) return null;
+                return createAdmission(internacoes, dados, pet, box, req.user);
+            });
+
+            if (!internacao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            await updatePet(pet.id, p => {
+                p.localizacao = box.setor;
+                p.internacao = { id: internacao.id, boxId: box.id, boxNome: box.nome };
+            }, req);
+
+            await reviewTriage(pet.id);
+            res.json({ success: true, message: `${pet.nome} internado no box ${box.nome}.`, internacao });
+        } catch (error) {
+            console.error('Erro ao internar pet:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para transferir um pet internado para outro box
+    app.put('/api/internacoes/:id/box', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(transferenciaBoxSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const box = (await db.boxes.all()).find(b => b.id == dados.boxId);
+
+            let erro = null;
+            const internacao = await updateAudited('internacoes', req, internacoes => {
+                const atual = internacoes.find(i => i.id == id);
+                if (!atual || atual.status !== STATUS_INTERNADO) {
+                    erro = 'Internação ativa não encontrada';
+                    return null;
+                }
+                if (box && box.id == atual.boxId) {
+                    erro = `${atual.petNome} já está no box ${box.nome}.`;
+                    return null;
+                }
+                erro = placementError(internacoes, box, atual, atual.id);
+                if (erro) return null;
+                return moveToBox(atual, box, req.user);
+            });
+
+            if (!internacao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            await updatePet(internacao.petId, pet => {
+                pet.localizacao = box.setor;
+                pet.internacao = { id: internacao.id, boxId: box.id, boxNome: box.nome };
+            }, req);
+
+            res.json({ success: true, message: `${internacao.petNome} transferido para o box ${box.nome}.`, internacao });
+        } catch (error) {
+            console.error('Erro ao transferir pet de box:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para dar alta (libera o box)
+    app.put('/api/internacoes/:id/alta', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(altaSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            const internacao = await updateAudited('internacoes', req, internacoes => {
+                const atual = internacoes.find(i => i.id == id);
+                if (!atual || atual.status !== STATUS_INTERNADO) {
+                    erro = 'Internação ativa não encontrada';
+                    return null;
+                }
+                return discharge(atual, dados, req.user);
+            });
+
+            if (!internacao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            await updatePet(internacao.petId, pet => {
+                delete pet.internacao;
+                pet.localizacao = '';
+            }, req);
+
+            await reviewTriage(internacao.petId);
+            res.json({ success: true, message: `Alta registrada para ${internacao.petNome}.`, internacao });
+        } catch (error) {
+            console.error('Erro ao registrar alta:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para a ficha de tratamento de um dia (padrão: hoje)
+    app.get('/api/internacoes/:id/ficha', staffOnly, async (req, res) => {
+        const data = req.query.data || new Date().toISOString().split('T')[0];
+
+        if (!isValidDay(data)) {
+            return res.json({ success: false, message: 'Data inválida (AAAA-MM-DD).' });
+        }
+
+        try {
+            const internacao = (await db.internacoes.all()).find(i => i.id == req.params.id);
+            if (!internacao) {
+                return res.json({ success: false, message: 'Internação não encontrada' });
+            }
+
+            res.json({
+                success: true,
+                data,
+                tratamentos: internacao.tratamentos || [],
+                ficha: treatmentSheet(internacao, data)
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para prescrever um tratamento na internação (somente veterinários)
+    app.post('/api/internacoes/:id/tratamentos', vetsOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(tratamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        const erroValidacao = validateTreatment(dados);
+        if (erroValidacao) {
+            return res.json({ success: false, message: erroValidacao });
+        }
+
+        try {
+            let erro = null;
+            const tratamento = await updateAudited('internacoes', req, internacoes => {
+                const atual = internacoes.find(i => i.id == id);
+                if (!atual || atual.status !== STATUS_INTERNADO) {
+                    erro = 'Internação ativa não encontrada';
+                    return null;
+                }
+                return addTreatment(atual, dados, req.user);
+            });
+
+            if (!tratamento) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Tratamento prescrito com sucesso!', tratamento });
+        } catch (error) {
+            console.error('Erro ao prescrever tratamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para suspender um tratamento prescrito
+    app.put('/api/internacoes/:id/tratamentos/:tratamentoId/suspender', vetsOnly, async (req, res) => {
+        const { id, tratamentoId } = req.params;
+
+        try {
+            let erro = null;
+            const tratamento = await updateAudited('internacoes', req, internacoes => {
+                const atual = internacoes.find(i => i.id == id);
+                const item = atual && (atual.tratamentos || []).find(t => t.id == tratamentoId);
+                if (!item) {
+                    erro = 'Tratamento não encontrado';
+                    return null;
+                }
+                if (item.suspensoEm) {
+                    erro = 'Este tratamento já foi suspenso.';
+                    return null;
+                }
+                return suspendTreatment(item, req.user);
+            });
+
+            if (!tratamento) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Tratamento suspenso.', tratamento });
+        } catch (error) {
+            console.error('Erro ao suspender tratamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para marcar um horário da ficha como aplicado. Com produtoId/loteId (e unidades,
+    // padrão 1), o medicamento ou insumo sai do lote escolhido no estoque.
+    app.post('/api/internacoes/:id/tratamentos/:tratamentoId/aplicacoes', clinicalOnly, async (req, res) => {
+        const { id, tratamentoId } = req.params;
+
+        const { resto, baixa, erros } = pickWithdrawal(req.body);
+        if (erros) {
+            return sendValidationErrors(res, erros);
+        }
+        const { dados, erros: errosAplicacao } = validate(aplicacaoSchema, resto);
+        if (errosAplicacao.length) {
+            return sendValidationErrors(res, errosAplicacao);
+        }
+
+        try {
+            const dadosAplicacao = { ...dados };
+            if (baixa) {
+                const internacao = (await db.internacoes.all()).find(i => i.id == id);
+                const tratamento = internacao && (internacao.tratamentos || []).find(t => t.id == tratamentoId);
+                const erroPrevio = internacao ? validateCheck(internacao, tratamento, dados.horario) : 'Internação não encontrada';
+                if (erroPrevio) {
+                    return res.json({ success: false, message: erroPrevio });
+                }
+
+                const referencia = { tipo: 'internacao', internacaoId: internacao.id, petId: internacao.petId, petNome: internacao.petNome };
+                const resultado = await withdrawStock(baixa, ['medicamento', 'insumo'], referencia, req.user);
+                if (resultado.erro) {
+                    return res.json({ success: false, message: resultado.erro });
+                }
+                dadosAplicacao.estoque = resultado.registro;
+            }
+
+            let erro = null;
+            const aplicacao = await recordWithStock(dadosAplicacao.estoque, req.user, () => updateAudited('internacoes', req, internacoes => {
+                const atual = internacoes.find(i => i.id == id);
+                if (!atual) {
+                    erro = 'Internação não encontrada';
+                    return null;
+                }
+                const tratamento = (atual.tratamentos || []).find(t => t.id == tratamentoId);
+                erro = validateCheck(atual, tratamento, dadosAplicacao.horario);
+                if (erro) return null;
+                return registerCheck(atual, tratamento, dadosAplicacao, req.user);
+            }));
+
+            if (!aplicacao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Aplicação registrada.', aplicacao });
+        } catch (error) {
+            console.error('Erro ao registrar aplicação:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o histórico de sinais vitais do pet (ordem cronológica, com a variação de peso)
+    app.get('/api/pets/:id/sinais-vitais', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            res.json({ success: true, alertaPesoPercentual: WEIGHT_ALERT_PERCENT, registros: vitalsHistory(pet) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o valor mais recente de cada sinal vital
+    app.get('/api/pets/:id/sinais-vitais/ultimos', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            res.json({ success: true, alertaPesoPercentual: WEIGHT_ALERT_PERCENT, ultimos: latestVitals(pet) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para registrar uma medição (em uma consulta ou avulsa)
+    app.post('/api/pets/:id/sinais-vitais', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+
+        const { dados, erros } = validate(sinaisVitaisSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const agendamento = dados.agendamentoId
+                ? (await db.agendamentos.all()).find(a => a.id == dados.agendamentoId)
+                : null;
+
+            let erro = 'Pet não encontrado';
+            let registro = null;
+            await updatePet(id, pet => {
+                erro = validateVitals(dados, pet, agendamento);
+                if (erro) return false;
+                registro = createVitals(pet, dados, agendamento, req.user);
+            }, req);
+
+            if (!registro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Sinais vitais registrados!', registro });
+        } catch (error) {
+            console.error('Erro ao registrar sinais vitais:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para excluir uma medição registrada por engano
+    app.delete('/api/pets/:id/sinais-vitais/:registroId', clinicalOnly, async (req, res) => {
+        const { id, registroId } = req.params;
+
+        try {
+            let erro = 'Pet não encontrado';
+            let removido = null;
+            await updatePet(id, pet => {
+                removido = removeVitals(pet, registroId);
+                if (!removido) {
+                    erro = 'Registro não encontrado';
+                    return false;
+                }
+            }, req);
+
+            if (!removido) {
+                return res.json({ success: false, message: erro });
+            }
+
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Registro excluído.' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota do canal de eventos em tempo real (Server-Sent Events) para o painel da equipe
+    app.get('/api/eventos', requireStreamAuth, activeAccount, passwordChanged, requireRole(...STAFF_ROLES), (req, res) => {
+        events.subscribe(req, res);
+    });
+
+    // Rota para as regras de triagem e o modo em uso (sugestao ou automatico)
+    app.get('/api/triagem/regras', staffOnly, (req, res) => {
+        res.json({ success: true, modo: TRIAGE_MODE, regras: triageRules() });
+    });
+
+    // Rota para avaliar agora as regras de triagem de um pet (não grava nada)
+    app.get('/api/pets/:id/triagem', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({ success: true, tag: pet.tag || 'green', ...evaluateTriage(pet, hoje) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o feed de notificações do painel (?naoLidas=1 traz só as não lidas)
+    app.get('/api/notificacoes', staffOnly, async (req, res) => {
+        try {
+            const notificacoes = await db.notificacoes.all();
+            res.json({ success: true, ...notificationFeed(notificacoes, req.user, { naoLidas: req.query.naoLidas === '1' }) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para marcar notificações como lidas pelo usuário (ids no corpo; sem ids, todas)
+    app.put('/api/notificacoes/lidas', staffOnly, async (req, res) => {
+        const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : null;
+
+        try {
+            await db.notificacoes.update(notificacoes => {
+                const selecionadas = ids ? notificacoes.filter(n => ids.includes(String(n.id))) : notificacoes;
+                return markAsRead(selecionadas, req.user);
+            });
+            res.json({ success: true, message: 'Notificações marcadas como lidas.' });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar as prescrições do pet (rascunhos, ativas, encerradas e revogadas)
+    app.get('/api/pets/:id/prescricoes', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({ success: true, prescricoes: petPrescriptions(await db.prescricoes.all(), id, hoje) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para as prescrições em uso pelo pet (assinadas, não revogadas e dentro da duração)
+    app.get('/api/pets/:id/prescricoes/ativas', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({ success: true, prescricoes: activePrescriptions(await db.prescricoes.all(), id, hoje) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para prescrever. Veterinários assinam na hora; estagiários criam um rascunho.
+    app.post('/api/pets/:id/prescricoes', prescribersOnly, async (req, res) => {
+        const { id } = req.params;
+
+        const { dados, erros } = validate(prescricaoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+            const agendamento = dados.agendamentoId
+                ? (await db.agendamentos.all()).find(a => a.id == dados.agendamentoId)
+                : null;
+
+            const erro = validatePrescription(dados, pet, agendamento);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            const assinante = hasRole(req.user, PRESCRIBER_ROLES) ? await findSigner(req.user) : null;
+            const prescricao = await updateAudited('prescricoes', req, prescricoes =>
+                createPrescription(prescricoes, dados, pet, agendamento, req.user, assinante)
+            );
+
+            res.json({
+                success: true,
+                message: assinante ? 'Prescrição registrada com sucesso!' : 'Rascunho salvo. Um veterinário precisa assinar a prescrição.',
+                prescricao: prescriptionView(prescricao, new Date().toISOString().split('T')[0])
+            });
+        } catch (error) {
+            console.error('Erro ao registrar prescrição:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para um veterinário assinar o rascunho de um estagiário
+    app.put('/api/prescricoes/:id/assinar', vetsOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const assinante = await findSigner(req.user);
+            let erro = null;
+            const prescricao = await updateAudited('prescricoes', req, prescricoes => {
+                const atual = prescricoes.find(p => p.id == id);
+                if (!atual) {
+                    erro = 'Prescrição não encontrada';
+                    return null;
+                }
+                if (atual.status !== STATUS_RASCUNHO) {
+                    erro = 'Só rascunhos podem ser assinados.';
+                    return null;
+                }
+                return signPrescription(atual, assinante);
+            });
+
+            if (!prescricao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Prescrição assinada.', prescricao: prescriptionView(prescricao, new Date().toISOString().split('T')[0]) });
+        } catch (error) {
+            console.error('Erro ao assinar prescrição:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para revogar uma prescrição (ou descartar um rascunho); o registro é mantido
+    app.put('/api/prescricoes/:id/revogar', vetsOnly, async (req, res) => {
+        const { id } = req.params;
+
+        const { dados, erros } = validate(revogacaoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            let erro = null;
+            const prescricao = await updateAudited('prescricoes', req, prescricoes => {
+                const atual = prescricoes.find(p => p.id == id);
+                if (!atual) {
+                    erro = 'Prescrição não encontrada';
+                    return null;
+                }
+                const status = prescriptionStatus(atual, hoje);
+                if (status === STATUS_REVOGADA || status === STATUS_ENCERRADA) {
+                    erro = `Esta prescrição já está ${status}.`;
+                    return null;
+                }
+                return revokePrescription(atual, dados.motivo, req.user);
+            });
+
+            if (!prescricao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Prescrição revogada.', prescricao: prescriptionView(prescricao, hoje) });
+        } catch (error) {
+            console.error('Erro ao revogar prescrição:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para registrar a entrega de um medicamento da prescrição ao tutor
+    app.post('/api/prescricoes/:id/dispensacoes', clinicalOnly, async (req, res) => {
+        const { id } = req.params;
+
+        const { dados, erros } = validate(dispensacaoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            const { produtoId, loteId, unidades, ...dadosDispensacao } = dados;
+
+            // Com produtoId/loteId, o medicamento sai do lote escolhido no estoque
+            if (produtoId || loteId) {
+                const prescricao = (await db.prescricoes.all()).find(p => p.id == id);
+                const erroPrevio = prescricao ? validateDispensing(prescricao, dados, hoje) : 'Prescrição não encontrada';
+                if (erroPrevio) {
+                    return res.json({ success: false, message: erroPrevio });
+                }
+
+                const referencia = { tipo: 'dispensacao', prescricaoId: prescricao.id, petId: prescricao.petId, petNome: prescricao.petNome };
+                const resultado = await withdrawStock({ produtoId, loteId, unidades }, ['medicamento'], referencia, req.user);
+                if (resultado.erro) {
+                    return res.json({ success: false, message: resultado.erro });
+                }
+                dadosDispensacao.estoque = resultado.registro;
+            }
+
+            let erro = null;
+            const dispensacao = await recordWithStock(dadosDispensacao.estoque, req.user, () => updateAudited('prescricoes', req, prescricoes => {
+                const atual = prescricoes.find(p => p.id == id);
+                if (!atual) {
+                    erro = 'Prescrição não encontrada';
+                    return null;
+                }
+                erro = validateDispensing(atual, dadosDispensacao, hoje);
+                if (erro) return null;
+                return registerDispensing(atual, dadosDispensacao, req.user);
+            }));
+
+            if (!dispensacao) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Dispensação registrada.', dispensacao });
+        } catch (error) {
+            console.error('Erro ao registrar dispensação:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Registros usados no cálculo das cobranças pendentes (lib/faturamento.js)
+    async function billingContext() {
+        return {
+            agendamentos: await db.agendamentos.all(),
+            internacoes: await db.internacoes.all(),
+            servicos: await db.servicos.all(),
+            faturas: await db.faturas.all()
+        };
+    }
+
+    // Tutor da fatura: o cadastro ligado ao pet ou, se faltar, os dados copiados no pet
+    async function findTutor(pet) {
+        const tutores = await db.usuarios.all();
+        const tutor = tutores.find(t => t.id === pet.tutorId) || findByCpf(tutores, pet.tutorCpf);
+        return tutor
+            ? { id: tutor.id, nome: tutor.nome, cpf: tutor.cpf }
+            : { id: null, nome: pet.tutorNome, cpf: normalizeCPF(pet.tutorCpf) };
+    }
+
+    // Rota para o catálogo de serviços e preços (?ativos=1 traz só os ativos)
+    app.get('/api/servicos', staffOnly, async (req, res) => {
+        try {
+            const servicos = (await db.servicos.all())
+                .filter(s => req.query.ativos !== '1' || s.ativo)
+                .sort((a, b) => a.categoria.localeCompare(b.categoria) || a.nome.localeCompare(b.nome, 'pt-BR'));
+            res.json({ success: true, servicos });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cadastrar um serviço no catálogo
+    app.post('/api/servicos', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(servicoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            const servico = await db.servicos.update(servicos => {
+                erro = validateService(servicos, dados);
+                if (erro) return null;
+                return createService(servicos, dados, req.user);
+            });
+
+            if (!servico) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Serviço cadastrado!', servico });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para alterar nome, preço ou situação de um serviço (o preço já faturado não muda)
+    app.patch('/api/servicos/:id', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(servicoSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = 'Serviço não encontrado';
+            const servico = await db.servicos.update(servicos => {
+                const atual = servicos.find(s => s.id == req.params.id);
+                if (!atual) return null;
+                erro = validateService(servicos, dados, atual);
+                if (erro) return null;
+                return updateService(servicos, atual, dados, req.user);
+            });
+
+            if (!servico) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Serviço atualizado!', servico });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para as cobranças do pet ainda não faturadas (consultas, exames, vacinas e diárias)
+    app.get('/api/pets/:id/cobrancas-pendentes', staffOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const hoje = new Date().toISOString().split('T')[0];
+            const cobrancas = pendingCharges(pet, await billingContext(), hoje);
+            const total = cobrancas.reduce((soma, c) => soma + (c.precoUnitario || 0), 0);
+            res.json({
+                success: true,
+                cobrancas,
+                total: Math.round(total * 100) / 100,
+                semPreco: cobrancas.filter(c => c.precoUnitario === null).length
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar faturas (filtros opcionais: petId, cpf do tutor, status)
+    app.get('/api/faturas', staffOnly, async (req, res) => {
+        const { petId, cpf, status } = req.query;
+
+        try {
+            const faturas = (await db.faturas.all())
+                .filter(f => !petId || f.petId == petId)
+                .filter(f => !cpf || f.tutorCpf === normalizeCPF(cpf))
+                .filter(f => !status || f.status === status)
+                .sort((a, b) => b.numero - a.numero);
+            res.json({ success: true, faturas });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o saldo em aberto por tutor (recepção)
+    app.get('/api/faturas/em-aberto', staffOnly, async (req, res) => {
+        try {
+            res.json({ success: true, ...outstandingBalances(await db.faturas.all()) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para uma fatura
+    app.get('/api/faturas/:id', staffOnly, async (req, res) => {
+        try {
+            const fatura = (await db.faturas.all()).find(f => f.id == req.params.id);
+            if (!fatura) {
+                return res.json({ success: false, message: 'Fatura não encontrada' });
+            }
+            res.json({ success: true, fatura });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para emitir uma fatura com as cobranças pendentes escolhidas (origens; sem origens,
+    // todas) e serviços avulsos do catálogo (extras)
+    app.post('/api/faturas', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(faturaSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == dados.petId);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+            const tutor = await findTutor(pet);
+            const contexto = await billingContext();
+            const hoje = new Date().toISOString().split('T')[0];
+
+            let erro = null;
+            const fatura = await db.faturas.update(faturas => {
+                // As pendências são recalculadas com as faturas atuais para não cobrar duas vezes
+                const cobrancas = pendingCharges(pet, { ...contexto, faturas }, hoje);
+                const resultado = invoiceItems(dados, cobrancas, contexto.servicos);
+                erro = resultado.erro || validateDiscount(dados, resultado.itens);
+                if (erro) return null;
+                return createInvoice(faturas, dados, pet, tutor, resultado.itens, req.user);
+            });
+
+            if (!fatura) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: `Fatura nº ${fatura.numero} emitida.`, fatura });
+        } catch (error) {
+            console.error('Erro ao emitir fatura:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para registrar um pagamento (total ou parcial)
+    app.post('/api/faturas/:id/pagamentos', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(pagamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = 'Fatura não encontrada';
+            let pagamento = null;
+            const fatura = await db.faturas.update(faturas => {
+                const atual = faturas.find(f => f.id == req.params.id);
+                if (!atual) return null;
+                erro = validatePayment(atual, dados);
+                if (erro) return null;
+                pagamento = registerPayment(atual, dados, req.user);
+                return atual;
+            });
+
+            if (!fatura) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Pagamento registrado.', pagamento, fatura });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cancelar uma fatura sem pagamentos (as cobranças voltam a ficar pendentes)
+    app.put('/api/faturas/:id/cancelar', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(cancelamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = 'Fatura não encontrada';
+            const fatura = await db.faturas.update(faturas => {
+                const atual = faturas.find(f => f.id == req.params.id);
+                if (!atual) return null;
+                erro = validateCancel(atual);
+                if (erro) return null;
+                return cancelInvoice(atual, dados.motivo, req.user);
+            });
+
+            if (!fatura) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: `Fatura nº ${fatura.numero} cancelada.`, fatura });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o recibo da fatura em PDF
+    app.get('/api/faturas/:id/recibo', staffOnly, async (req, res) => {
+        try {
+            const fatura = (await db.faturas.all()).find(f => f.id == req.params.id);
+            if (!fatura) {
+                return res.json({ success: false, message: 'Fatura não encontrada' });
+            }
+            if (fatura.status === FATURA_CANCELADA) {
+                return res.json({ success: false, message: 'Fatura cancelada não tem recibo.' });
+            }
+
+            const opcoes = { profissional: await findSigner(req.user), emitidoEm: new Date() };
+            const doc = buildReceipt(fatura, opcoes);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${receiptFileName(fatura, opcoes.emitidoEm)}"`);
+            doc.pipe(res);
+            doc.end();
+        } catch (error) {
+            console.error('Erro ao gerar recibo:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para os produtos do estoque com o saldo disponível (filtros categoria e ?ativos=1)
+    app.get('/api/produtos', staffOnly, async (req, res) => {
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            const produtos = (await db.produtos.all())
+                .filter(p => !req.query.categoria || p.categoria === req.query.categoria)
+                .filter(p => req.query.ativos !== '1' || p.ativo)
+                .map(p => productSummary(p, hoje))
+                .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+            res.json({ success: true, produtos });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para produtos abaixo do estoque mínimo
+    app.get('/api/estoque/baixo', staffOnly, async (req, res) => {
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({ success: true, produtos: lowStockReport(await db.produtos.all(), hoje) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para lotes vencidos ou vencendo nos próximos `dias` (padrão ESTOQUE_VALIDADE_DIAS)
+    app.get('/api/estoque/vencendo', staffOnly, async (req, res) => {
+        const dias = req.query.dias === undefined ? NEAR_EXPIRY_DAYS : Number(req.query.dias);
+        if (!Number.isInteger(dias) || dias < 0 || dias > 365) {
+            return res.json({ success: false, message: 'Informe `dias` entre 0 e 365.' });
+        }
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({ success: true, dias, lotes: expiryReport(await db.produtos.all(), hoje, dias) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para um produto com todos os lotes e as movimentações (mais recentes primeiro)
+    app.get('/api/produtos/:id', staffOnly, async (req, res) => {
+        try {
+            const produto = (await db.produtos.all()).find(p => p.id == req.params.id);
+            if (!produto) {
+                return res.json({ success: false, message: 'Produto não encontrado' });
+            }
+
+            const hoje = new Date().toISOString().split('T')[0];
+            res.json({
+                success: true,
+                produto: {
+                    ...productSummary(produto, hoje),
+                    lotes: produto.lotes || [],
+                    movimentacoes: (produto.movimentacoes || []).slice().reverse()
+                }
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cadastrar um produto no estoque
+    app.post('/api/produtos', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(produtoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            const produto = await db.produtos.update(produtos => {
+                erro = validateProduct(produtos, dados);
+                if (erro) return null;
+                return createProduct(produtos, dados, req.user);
+            });
+
+            if (!produto) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Produto cadastrado!', produto });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para alterar nome, unidade, estoque mínimo ou situação de um produto
+    app.patch('/api/produtos/:id', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(produtoSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = 'Produto não encontrado';
+            const produto = await db.produtos.update(produtos => {
+                const atual = produtos.find(p => p.id == req.params.id);
+                if (!atual) return null;
+                erro = validateProduct(produtos, dados, atual);
+                if (erro) return null;
+                return updateProduct(atual, dados, req.user);
+            });
+
+            if (!produto) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Produto atualizado!', produto });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para dar entrada em um lote (novo ou já cadastrado com o mesmo número)
+    app.post('/api/produtos/:id/lotes', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(loteSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            let erro = 'Produto não encontrado';
+            let entrada = null;
+            await db.produtos.update(produtos => {
+                const atual = produtos.find(p => p.id == req.params.id);
+                if (!atual) return null;
+                erro = validateEntry(atual, dados, hoje);
+                if (erro) return null;
+                entrada = registerEntry(atual, dados, req.user);
+                return atual;
+            });
+
+            if (!entrada) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Entrada registrada!', ...entrada });
+        } catch (error) {
+            console.error('Erro ao registrar entrada no estoque:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para baixar manualmente um lote (uso fora dos registros clínicos ou perda)
+    app.post('/api/produtos/:id/movimentacoes', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(movimentacaoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const hoje = new Date().toISOString().split('T')[0];
+            let erro = 'Produto não encontrado';
+            let baixa = null;
+            await db.produtos.update(produtos => {
+                const atual = produtos.find(p => p.id == req.params.id);
+                if (!atual) return null;
+                erro = validateWithdrawal(atual, dados, hoje);
+                if (erro) return null;
+                baixa = registerWithdrawal(atual, dados, req.user);
+                return atual;
+            });
+
+            if (!baixa) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Movimentação registrada!', ...baixa });
+        } catch (error) {
+            console.error('Erro ao registrar movimentação no estoque:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o histórico de alterações de um pet (mais recentes primeiro)
+    app.get('/api/pets/:id/auditoria', staffOnly, async (req, res) => {
+        try {
+            const entradas = (await db.auditoria.all())
+                .filter(e => e.petId == req.params.id)
+                .sort((a, b) => b.id - a.id);
+            res.json({ success: true, entradas, restauraveis: RESTORABLE_FIELDS });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para consultar a auditoria geral (filtros opcionais: usuario, petId, recurso, desde, ate em AAAA-MM-DD)
+    app.get('/api/auditoria', managersOnly, async (req, res) => {
+        const { usuario, petId, recurso, desde, ate } = req.query;
+
+        if ((desde && !isValidDay(desde)) || (ate && !isValidDay(ate))) {
+            return res.json({ success: false, message: 'Data inválida (AAAA-MM-DD).' });
+        }
+
+        try {
+            const limite = ate && addDays(ate, 1);
+            const entradas = (await db.auditoria.all())
+                .filter(e =>
+                    (!usuario || e.usuario === usuario) &&
+                    (!petId || e.petId == petId) &&
+                    (!recurso || (e.recurso || 'animais') === recurso) &&
+                    (!desde || e.em >= desde) &&
+                    (!limite || e.em < limite)
+                )
+                .sort((a, b) => b.id - a.id);
+            res.json({ success: true, entradas });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para restaurar as observações como estavam antes de uma alteração do histórico.
+    // A restauração também é registrada na auditoria.
+    app.post('/api/pets/:id/auditoria/:entradaId/restaurar', clinicalOnly, async (req, res) => {
+        const { id, entradaId } = req.params;
+        const { campo } = req.body;
+
+        if (!RESTORABLE_FIELDS.includes(campo)) {
+            return res.json({ success: false, message: `Campo não restaurável. Use: ${RESTORABLE_FIELDS.join(', ')}.` });
+        }
+
+        try {
+            const entradas = await db.auditoria.all();
+            const entrada = entradas.find(e => e.id == entradaId && e.petId == id && isPetEntry(e));
+            if (!entrada || !touchesField(entrada, campo)) {
+                return res.json({ success: false, message: 'Versão não encontrada no histórico deste pet.' });
+            }
+
+            let valor;
+            const pet = await updatePet(id, pet => {
+                valor = versionBefore(entradas, pet, campo, entrada.id);
+                pet[campo] = valor;
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            res.json({ success: true, message: 'Versão restaurada com sucesso!', campo, valor });
+        } catch (error) {
+            console.error('Erro ao restaurar versão:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o cadastro de tutores (busca por nome, CPF ou telefone em `q`)
+    app.get('/api/tutores', staffOnly, async (req, res) => {
+        try {
+            const pets = await db.animais.all();
+            const contas = await db.contas.all();
+            const tutores = searchTutors(await db.usuarios.all(), req.query.q || '')
+                .map(t => tutorView(t, pets, contas))
+                .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+            res.json({ success: true, tutores });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para possíveis cadastros repetidos (mesmo nome ou mesmo telefone)
+    app.get('/api/tutores/duplicados', staffOnly, async (req, res) => {
+        try {
+            const pets = await db.animais.all();
+            const tutores = await db.usuarios.all();
+            const contas = await db.contas.all();
+            const grupos = findDuplicates(tutores).map(grupo => ({
+                motivo: grupo.motivo,
+                tutores: grupo.tutorIds.map(id => tutorView(tutores.find(t => t.id === id), pets, contas))
+            }));
+            res.json({ success: true, grupos });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para um tutor com os pets
+    app.get('/api/tutores/:id', staffOnly, async (req, res) => {
+        try {
+            const tutor = (await db.usuarios.all()).find(t => t.id == req.params.id);
+            if (!tutor) {
+                return res.json({ success: false, message: 'Tutor não encontrado' });
+            }
+            res.json({ success: true, tutor: tutorView(tutor, await db.animais.all(), await db.contas.all()) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para cadastrar um tutor sem conta de acesso (recepção)
+    app.post('/api/tutores', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(tutorCadastroSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            const tutor = await db.usuarios.update(tutores => {
+                erro = validateTutor(tutores, dados);
+                if (erro) return null;
+                return createTutor(tutores, dados);
+            });
+
+            if (!tutor) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Tutor cadastrado!', tutor: tutorView(tutor, []) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para alterar os dados do tutor; a alteração vale para todos os pets dele
+    app.patch('/api/tutores/:id', staffOnly, async (req, res) => {
+        const { dados, erros } = validate(tutorCadastroSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = 'Tutor não encontrado';
+            const contas = await db.contas.all();
+            const tutor = await db.usuarios.update(tutores => {
+                const atual = tutores.find(t => t.id == req.params.id);
+                if (!atual) return null;
+                erro = validateTutor(tutores, dados, atual);
+                // O CPF é o login do portal: não pode ser o login de outra conta
+                const conta = contas.find(c => c.tipo === ACCOUNT_TUTOR && c.tutorId === atual.id);
+                if (!erro && dados.cpf !== undefined && conta && validateAccount(contas, { login: dados.cpf }, conta)) {
+                    erro = 'O CPF informado já é o login de outra conta.';
+                }
+                if (erro) return null;
+                return updateTutor(atual, dados);
+            });
+
+            if (!tutor) {
+                return res.json({ success: false, message: erro });
+            }
+
+            // Com o CPF corrigido, o tutor entra no portal com o novo CPF
+            await db.contas.update(lista => {
+                const conta = lista.find(c => c.tipo === ACCOUNT_TUTOR && c.tutorId === tutor.id);
+                if (!conta || conta.login === tutor.cpf) return null;
+                return updateAccount(conta, { login: tutor.cpf });
+            });
+
+            const pets = await syncTutorPets(tutor, req);
+            res.json({
+                success: true,
+                message: pets ? `Tutor atualizado em ${pets} pet(s).` : 'Tutor atualizado!',
+                tutor: tutorView(tutor, await db.animais.all(), await db.contas.all())
+            });
+        } catch (error) {
+            console.error('Erro ao atualizar tutor:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para mesclar um cadastro repetido (origemId) neste tutor: os pets e as faturas da
+    // origem passam para este tutor e o cadastro da origem é removido
+    app.post('/api/tutores/:id/mesclar', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(mesclagemTutorSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            let erro = null;
+            let origem = null;
+            const contas = await db.contas.all();
+            const tutor = await db.usuarios.update(tutores => {
+                const destino = tutores.find(t => t.id == req.params.id);
+                origem = tutores.find(t => t.id === dados.origemId);
+                erro = validateMerge(destino, origem, contas);
+                if (erro) return null;
+                return mergeTutors(tutores, destino, origem);
+            });
+
+            if (!tutor) {
+                return res.json({ success: false, message: erro });
+            }
+
+            const pets = (await db.animais.all()).filter(p => p.tutorId === origem.id);
+            for (const pet of pets) {
+                await updatePet(pet.id, p => syncPetTutor(p, tutor), req);
+            }
+            await db.faturas.update(faturas => {
+                const daOrigem = faturas.filter(f => f.tutorCpf === origem.cpf);
+                daOrigem.forEach(f => Object.assign(f, { tutorId: tutor.id, tutorCpf: tutor.cpf, tutorNome: tutor.nome }));
+                return daOrigem.length > 0;
+            });
+            // A conta de acesso da origem, se houver, passa a ser do tutor mantido
+            await db.contas.update(lista => {
+                const daOrigem = lista.filter(c => c.tutorId === origem.id);
+                daOrigem.forEach(c => { c.tutorId = tutor.id; });
+                return daOrigem.length > 0;
+            });
+
+            res.json({
+                success: true,
+                message: `Cadastro de ${origem.nome} mesclado. ${pets.length} pet(s) transferido(s).`,
+                tutor: tutorView(tutor, await db.animais.all(), await db.contas.all())
+            });
+        } catch (error) {
+            console.error('Erro ao mesclar tutores:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para transferir o pet para outro tutor já cadastrado
+    app.put('/api/pets/:id/tutor', staffOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(transferenciaPetSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const tutor = (await db.usuarios.all()).find(t => t.id === dados.tutorId);
+            if (!tutor) {
+                return res.json({ success: false, message: 'Tutor não encontrado' });
+            }
+
+            let erro = 'Pet não encontrado';
+            const pet = await updatePet(id, pet => {
+                if (pet.tutorId === tutor.id) {
+                    erro = `O pet já pertence a ${tutor.nome}.`;
+                    return false;
+                }
+                syncPetTutor(pet, tutor);
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: `${pet.nome} transferido para ${tutor.nome}.`, pet });
+        } catch (error) {
+            console.error('Erro ao transferir pet:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Portal do tutor: rotas restritas aos pets do tutor logado (pet.tutorId = tutorId da conta)
+    async function findTutorAccount(user) {
+        const conta = (await db.contas.all()).find(c => c.id == user.sub);
+        return conta ? (await db.usuarios.all()).find(t => t.id === conta.tutorId) : null;
+    }
+
+    // Rota para os dados de contato do tutor logado
+    app.get('/api/tutor/perfil', tutorOnly, async (req, res) => {
+        try {
+            const tutor = await findTutorAccount(req.user);
+            if (!tutor) {
+                return res.json({ success: false, message: 'Tutor não encontrado' });
+            }
+
+            res.json({ success: true, tutor });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o tutor alterar telefone e endereço; o novo contato também vai para a ficha dos pets
+    app.put('/api/tutor/perfil', tutorOnly, async (req, res) => {
+        const { dados, erros } = validate(tutorContatoSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const proprio = await findTutorAccount(req.user);
+            const tutor = proprio && await db.usuarios.update(usuarios => {
+                const atual = usuarios.find(t => t.id === proprio.id);
+                if (!atual) return null;
+                return updateTutor(atual, dados);
+            });
+
+            if (!tutor) {
+                return res.json({ success: false, message: 'Tutor não encontrado' });
+            }
+
+            await syncTutorPets(tutor, req);
+
+            res.json({ success: true, message: 'Dados atualizados com sucesso!', tutor });
+        } catch (error) {
+            console.error('Erro ao atualizar dados do tutor:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para os pets do tutor logado (com a situação de internação)
+    app.get('/api/tutor/pets', tutorOnly, async (req, res) => {
+        try {
+            const internacoes = await db.internacoes.all();
+            const proprio = await findTutorAccount(req.user);
+            const pets = (await db.animais.all())
+                .filter(p => isOwner(p, proprio))
+                .map(p => petSummary(p, internacoes));
+            res.json({ success: true, pets });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para a linha do tempo de um pet do tutor (consultas, agendamentos, exames, vacinas e internações)
+    app.get('/api/tutor/pets/:id', tutorOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == id);
+            if (!pet || !isOwner(pet, await findTutorAccount(req.user))) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const hoje = new Date().toISOString().split('T')[0];
+            const view = petPortalView(pet, await db.agendamentos.all(), await db.internacoes.all(), hoje);
+            res.json({ success: true, ...view });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para os agendamentos e pedidos de horário dos pets do tutor
+    app.get('/api/tutor/agendamentos', tutorOnly, async (req, res) => {
+        try {
+            const proprio = await findTutorAccount(req.user);
+            const ids = (await db.animais.all()).filter(p => isOwner(p, proprio)).map(p => String(p.id));
+            const agendamentos = (await db.agendamentos.all()).filter(a => ids.includes(String(a.petId)));
+            res.json({ success: true, agendamentos: sortBySlot(agendamentos) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o tutor pedir um horário; o pedido fica "solicitada" até a clínica confirmar
+    app.post('/api/tutor/agendamentos', tutorOnly, async (req, res) => {
+        const { dados, erros } = validate(solicitacaoAgendamentoSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+        const { petId, vetLogin, inicio } = dados;
+        const pedido = {
+            ...dados,
+            fim: isValidSlot(inicio) ? addMinutes(inicio, REQUEST_DURATION_MINUTES) : undefined,
+            motivo: dados.motivo || ''
+        };
+
+        try {
+            const vets = await listVets();
+            const erro = validateAppointment(pedido, vets);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+            if (pedido.inicio <= nowSlot()) {
+                return res.json({ success: false, message: 'Escolha um horário futuro.' });
+            }
+
+            const pet = (await db.animais.all()).find(p => p.id == petId);
+            if (!pet || !isOwner(pet, await findTutorAccount(req.user))) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+            const vet = vets.find(v => v.login === vetLogin);
+
+            let conflitos = [];
+            const agendamento = await updateAudited('agendamentos', req, agendamentos => {
+                conflitos = findConflicts(agendamentos, pedido);
+                if (conflitos.length) return null;
+                return createAppointment(agendamentos, pedido, pet, vet, req.user, STATUS_SOLICITADA);
+            });
+
+            if (!agendamento) {
+                return res.json({ success: false, message: `${conflictMessage(conflitos, pedido)} Escolha outro horário.` });
+            }
+
+            res.json({ success: true, message: 'Pedido enviado! A clínica vai confirmar o horário.', agendamento });
+        } catch (error) {
+            console.error('Erro ao solicitar agendamento:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o tutor cancelar um pedido ainda não confirmado
+    app.put('/api/tutor/agendamentos/:id/cancelar', tutorOnly, async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const proprio = await findTutorAccount(req.user);
+            const ids = (await db.animais.all()).filter(p => isOwner(p, proprio)).map(p => String(p.id));
+            let erro = null;
+            const agendamento = await updateAudited('agendamentos', req, agendamentos => {
+                const atual = agendamentos.find(a => a.id == id && ids.includes(String(a.petId)));
+                if (!atual) {
+                    erro = 'Agendamento não encontrado';
+                    return null;
+                }
+                if (atual.status !== STATUS_SOLICITADA) {
+                    erro = 'Só pedidos ainda não confirmados podem ser cancelados pelo portal. Para desmarcar, entre em contato com a clínica.';
+                    return null;
+                }
+                return changeStatus(atual, STATUS_CANCELADA, req.user);
+            });
+
+            if (!agendamento) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Pedido cancelado.', agendamento });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar os backups (o mais recente primeiro)
+    app.get('/api/backups', managersOnly, async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                backups: await listBackups(backupDir),
+                intervaloHoras: BACKUP_INTERVAL_HOURS,
+                retencaoDias: BACKUP_RETENTION_DAYS
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para gerar um backup na hora
+    app.post('/api/backups', managersOnly, async (req, res) => {
+        try {
+            const backup = await runBackup('manual', req.user.login);
+            res.json({ success: true, message: 'Backup criado!', backup });
+        } catch (error) {
+            console.error('Erro ao criar backup:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para exportar os dados da clínica: todas as coleções em JSON ou uma coleção em CSV
+    app.get('/api/exportar', managersOnly, async (req, res) => {
+        const formato = req.query.formato || 'json';
+        const { colecao } = req.query;
+        if (!['json', 'csv'].includes(formato)) {
+            return res.json({ success: false, message: 'Formato inválido. Use json ou csv.' });
+        }
+        if (colecao && !db[colecao]) {
+            return res.json({ success: false, message: `Coleção desconhecida: ${colecao}` });
+        }
+        if (formato === 'csv' && !colecao) {
+            return res.json({ success: false, message: 'Escolha a coleção a exportar em CSV.' });
+        }
+
+        try {
+            const nomes = colecao ? [colecao] : Object.keys(db);
+            const colecoes = {};
+            for (const nome of nomes) {
+                colecoes[nome] = await db[nome].all();
+            }
+
+            if (formato === 'csv') {
+                const { colunas, linhas } = collectionTable(colecoes[colecao]);
+                return sendDownload(res, exportFileName(colecao, 'csv'), 'text/csv', toCsv(colunas, linhas));
+            }
+            const nome = exportFileName(colecao || 'clinica', 'json');
+            sendDownload(res, nome, 'application/json', JSON.stringify(datasetExport(colecoes), null, 2));
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para exportar a ficha completa de um paciente (JSON ou CSV campo/valor)
+    app.get('/api/pets/:id/exportar', managersOnly, async (req, res) => {
+        const formato = req.query.formato || 'json';
+        if (!['json', 'csv'].includes(formato)) {
+            return res.json({ success: false, message: 'Formato inválido. Use json ou csv.' });
+        }
+
+        try {
+            const pet = (await db.animais.all()).find(p => p.id == req.params.id);
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            const ficha = patientRecord(pet, {
+                tutores: await db.usuarios.all(),
+                agendamentos: await db.agendamentos.all(),
+                prescricoes: await db.prescricoes.all(),
+                internacoes: await db.internacoes.all(),
+                faturas: await db.faturas.all(),
+                auditoria: await db.auditoria.all()
+            });
+
+            if (formato === 'csv') {
+                const { colunas, linhas } = patientTable(ficha);
+                return sendDownload(res, patientFileName(pet, 'csv'), 'text/csv', toCsv(colunas, linhas));
+            }
+            sendDownload(res, patientFileName(pet, 'json'), 'application/json', JSON.stringify(ficha, null, 2));
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para baixar o modelo da planilha de importação (só o cabeçalho)
+    app.get('/api/importar/:tipo/modelo', managersOnly, (req, res) => {
+        const tipo = IMPORT_TYPES[req.params.tipo];
+        if (!tipo) {
+            return res.json({ success: false, message: 'Tipo de importação inválido. Use tutores ou pets.' });
+        }
+        sendDownload(res, `modelo-${req.params.tipo}.csv`, 'text/csv', toCsv(tipo.colunas, []));
+    });
+
+    // Rota para importar tutores ou pets de uma planilha CSV (corpo da requisição).
+    // Sem ?confirmar=1 só confere a planilha e devolve o relatório; com ele, grava as linhas
+    // se a planilha não tiver nenhum erro.
+    app.post('/api/importar/:tipo', managersOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+        const { tipo } = req.params;
+        if (!IMPORT_TYPES[tipo]) {
+            return res.json({ success: false, message: 'Tipo de importação inválido. Use tutores ou pets.' });
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.json({ success: false, message: 'Envie o conteúdo da planilha CSV.' });
+        }
+        const confirmar = req.query.confirmar === '1';
+
+        try {
+            const relatorio = checkImport(tipo, parseCsv(req.body), {
+                tutores: await db.usuarios.all(),
+                pets: await db.animais.all()
+            });
+            const { registros, ...resumo } = relatorio;
+
+            if (resumo.erros.length) {
+                return res.json({
+                    success: false,
+                    message: `A planilha tem erros em ${resumo.erros.length} linha(s). Corrija e envie de novo; nada foi importado.`,
+                    relatorio: resumo
+                });
+            }
+            if (!confirmar) {
+                return res.json({
+                    success: true,
+                    message: `Planilha conferida: ${resumo.validas} linha(s) pronta(s) para importar.`,
+                    relatorio: resumo
+                });
+            }
+
+            let importados;
+            if (tipo === 'tutores') {
+                // Os CPFs são conferidos de novo na gravação: outro cadastro pode ter entrado desde a conferência
+                let erro = null;
+                importados = await db.usuarios.update(tutores => {
+                    for (const { linha, dados } of registros) {
+                        const motivo = validateTutor(tutores, dados);
+                        if (motivo) {
+                            erro = `Linha ${linha}: ${motivo}`;
+                            return null;
+                        }
+                    }
+                    return registros.map(({ dados }) => createTutor(tutores, dados));
+                });
+                if (!importados) {
+                    return res.json({ success: false, message: `${erro} Nada foi importado.`, relatorio: resumo });
+                }
+            } else {
+                importados = [];
+                for (const { dados } of registros) {
+                    importados.push(await registerPet(dados, req));
+                }
+            }
+
+            res.json({
+                success: true,
+                message: `${importados.length} ${tipo === 'tutores' ? 'tutor(es)' : 'pet(s)'} importado(s)!`,
+                relatorio: resumo,
+                importados: importados.map(item => item.id)
+            });
+        } catch (error) {
+            console.error('Erro ao importar planilha:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Servir index.html na rota raiz
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+    });
+
+    // Cria o cadastro dos tutores que só existiam copiados nos pets e liga cada pet ao seu tutor
+    async function migrateTutorLinks() {
+        const pets = await db.animais.all();
+        await db.usuarios.update(tutores => migrateTutors(tutores, pets));
+        const tutores = await db.usuarios.all();
+        await db.animais.update(animais => {
+            const ligados = linkPets(animais, tutores);
+            if (ligados.length) console.log(`${ligados.length} pet(s) ligados ao cadastro do tutor`);
+            return ligados.length > 0;
+        });
+    }
+
+    // Leva para o diretório de usuários (contas) os logins de medicos.json, usuarios.json e
+    // funcionarios.json, na mesma ordem em que o login antigo procurava. Um login repetido
+    // fica de fora (com aviso no log) e continua no arquivo antigo.
+    async function migrateAccounts() {
+        const origens = [['medicos', db.medicos], ['usuarios', db.usuarios], ['funcionarios', db.funcionarios]];
+        for (const [origem, colecao] of origens) {
+            const legados = (await colecao.all()).filter(c => c.login && c.senha);
+            if (!legados.length) continue;
+
+            const migrados = [];
+            await db.contas.update(contas => {
+                legados.forEach(legado => {
+                    if (importLegacyAccount(contas, origem, legado)) migrados.push(legado.login);
+                    else console.warn(`Login "${legado.login}" (${origem}) já existe no diretório de usuários e não foi migrado`);
+                });
+                return migrados.length > 0;
+            });
+            if (!migrados.length) continue;
+
+            // O cadastro do tutor continua em usuarios, só sem login e senha
+            await colecao.update(lista => {
+                for (let i = lista.length - 1; i >= 0; i--) {
+                    if (!migrados.includes(lista[i].login)) continue;
+                    if (origem === 'usuarios') {
+                        delete lista[i].login;
+                        delete lista[i].senha;
+                    } else {
+                        lista.splice(i, 1);
+                    }
+                }
+                return true;
+            });
+            console.log(`${migrados.length} conta(s) de ${origem} migradas para o diretório de usuários`);
+        }
+    }
+
+    // Backup de segurança antes das migrações de inicialização; dispensado se já houver um
+    // mais novo que o intervalo dos automáticos, para reinícios seguidos não repetirem backups
+    const startupBackup = BACKUP_INTERVAL_HOURS > 0
+        ? recentBackup(backupDir, BACKUP_INTERVAL_HOURS)
+            .then(recente => recente || runBackup('inicializacao'))
+            .catch(error => console.error('Erro ao criar backup:', error.message))
+        : Promise.resolve();
+
+    // Converte na inicialização exames, vacinações e a anamnese única ainda gravados no
+    // formato antigo e inicia o histórico de sinais vitais com o peso do cadastro
+    const ready = startupBackup.then(() => db.animais.update(animais => {
+        const migrados = animais.filter(pet => {
+            const exames = migrateLegacyExams(pet);
+            const vacinas = migrateLegacyVaccination(pet);
+            const vitais = migrateInitialWeight(pet);
+            const anamneses = migrateLegacyAnamnesis(pet);
+            return exames || vacinas || vitais || anamneses;
+        });
+        if (migrados.length) console.log(`Registros de ${migrados.length} pet(s) convertidos para o novo formato`);
+        return migrados.length > 0;
+    })).catch(error => console.error('Erro ao converter registros antigos:', error.message))
+        .then(() => migrateTutorLinks())
+        .catch(error => console.error('Erro ao ligar pets aos tutores:', error.message))
+        .then(() => migrateAccounts())
+        .catch(error => console.error('Erro ao migrar contas de acesso:', error.message))
+        .then(() => reviewAllTriage())
+        .catch(error => console.error('Erro na triagem automática:', error.message));
+
+    // Vacinas e exames passam do prazo com o tempo: a triagem de todos os pets é refeita a cada hora
+    const timers = [];
+    timers.push(setInterval(() => {
+        reviewAllTriage().catch(error => console.error('Erro na triagem automática:', error.message));
+    }, 60 * 60 * 1000).unref());
+
+    // Backups automáticos (BACKUP_INTERVALO_HORAS; 0 desliga)
+    if (BACKUP_INTERVAL_HOURS > 0) {
+        timers.push(setInterval(() => {
+            runBackup('agendado').catch(error => console.error('Erro ao criar backup:', error.message));
+        }, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000).unref());
+    }
+
+    // Rota para cadastrar funcionário (conta da equipe no diretório de usuários)
+    app.post('/api/cadastrar-funcionario', managersOnly, async (req, res) => {
+        const { dados, erros } = validate(staffSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const { conta, erro } = await createStaffAccount(dados);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: 'Funcionário cadastrado com sucesso', funcionario: accountView(conta) });
+        } catch (error) {
+            console.error('Erro ao cadastrar funcionário:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para listar a equipe ativa (veterinários e funcionários)
+    app.get('/api/funcionarios', staffOnly, async (req, res) => {
+        try {
+            const funcionarios = (await db.contas.all())
+                .filter(c => c.tipo === ACCOUNT_STAFF && c.ativo !== false)
+                .map(c => ({ id: c.id, nome: c.nome, login: c.login, contato: c.contato, role: c.role, crmv: c.crmv }));
+            res.json({ success: true, funcionarios });
+        } catch (error) {
+            console.error('Erro ao carregar funcionários:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para atualizar campos de um pet (ex: localizacao)
+    app.put('/api/atualizar-pet/:id', staffOnly, async (req, res) => {
+        const { id } = req.params;
+        const { dados, erros } = validate(petSchema, req.body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            // Pet internado fica no setor do box até a transferência ou a alta
+            if (dados.localizacao !== undefined && findActiveByPet(await db.internacoes.all(), id)) {
+                return res.json({ success: false, message: 'Pet internado: a localização muda pela transferência de box ou pela alta.' });
+            }
+
+            // Dados do tutor passam pelo cadastro do tutor (lib/tutores.js), não só por este pet
+            const dadosTutor = tutorDataFromPet(dados);
+            let tutor = null;
+            if (Object.keys(dadosTutor).length) {
+                const resultado = await changePetTutor(id, dadosTutor, req);
+                if (resultado.erro) {
+                    return res.json({ success: false, message: resultado.erro });
+                }
+                tutor = resultado.tutor;
+            }
+
+            const dadosPet = withoutTutorFields(dados);
+            const pet = await updatePet(id, pet => {
+                // Peso alterado na ficha entra no histórico de sinais vitais
+                if (dadosPet.peso !== undefined && dadosPet.peso !== '' && dadosPet.peso !== parseWeight(pet.peso)) {
+                    recordWeight(pet, dadosPet.peso, req.user);
+                }
+                Object.assign(pet, dadosPet);
+                if (tutor) syncPetTutor(pet, tutor);
+            }, req);
+
+            if (!pet) {
+                return res.json({ success: false, message: 'Pet não encontrado' });
+            }
+
+            await reviewTriage(id);
+            res.json({ success: true, message: 'Pet atualizado com sucesso!', pet });
+        } catch (error) {
+            console.error('Erro ao atualizar pet:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para atualizar funcionário (mudança de cargo conforme ROLE_TRANSITIONS, lib/contas.js)
+    app.put('/api/funcionarios/:id', authenticated, async (req, res) => {
+        const { id } = req.params;
+
+        // Cada funcionário pode editar o próprio perfil; demais alterações exigem gestor
+        const isManager = hasRole(req.user, MANAGER_ROLES);
+        const isSelf = req.user.tipo === ACCOUNT_STAFF && req.user.sub == id;
+        if (!isManager && !isSelf) {
+            return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
+        }
+
+        // Senha em branco no formulário de perfil significa "manter a atual"
+        const body = { ...req.body };
+        if (body.senha === '') delete body.senha;
+
+        const { dados: updateData, erros } = validate(staffSchema, body, { parcial: true });
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const current = (await db.contas.all()).find(c => c.id == id && c.tipo === ACCOUNT_STAFF);
+            if (!current) return res.json({ success: false, message: 'Funcionário não encontrado' });
+
+            if (updateData.role && updateData.role !== current.role) {
+                // Mudança de cargo é sempre feita por um gestor
+                if (!isManager) {
+                    return res.status(403).json({ success: false, message: 'Somente um Medico vet pode alterar cargos.' });
+                }
+
+                const erroCargo = validateRoleChange(current.role, updateData.role);
+                if (erroCargo) {
+                    return res.json({ success: false, message: erroCargo });
+                }
+            }
+
+            // Cargos sem CRMV (Estagiario) não recebem CRMV pelo perfil
+            if (ROLES_WITHOUT_CRMV.includes(updateData.role || current.role)) {
+                delete updateData.crmv;
+            }
+
+            // id e dataCadastro ficam fora do esquema e já foram recusados na validação
+            const allowed = { ...updateData };
+
+            // Nova senha (opcional) é gravada sempre com hash
+            if (allowed.senha) {
+                allowed.senha = await hashPassword(allowed.senha);
+            }
+
+            let erro = 'Funcionário não encontrado';
+            const atualizado = await db.contas.update(contas => {
+                const conta = contas.find(c => c.id == id && c.tipo === ACCOUNT_STAFF);
+                if (!conta) return null;
+                erro = validateAccount(contas, allowed, conta);
+                if (erro) return null;
+                return updateAccount(conta, allowed);
+            });
+
+            if (!atualizado) return res.json({ success: false, message: erro });
+
+            res.json({ success: true, message: 'Funcionário atualizado com sucesso', funcionario: accountView(atualizado) });
+        } catch (error) {
+            console.error('Erro ao atualizar funcionário:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Desativa a conta (`usuario` = quem pede); retorna { conta } ou { erro }
+    async function deactivate(id, usuario) {
+        let erro = null;
+        const conta = await db.contas.update(contas => {
+            const atual = contas.find(c => c.id == id);
+            erro = validateDeactivation(contas, atual, usuario);
+            if (erro) return null;
+            return deactivateAccount(atual, usuario);
+        });
+        return conta ? { conta } : { erro };
+    }
+
+    // Rota para "excluir" funcionário: a conta é desativada, não apagada, para manter o
+    // histórico de quem registrou consultas, prescrições e documentos
+    app.delete('/api/funcionarios/:id', authenticated, async (req, res) => {
+        const { id } = req.params;
+
+        const isSelf = req.user.tipo === ACCOUNT_STAFF && req.user.sub == id;
+        if (!hasRole(req.user, MANAGER_ROLES) && !isSelf) {
+            return res.status(403).json({ success: false, message: 'Acesso não autorizado para este perfil.' });
+        }
+
+        try {
+            const funcionario = (await db.contas.all()).find(c => c.id == id && c.tipo === ACCOUNT_STAFF);
+            if (!funcionario) return res.json({ success: false, message: 'Funcionário não encontrado' });
+
+            const { erro } = await deactivate(id, req.user);
+            if (erro) return res.json({ success: false, message: erro });
+
+            res.json({ success: true, message: 'Conta desativada com sucesso' });
+        } catch (error) {
+            console.error('Erro ao desativar funcionário:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para a política de cargos: cargos da equipe e para quais cada um pode mudar
+    app.get('/api/cargos', staffOnly, (req, res) => {
+        res.json({ success: true, cargos: STAFF_ROLES, transicoes: ROLE_TRANSITIONS, semCrmv: ROLES_WITHOUT_CRMV });
+    });
+
+    // Console de contas (gestores): equipe e tutores do diretório de usuários, filtro `tipo`
+    app.get('/api/contas', managersOnly, async (req, res) => {
+        try {
+            const { tipo } = req.query;
+            const tutores = await db.usuarios.all();
+            const contas = (await db.contas.all())
+                .filter(c => !tipo || c.tipo === tipo)
+                .map(c => {
+                    const tutor = c.tipo === ACCOUNT_TUTOR ? tutores.find(t => t.id === c.tutorId) : null;
+                    return { ...accountView(c), nome: tutor ? tutor.nome : c.nome, cpf: tutor ? tutor.cpf : undefined };
+                })
+                .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+            res.json({ success: true, contas });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para desativar uma conta (o login deixa de funcionar, inclusive nas sessões abertas)
+    app.post('/api/contas/:id/desativar', managersOnly, async (req, res) => {
+        try {
+            const { conta, erro } = await deactivate(req.params.id, req.user);
+            if (erro) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: `Conta de ${conta.nome} desativada.`, conta: accountView(conta) });
+        } catch (error) {
+            console.error('Erro ao desativar conta:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para reativar uma conta desativada
+    app.post('/api/contas/:id/reativar', managersOnly, async (req, res) => {
+        try {
+            let erro = 'Conta não encontrada';
+            const conta = await db.contas.update(contas => {
+                const atual = contas.find(c => c.id == req.params.id);
+                if (!atual) return null;
+                if (atual.ativo !== false) {
+                    erro = 'A conta já está ativa.';
+                    return null;
+                }
+                return reactivateAccount(atual);
+            });
+
+            if (!conta) {
+                return res.json({ success: false, message: erro });
+            }
+
+            res.json({ success: true, message: `Conta de ${conta.nome} reativada.`, conta: accountView(conta) });
+        } catch (error) {
+            console.error('Erro ao reativar conta:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para redefinir a senha: gera uma senha temporária, mostrada uma vez ao gestor,
+    // que o usuário troca no próximo acesso
+    app.post('/api/contas/:id/senha', managersOnly, async (req, res) => {
+        try {
+            const senhaTemporaria = temporaryPassword();
+            const senha = await hashPassword(senhaTemporaria);
+
+            const conta = await db.contas.update(contas => {
+                const atual = contas.find(c => c.id == req.params.id);
+                if (!atual) return null;
+                updateAccount(atual, { senha });
+                atual.trocarSenha = true;
+                return atual;
+            });
+
+            if (!conta) {
+                return res.json({ success: false, message: 'Conta não encontrada' });
+            }
+
+            res.json({ success: true, message: `Senha de ${conta.login} redefinida.`, senhaTemporaria });
+        } catch (error) {
+            console.error('Erro ao redefinir senha:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    // Rota para o usuário logado (equipe ou tutor) trocar a própria senha
+    app.put('/api/conta/senha', signedIn, async (req, res) => {
+        const { dados, erros } = validate(trocaSenhaSchema, req.body);
+        if (erros.length) {
+            return sendValidationErrors(res, erros);
+        }
+
+        try {
+            const atual = (await db.contas.all()).find(c => c.id == req.user.sub);
+            if (!atual || !(await verifyPassword(dados.senhaAtual, atual.senha))) {
+                return res.json({ success: false, message: 'Senha atual incorreta.' });
+            }
+
+            const senha = await hashPassword(dados.novaSenha);
+            await db.contas.update(contas => {
+                const conta = contas.find(c => c.id === atual.id);
+                return conta ? updateAccount(conta, { senha }) : null;
+            });
+
+            res.json({ success: true, message: 'Senha alterada com sucesso!' });
+        } catch (error) {
+            console.error('Erro ao trocar senha:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    });
+
+    function close() {
+        timers.forEach(clearInterval);
+        store.close();
+    }
+
+    return { app, db, ready, close };
+}
+
+// Executado diretamente (npm start): move os dados de instalações antigas e abre a porta
+if (require.main === module) {
+    const movidos = relocateDataFiles(ROOT_DIR, DATA_DIR);
+    if (movidos.length) console.log(`Arquivos de dados movidos para ${DATA_DIR}: ${movidos.join(', ')}`);
+
+    const { app } = createApp();
+    app.listen(PORT, () => {
+        console.log(`🐾 Sistema Veterinário rodando em http://localhost:${PORT}`);
+        console.log('Para parar o servidor, pressione Ctrl+C');
+    });
+}
+
+module.exports = { createApp };
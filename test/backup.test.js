@@ -0,0 +1,43 @@
+// Backups (lib/backup.js): retenção por idade e backup recente que dispensa o da inicialização
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { pruneBackups, recentBackup } = require('../lib/backup');
+
+const DIA = 24 * 60 * 60 * 1000;
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'clinica-backups-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// Pasta de backup com só o manifesto, criada `dias` dias atrás
+async function fakeBackup(dias) {
+    const criadoEm = new Date(Date.now() - dias * DIA);
+    const nome = criadoEm.toISOString().replace(/[:.]/g, '-');
+    await fs.mkdir(path.join(dir, nome));
+    await fs.writeFile(path.join(dir, nome, 'manifesto.json'), JSON.stringify({ nome, criadoEm, colecoes: {} }));
+    return nome;
+}
+
+test('apaga só os backups mais velhos que a retenção, mantendo sempre o mais recente', async () => {
+    const velho = await fakeBackup(20);
+    const recente = await fakeBackup(3);
+
+    assert.deepEqual(await pruneBackups(dir, 14), [velho]);
+    assert.deepEqual(await pruneBackups(dir, 1), []);
+    assert.deepEqual(await fs.readdir(dir), [recente]);
+});
+
+test('backup feito dentro do intervalo conta como recente', async () => {
+    assert.equal(await recentBackup(dir, 24), null);
+
+    const nome = await fakeBackup(0.5);
+    assert.equal((await recentBackup(dir, 24)).nome, nome);
+});
@@ -0,0 +1,283 @@
+// Login dos três tipos de conta e cadastro de tutores, veterinários e funcionários
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTOR, CPFS, startServer } = require('./helpers');
+
+let api;
+let tokenGestor;
+
+before(async () => {
+    api = await startServer();
+    tokenGestor = await api.login(GESTOR.login, GESTOR.senha);
+});
+
+after(() => api.stop());
+
+const tutor = {
+    nome: 'Maria Tutora',
+    cpf: '529.982.247-25',
+    telefone: '(51) 99123-4567',
+    endereco: 'Rua das Flores, 10',
+    senha: 'senha-tutor'
+};
+
+const vet = {
+    nome: 'Carlos Veterinário',
+    login: 'carlos',
+    contato: '51991112222',
+    senha: 'senha-vet',
+    crmv: 'CRMV-RS 5678'
+};
+
+describe('cadastro de tutor', () => {
+    test('cria a conta com o CPF como login', async () => {
+        const { status, body } = await api.request('POST', '/api/cadastrar-tutor', { body: tutor });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+    });
+
+    test('recusa CPF já cadastrado', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-tutor', { body: tutor });
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'CPF já cadastrado!');
+    });
+
+    test('recusa dados inválidos campo a campo', async () => {
+        const { status, body } = await api.request('POST', '/api/cadastrar-tutor', {
+            body: { ...tutor, cpf: '123.456.789-00', senha: '123' }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+        assert.deepEqual(body.erros.map(e => e.campo).sort(), ['cpf', 'senha']);
+    });
+
+    test('recusa campos fora do esquema', async () => {
+        const { status, body } = await api.request('POST', '/api/cadastrar-tutor', {
+            body: { ...tutor, cpf: CPFS[1], role: 'Medico vet' }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.erros.map(e => e.campo), ['role']);
+    });
+});
+
+describe('cadastro pelo portal de um tutor já registrado pela recepção', () => {
+    const recepcao = { nome: 'Lia Tutora', cpf: CPFS[1], telefone: '51988776655', endereco: 'Rua do Cadastro, 1' };
+    let tutorId;
+
+    before(async () => {
+        const { body } = await api.request('POST', '/api/tutores', { token: tokenGestor, body: recepcao });
+        tutorId = body.tutor.id;
+    });
+
+    test('recusa quem não informa o telefone do cadastro', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-tutor', {
+            body: { ...tutor, cpf: CPFS[1], telefone: '51911112222', endereco: 'Outro endereço' }
+        });
+        assert.equal(body.success, false);
+        assert.match(body.message, /telefone do cadastro/);
+    });
+
+    test('com o telefone do cadastro cria só a conta, sem mudar o contato', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-tutor', {
+            body: { ...tutor, cpf: CPFS[1], telefone: '(51) 98877-6655', endereco: 'Outro endereço' }
+        });
+        assert.equal(body.success, true, body.message);
+
+        const { body: { tutor: cadastro } } = await api.request('GET', `/api/tutores/${tutorId}`, { token: tokenGestor });
+        assert.equal(cadastro.endereco, recepcao.endereco);
+        assert.equal(cadastro.nome, recepcao.nome);
+        assert.ok(await api.login(CPFS[1], tutor.senha));
+    });
+});
+
+describe('cadastro de veterinário', () => {
+    test('gestor cadastra um veterinário', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-vet', { token: tokenGestor, body: vet });
+        assert.equal(body.success, true);
+    });
+
+    test('recusa login repetido', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-vet', { token: tokenGestor, body: vet });
+        assert.equal(body.success, false);
+        assert.match(body.message, /login/i);
+    });
+
+    test('exige o CRMV', async () => {
+        const { crmv, ...semCrmv } = vet;
+        const { status, body } = await api.request('POST', '/api/cadastrar-vet', {
+            token: tokenGestor,
+            body: { ...semCrmv, login: 'outro-vet' }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.erros.map(e => e.campo), ['crmv']);
+    });
+
+    test('exige sessão', async () => {
+        const { status } = await api.request('POST', '/api/cadastrar-vet', { body: { ...vet, login: 'sem-sessao' } });
+        assert.equal(status, 401);
+    });
+});
+
+describe('cadastro de funcionário', () => {
+    test('gestor cadastra um funcionário com cargo', async () => {
+        const { body } = await api.request('POST', '/api/cadastrar-funcionario', {
+            token: tokenGestor,
+            body: { nome: 'Rita Recepção', login: 'rita', contato: '51993334444', senha: 'senha-rita', role: 'Recepção' }
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.role, 'Recepção');
+        assert.equal(body.funcionario.senha, undefined);
+    });
+
+    test('recusa cargo inexistente', async () => {
+        const { status, body } = await api.request('POST', '/api/cadastrar-funcionario', {
+            token: tokenGestor,
+            body: { nome: 'José', login: 'jose', contato: '51993334444', senha: 'senha-jose', role: 'Diretor' }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.erros.map(e => e.campo), ['role']);
+    });
+
+    test('só gestores cadastram funcionários', async () => {
+        const tokenRita = await api.login('rita', 'senha-rita');
+        const { status } = await api.request('POST', '/api/cadastrar-funcionario', {
+            token: tokenRita,
+            body: { nome: 'José', login: 'jose', contato: '51993334444', senha: 'senha-jose', role: 'Estagiario' }
+        });
+        assert.equal(status, 403);
+    });
+});
+
+describe('login', () => {
+    test('tutor entra com o CPF', async () => {
+        const { body } = await api.request('POST', '/api/login', { body: { login: '52998224725', senha: tutor.senha } });
+        assert.equal(body.success, true);
+        assert.ok(body.token);
+        assert.equal(body.user.role, 'Tutor');
+        assert.equal(body.user.nome, tutor.nome);
+        assert.equal(body.user.senha, undefined);
+    });
+
+    test('veterinário entra com o login', async () => {
+        const { body } = await api.request('POST', '/api/login', { body: { login: vet.login, senha: vet.senha } });
+        assert.equal(body.success, true);
+        assert.equal(body.user.role, 'Medico vet');
+        assert.equal(body.user.crmv, vet.crmv);
+    });
+
+    test('funcionário entra com o login', async () => {
+        const { body } = await api.request('POST', '/api/login', { body: { login: 'rita', senha: 'senha-rita' } });
+        assert.equal(body.success, true);
+        assert.equal(body.user.role, 'Recepção');
+    });
+
+    test('aceita o CPF com pontuação e o login com maiúsculas e espaços', async () => {
+        let { body } = await api.request('POST', '/api/login', { body: { login: tutor.cpf, senha: tutor.senha } });
+        assert.equal(body.success, true);
+        assert.equal(body.user.role, 'Tutor');
+
+        ({ body } = await api.request('POST', '/api/login', { body: { login: ' Carlos ', senha: vet.senha } }));
+        assert.equal(body.success, true);
+        assert.equal(body.user.login, vet.login);
+    });
+
+    test('recusa senha errada', async () => {
+        const { body } = await api.request('POST', '/api/login', { body: { login: vet.login, senha: 'errada' } });
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Usuário ou senha incorretos!');
+    });
+
+    test('exige login e senha', async () => {
+        const { body } = await api.request('POST', '/api/login', { body: { login: vet.login } });
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Login e senha são obrigatórios!');
+    });
+
+    test('o token dá acesso às rotas do perfil', async () => {
+        const tokenTutor = await api.login('52998224725', tutor.senha);
+        const tokenRita = await api.login('rita', 'senha-rita');
+
+        assert.equal((await api.request('GET', '/api/pets', { token: tokenRita })).body.success, true);
+        assert.equal((await api.request('GET', '/api/pets', { token: tokenTutor })).status, 403);
+        assert.equal((await api.request('GET', '/api/pets', { token: 'token-invalido' })).status, 401);
+    });
+});
+
+describe('senha temporária', () => {
+    test('só a troca de senha funciona até o usuário escolher uma nova', async () => {
+        const contas = (await api.request('GET', '/api/contas?tipo=equipe', { token: tokenGestor })).body.contas;
+        const rita = contas.find(c => c.login === 'rita');
+        const { body: redefinida } = await api.request('POST', `/api/contas/${rita.id}/senha`, { token: tokenGestor });
+        assert.equal(redefinida.success, true);
+
+        const { body: entrada } = await api.request('POST', '/api/login', { body: { login: 'rita', senha: redefinida.senhaTemporaria } });
+        assert.equal(entrada.success, true);
+        assert.equal(entrada.user.trocarSenha, true);
+
+        const bloqueada = await api.request('GET', '/api/pets', { token: entrada.token });
+        assert.equal(bloqueada.status, 403);
+        assert.equal(bloqueada.body.trocarSenha, true);
+
+        const { body: troca } = await api.request('PUT', '/api/conta/senha', {
+            token: entrada.token,
+            body: { senhaAtual: redefinida.senhaTemporaria, novaSenha: 'nova-senha-rita' }
+        });
+        assert.equal(troca.success, true);
+        assert.equal((await api.request('GET', '/api/pets', { token: entrada.token })).body.success, true);
+    });
+});
+
+describe('CPF do tutor corrigido pela recepção', () => {
+    test('o login do portal passa a ser o novo CPF e o tutor continua vendo os pets', async () => {
+        const dados = { ...tutor, nome: 'Joana Tutora', cpf: CPFS[2] };
+        assert.equal((await api.request('POST', '/api/cadastrar-tutor', { body: dados })).body.success, true);
+        await api.request('POST', '/api/salvar-pet', {
+            token: tokenGestor,
+            body: { nome: 'Mel', especie: 'Gato', tutorNome: dados.nome, tutorCpf: CPFS[2] }
+        });
+        const { body: { tutores } } = await api.request('GET', `/api/tutores?q=${CPFS[2]}`, { token: tokenGestor });
+
+        const { body } = await api.request('PATCH', `/api/tutores/${tutores[0].id}`, { token: tokenGestor, body: { cpf: CPFS[3] } });
+        assert.equal(body.success, true, body.message);
+
+        const antigo = await api.request('POST', '/api/login', { body: { login: CPFS[2], senha: tutor.senha } });
+        assert.equal(antigo.body.success, false);
+        const tokenTutor = await api.login(CPFS[3], tutor.senha);
+        const { body: portal } = await api.request('GET', '/api/tutor/pets', { token: tokenTutor });
+        assert.deepEqual(portal.pets.map(p => p.nome), ['Mel']);
+    });
+
+    test('recusa CPF que já é o login de outra conta', async () => {
+        const { body: { tutores } } = await api.request('GET', `/api/tutores?q=${CPFS[3]}`, { token: tokenGestor });
+        await api.request('POST', '/api/cadastrar-vet', { token: tokenGestor, body: { ...vet, login: CPFS[4], crmv: 'CRMV-RS 9999' } });
+
+        const { body } = await api.request('PATCH', `/api/tutores/${tutores[0].id}`, { token: tokenGestor, body: { cpf: CPFS[4] } });
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'O CPF informado já é o login de outra conta.');
+    });
+});
+
+describe('pedido de horário pelo portal', () => {
+    test('valida o pedido pelo esquema e grava o motivo como texto', async () => {
+        const tokenTutor = await api.login(CPFS[3], tutor.senha);
+        const { body: { pets } } = await api.request('GET', '/api/tutor/pets', { token: tokenTutor });
+
+        const recusado = await api.request('POST', '/api/tutor/agendamentos', {
+            token: tokenTutor,
+            body: { petId: 'abc', vetLogin: GESTOR.login, inicio: { a: 1 }, tipo: 'Banho', status: 'confirmada' }
+        });
+        assert.equal(recusado.status, 400);
+        assert.deepEqual(recusado.body.erros.map(e => e.campo).sort(), ['inicio', 'petId', 'status', 'tipo']);
+
+        const motivo = '<img src=x onerror=alert(1)>';
+        const { body } = await api.request('POST', '/api/tutor/agendamentos', {
+            token: tokenTutor,
+            body: { petId: String(pets[0].id), vetLogin: GESTOR.login, inicio: '2099-01-05T10:00', tipo: 'Consulta', motivo }
+        });
+        assert.equal(body.success, true, body.message);
+        assert.equal(body.agendamento.status, 'solicitada');
+        assert.equal(body.agendamento.fim, '2099-01-05T10:30');
+        assert.equal(body.agendamento.motivo, motivo);
+    });
+});
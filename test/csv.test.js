@@ -0,0 +1,18 @@
+// Planilhas CSV (lib/csv.js): fórmulas neutralizadas na exportação e número da linha na leitura
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../lib/csv');
+
+test('texto que começa como fórmula sai com apóstrofo e volta sem ele', () => {
+    const csv = toCsv(['nome', 'obs', 'saldo'], [{ nome: '=HYPERLINK("x")', obs: '@SUM(A1)', saldo: -5 }]);
+    assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""x"")";'@SUM(A1);-5`);
+
+    const { linhas } = parseCsv(csv);
+    assert.deepEqual(linhas[0].valores, { nome: '=HYPERLINK("x")', obs: '@SUM(A1)', saldo: '-5' });
+});
+
+test('o número da linha conta as quebras dentro de células entre aspas', () => {
+    const { linhas } = parseCsv('nome;endereco\r\nAna;"Rua A\r\nApto 2"\r\n\r\nBia;Rua B\r\n');
+    assert.deepEqual(linhas.map(l => l.numero), [2, 5]);
+});
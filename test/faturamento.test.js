@@ -0,0 +1,60 @@
+// Emissão de faturas (POST /api/faturas): desconto e situação inicial da fatura
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTOR, CPFS, startServer } = require('./helpers');
+
+let api;
+let token;
+let pet;
+
+before(async () => {
+    api = await startServer();
+    token = await api.login(GESTOR.login, GESTOR.senha);
+
+    await send('POST', '/api/servicos', { nome: 'V10', categoria: 'vacina', preco: 80 });
+    ({ body: { pet } } = await send('POST', '/api/salvar-pet', {
+        nome: 'Thor', especie: 'Cão', tutorNome: 'Paulo Tutor', tutorCpf: CPFS[0]
+    }));
+});
+
+after(() => api.stop());
+
+function send(method, url, body) {
+    return api.request(method, url, { token, body });
+}
+
+async function chargeVaccine() {
+    const { body } = await send('POST', `/api/pets/${pet.id}/vacinas`, { vacina: 'V10', dataAplicacao: '2026-01-05' });
+    assert.equal(body.success, true, body.message);
+    return `vacina:${pet.id}:${body.dose.id}`;
+}
+
+describe('POST /api/faturas', () => {
+    test('com desconto parcial fica aberta com o saldo a pagar', async () => {
+        const origem = await chargeVaccine();
+        const { body } = await send('POST', '/api/faturas', { petId: pet.id, origens: [origem], desconto: 30 });
+        assert.equal(body.success, true, body.message);
+        assert.equal(body.fatura.status, 'aberta');
+        assert.equal(body.fatura.saldo, 50);
+    });
+
+    test('com desconto igual ao subtotal já sai paga', async () => {
+        const origem = await chargeVaccine();
+        const { body } = await send('POST', '/api/faturas', { petId: pet.id, origens: [origem], desconto: 80 });
+        assert.equal(body.success, true, body.message);
+        assert.equal(body.fatura.total, 0);
+        assert.equal(body.fatura.saldo, 0);
+        assert.equal(body.fatura.status, 'paga');
+
+        const em = await send('GET', '/api/faturas/em-aberto');
+        assert.ok(!em.body.tutores.some(t => t.faturas.some(f => f.id === body.fatura.id)));
+    });
+
+    test('recusa desconto maior que o subtotal', async () => {
+        const origem = await chargeVaccine();
+        const { body } = await send('POST', '/api/faturas', { petId: pet.id, origens: [origem], desconto: 81 });
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'O desconto não pode ser maior que o valor da fatura.');
+    });
+});
@@ -0,0 +1,134 @@
+// Alteração de funcionários (PUT /api/funcionarios/:id): regras de mudança de cargo
+// (ROLE_TRANSITIONS, lib/contas.js) e quem pode alterar o quê
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTOR, startServer } = require('./helpers');
+
+let api;
+let tokenGestor;
+
+before(async () => {
+    api = await startServer();
+    tokenGestor = await api.login(GESTOR.login, GESTOR.senha);
+});
+
+after(() => api.stop());
+
+function changeRole(id, role, token = tokenGestor) {
+    return api.request('PUT', `/api/funcionarios/${id}`, { token, body: { role } });
+}
+
+describe('mudança de cargo pelo gestor', () => {
+    test('Estagiario passa a Vet junior e Vet junior a Medico vet', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Ana', login: 'ana', role: 'Estagiario' });
+
+        let { body } = await changeRole(id, 'Vet junior');
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.role, 'Vet junior');
+
+        ({ body } = await changeRole(id, 'Medico vet'));
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.role, 'Medico vet');
+    });
+
+    test('Estagiario não pula direto para Medico vet', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Bruno', login: 'bruno', role: 'Estagiario' });
+
+        const { body } = await changeRole(id, 'Medico vet');
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Estagiario só pode mudar para Vet junior.');
+    });
+
+    test('Vet junior não volta a Estagiario', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Caio', login: 'caio', role: 'Vet junior', crmv: 'CRMV-RS 1' });
+
+        const { body } = await changeRole(id, 'Estagiario');
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Vet junior só pode mudar para Medico vet.');
+    });
+
+    test('Medico vet não muda de cargo', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Duda', login: 'duda', role: 'Medico vet', crmv: 'CRMV-RS 2' });
+
+        const { body } = await changeRole(id, 'Vet junior');
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Usuário Veterinário não pode ser alterado.');
+    });
+
+    test('Recepção e Internação não mudam de cargo', async () => {
+        for (const [login, role] of [['elisa', 'Recepção'], ['fabio', 'Internação']]) {
+            const { id } = await api.createStaff(tokenGestor, { nome: login, login, role });
+            const { body } = await changeRole(id, 'Estagiario');
+            assert.equal(body.success, false);
+            assert.equal(body.message, 'Funcionários de Recepção ou Internação não podem alterar o cargo.');
+        }
+    });
+
+    test('manter o mesmo cargo não é uma mudança', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Gil', login: 'gil', role: 'Recepção' });
+
+        const { body } = await api.request('PUT', `/api/funcionarios/${id}`, {
+            token: tokenGestor,
+            body: { role: 'Recepção', nome: 'Gil Souza' }
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.nome, 'Gil Souza');
+    });
+
+    test('recusa cargo inexistente', async () => {
+        const { id } = await api.createStaff(tokenGestor, { nome: 'Hugo', login: 'hugo', role: 'Estagiario' });
+
+        const { status, body } = await changeRole(id, 'Diretor');
+        assert.equal(status, 400);
+        assert.deepEqual(body.erros.map(e => e.campo), ['role']);
+    });
+
+    test('funcionário inexistente', async () => {
+        const { body } = await changeRole(999, 'Vet junior');
+        assert.equal(body.success, false);
+        assert.equal(body.message, 'Funcionário não encontrado');
+    });
+});
+
+describe('alterações feitas pelo próprio funcionário', () => {
+    let estagiario;
+
+    before(async () => {
+        estagiario = await api.createStaff(tokenGestor, { nome: 'Iara', login: 'iara', role: 'Estagiario' });
+    });
+
+    test('edita o próprio perfil', async () => {
+        const { body } = await api.request('PUT', `/api/funcionarios/${estagiario.id}`, {
+            token: estagiario.token,
+            body: { contato: '51977776666' }
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.contato, '51977776666');
+    });
+
+    test('não muda o próprio cargo', async () => {
+        const { status, body } = await changeRole(estagiario.id, 'Vet junior', estagiario.token);
+        assert.equal(status, 403);
+        assert.equal(body.message, 'Somente um Medico vet pode alterar cargos.');
+    });
+
+    test('não altera outro funcionário', async () => {
+        const outro = await api.createStaff(tokenGestor, { nome: 'Joao', login: 'joao', role: 'Estagiario' });
+
+        const { status } = await api.request('PUT', `/api/funcionarios/${outro.id}`, {
+            token: estagiario.token,
+            body: { nome: 'Outro nome' }
+        });
+        assert.equal(status, 403);
+    });
+
+    test('estagiário não recebe CRMV', async () => {
+        const { body } = await api.request('PUT', `/api/funcionarios/${estagiario.id}`, {
+            token: estagiario.token,
+            body: { crmv: 'CRMV-RS 9' }
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.funcionario.crmv, null);
+    });
+});
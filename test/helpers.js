@@ -0,0 +1,80 @@
+// Servidor dos testes: a aplicação de server.js (createApp) numa pasta de dados
+// temporária, com uma conta de gestor já cadastrada e escutando numa porta livre.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createApp } = require('../server');
+const { hashPassword } = require('../lib/auth');
+const { ACCOUNT_STAFF, createAccount } = require('../lib/contas');
+
+// Conta do gestor (Medico vet) criada direto na pasta de dados; as demais contas
+// são cadastradas pelas rotas
+const GESTOR = {
+    login: 'gestora',
+    senha: 'senha-gestora',
+    nome: 'Gestora Teste',
+    role: 'Medico vet',
+    crmv: 'CRMV-RS 1234',
+    contato: '51999990000'
+};
+
+// CPFs válidos para os cadastros dos testes
+const CPFS = ['52998224725', '11144477735', '12345678909', '98765432100', '45612378955'];
+
+async function startServer() {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clinica-teste-'));
+    const { senha, ...dadosGestor } = GESTOR;
+    const contas = [];
+    createAccount(contas, { ...dadosGestor, tipo: ACCOUNT_STAFF }, await hashPassword(senha));
+    await fs.writeFile(path.join(dataDir, 'contas.json'), JSON.stringify(contas));
+
+    const clinica = createApp({ dataDir });
+    await clinica.ready;
+    const server = clinica.app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Retorna { status, body } com o corpo JSON da resposta
+    async function request(method, url, { token, body } = {}) {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function login(usuario, senhaUsuario) {
+        const { body } = await request('POST', '/api/login', { body: { login: usuario, senha: senhaUsuario } });
+        if (!body.success) throw new Error(`Login de ${usuario} falhou: ${body.message}`);
+        return body.token;
+    }
+
+    // Cadastra um funcionário pelo gestor e retorna { id, token }
+    async function createStaff(tokenGestor, dados) {
+        const { body } = await request('POST', '/api/cadastrar-funcionario', {
+            token: tokenGestor,
+            body: { contato: '51988887777', senha: 'senha123', ...dados }
+        });
+        if (!body.success) throw new Error(`Cadastro de ${dados.login} falhou: ${body.message}`);
+        return { id: body.funcionario.id, token: await login(dados.login, 'senha123') };
+    }
+
+    async function stop() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        clinica.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+
+    // `db` dá acesso às coleções para simular falhas de gravação
+    return { request, login, createStaff, stop, db: clinica.db };
+}
+
+module.exports = { GESTOR, CPFS, startServer };
@@ -0,0 +1,41 @@
+// Inicialização: as rotas da API esperam o backup e as migrações de `ready`, então
+// uma conta legada já entra no primeiro pedido após a partida
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createApp } = require('../server');
+const { hashPassword } = require('../lib/auth');
+
+test('o login de um médico de medicos.json funciona antes do fim das migrações', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clinica-teste-'));
+    const legado = {
+        id: 'med-1', login: 'dra.ana', senha: await hashPassword('senha-antiga'),
+        nome: 'Ana Legada', crmv: 'CRMV-RS 4321', contato: '51999991111'
+    };
+    await fs.writeFile(path.join(dataDir, 'medicos.json'), JSON.stringify([legado]));
+
+    // Sem esperar `ready`: o primeiro pedido chega com as migrações ainda em curso
+    const clinica = createApp({ dataDir });
+    const server = clinica.app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ login: 'dra.ana', senha: 'senha-antiga' })
+        });
+        const body = await response.json();
+        assert.equal(body.success, true, body.message);
+    } finally {
+        await clinica.ready;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        clinica.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    }
+});
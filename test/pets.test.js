@@ -0,0 +1,568 @@
+// Rotas que alteram o pet: sucesso, pet (ou item) não encontrado e erros de validação
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTOR, CPFS, startServer } = require('./helpers');
+
+const INEXISTENTE = 999;
+
+let api;
+let token;
+let tokenRecepcao;
+
+before(async () => {
+    api = await startServer();
+    token = await api.login(GESTOR.login, GESTOR.senha);
+    tokenRecepcao = (await api.createStaff(token, { nome: 'Rita', login: 'rita', role: 'Recepção' })).token;
+});
+
+after(() => api.stop());
+
+function send(method, url, body, tokenUsuario = token) {
+    return api.request(method, url, { token: tokenUsuario, body });
+}
+
+async function createPet(dados = {}) {
+    const { body } = await send('POST', '/api/salvar-pet', {
+        nome: 'Thor',
+        especie: 'Cão',
+        peso: '12',
+        tutorNome: 'Paulo Tutor',
+        tutorCpf: CPFS[0],
+        ...dados
+    });
+    assert.equal(body.success, true, body.message);
+    return body.pet;
+}
+
+async function getPet(id) {
+    const { body } = await send('GET', '/api/pets/' + id);
+    return body.pet;
+}
+
+// Resposta 400 com os campos recusados pelo esquema
+function assertValidationError({ status, body }, campos) {
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.erros.map(e => e.campo).sort(), [...campos].sort());
+}
+
+function assertFailure({ status, body }, message) {
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+    assert.equal(body.message, message);
+}
+
+describe('POST /api/salvar-pet', () => {
+    test('cadastra o pet e o tutor', async () => {
+        const pet = await createPet({ tutorCpf: '111.444.777-35', tutorNome: 'Lia' });
+        assert.equal(pet.nome, 'Thor');
+        assert.equal(pet.tutorCpf, CPFS[1]);
+        assert.equal(pet.peso, 12);
+        assert.ok(pet.tutorId);
+    });
+
+    test('recusa dados inválidos', async () => {
+        assertValidationError(
+            await send('POST', '/api/salvar-pet', { nome: '', especie: 'Dragão', tutorNome: 'Lia', tutorCpf: '123' }),
+            ['nome', 'especie', 'tutorCpf']
+        );
+    });
+
+    test('exige sessão da equipe', async () => {
+        const { status } = await api.request('POST', '/api/salvar-pet', { body: { nome: 'Rex' } });
+        assert.equal(status, 401);
+    });
+});
+
+describe('PUT /api/atualizar-pet/:id', () => {
+    test('altera os dados do pet', async () => {
+        const pet = await createPet();
+        const { body } = await send('PUT', `/api/atualizar-pet/${pet.id}`, { nome: 'Thor II', peso: '13,5' });
+        assert.equal(body.success, true);
+        assert.equal(body.pet.nome, 'Thor II');
+        assert.equal(body.pet.peso, 13.5);
+    });
+
+    test('pet não encontrado', async () => {
+        assertFailure(await send('PUT', `/api/atualizar-pet/${INEXISTENTE}`, { nome: 'Rex' }), 'Pet não encontrado');
+    });
+
+    test('recusa dados inválidos e campos fora do esquema', async () => {
+        const pet = await createPet();
+        assertValidationError(await send('PUT', `/api/atualizar-pet/${pet.id}`, { especie: 'Peixe', id: 1 }), ['especie', 'id']);
+    });
+
+    test('setores de internação só entram pela admissão', async () => {
+        const pet = await createPet();
+        assertValidationError(await send('PUT', `/api/atualizar-pet/${pet.id}`, { localizacao: 'Canil' }), ['localizacao']);
+
+        const { body: { box } } = await send('POST', '/api/boxes', { nome: 'Canil 1', setor: 'Canil' });
+        const { body } = await send('POST', '/api/internacoes', { petId: pet.id, boxId: box.id });
+        assert.equal(body.success, true, body.message);
+        assert.equal((await getPet(pet.id)).localizacao, 'Canil');
+
+        assertFailure(
+            await send('PUT', `/api/atualizar-pet/${pet.id}`, { localizacao: 'Recepção' }),
+            'Pet internado: a localização muda pela transferência de box ou pela alta.'
+        );
+    });
+});
+
+describe('anamnese', () => {
+    let pet;
+
+    before(async () => {
+        pet = await createPet();
+    });
+
+    test('PUT /api/salvar-anamnese/:id registra uma ficha avulsa', async () => {
+        const { body } = await send('PUT', `/api/salvar-anamnese/${pet.id}`, { queixaPrincipal: 'Tosse', vomitos: 'nao' });
+        assert.equal(body.success, true);
+        assert.equal(body.registro.origem, 'avulsa');
+        assert.equal((await getPet(pet.id)).anamnese.queixaPrincipal, 'Tosse');
+    });
+
+    test('PUT /api/salvar-anamnese/:id com pet inexistente e dados inválidos', async () => {
+        assertFailure(await send('PUT', `/api/salvar-anamnese/${INEXISTENTE}`, { queixaPrincipal: 'Tosse' }), 'Pet não encontrado');
+        assertValidationError(await send('PUT', `/api/salvar-anamnese/${pet.id}`, { vomitos: 'talvez' }), ['vomitos']);
+    });
+
+    test('POST /api/pets/:id/anamneses registra uma ficha datada', async () => {
+        const { body } = await send('POST', `/api/pets/${pet.id}/anamneses`, {
+            data: '2026-01-10',
+            queixaPrincipal: 'Coceira',
+            copiarSecoes: ['alimentacao']
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.anamnese.data, '2026-01-10');
+        assert.deepEqual(body.anamnese.copiadoDe.secoes, ['alimentacao']);
+    });
+
+    test('POST /api/pets/:id/anamneses com pet inexistente, dados inválidos e data futura', async () => {
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/anamneses`, { queixaPrincipal: 'Tosse' }), 'Pet não encontrado');
+        assertValidationError(
+            await send('POST', `/api/pets/${pet.id}/anamneses`, { data: '10/01/2026', copiarSecoes: ['cozinha'] }),
+            ['data', 'copiarSecoes']
+        );
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/anamneses`, { data: '2999-01-01', queixaPrincipal: 'Tosse' }),
+            'A data da anamnese não pode estar no futuro.'
+        );
+    });
+
+    test('exige a equipe clínica', async () => {
+        const { status } = await send('POST', `/api/pets/${pet.id}/anamneses`, { queixaPrincipal: 'Tosse' }, tokenRecepcao);
+        assert.equal(status, 403);
+    });
+
+    test('POST /api/pets/:id/anamneses/:anamneseId/restaurar volta uma ficha anterior a ser a atual', async () => {
+        const { body: lista } = await send('GET', `/api/pets/${pet.id}/anamneses`);
+        const [atual, anterior] = lista.anamneses;
+
+        const { body } = await send('POST', `/api/pets/${pet.id}/anamneses/${anterior.id}/restaurar`);
+        assert.equal(body.success, true);
+        assert.equal(body.anamnese.origem, 'restauracao');
+        assert.equal(body.anamnese.restauradoDe, anterior.id);
+
+        const restaurado = await getPet(pet.id);
+        assert.equal(restaurado.anamnese.queixaPrincipal, anterior.queixaPrincipal);
+        assert.equal(restaurado.anamnese.anamneseId, body.anamnese.id);
+        assert.ok(restaurado.anamneses.some(a => a.id === atual.id));
+    });
+
+    test('restaurar anamnese inexistente, já atual ou de pet inexistente', async () => {
+        const { body: lista } = await send('GET', `/api/pets/${pet.id}/anamneses`);
+        assertFailure(await send('POST', `/api/pets/${pet.id}/anamneses/${INEXISTENTE}/restaurar`), 'Anamnese não encontrada');
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/anamneses/${lista.anamneses[0].id}/restaurar`),
+            'Esta ficha já é a anamnese atual.'
+        );
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/anamneses/1/restaurar`), 'Pet não encontrado');
+
+        const { status } = await send('POST', `/api/pets/${pet.id}/anamneses/${lista.anamneses[1].id}/restaurar`, undefined, tokenRecepcao);
+        assert.equal(status, 403);
+    });
+});
+
+describe('PUT /api/salvar-historico-clinico/:id', () => {
+    test('salva o histórico clínico', async () => {
+        const pet = await createPet();
+        const { body } = await send('PUT', `/api/salvar-historico-clinico/${pet.id}`, { historicoClinico: 'Castrado em 2024' });
+        assert.equal(body.success, true);
+        assert.equal((await getPet(pet.id)).exames.historicoClinico, 'Castrado em 2024');
+    });
+
+    test('pet não encontrado e dados inválidos', async () => {
+        assertFailure(await send('PUT', `/api/salvar-historico-clinico/${INEXISTENTE}`, { historicoClinico: 'x' }), 'Pet não encontrado');
+        assertValidationError(await send('PUT', `/api/salvar-historico-clinico/${INEXISTENTE}`, { historico: 'x' }), ['historico']);
+    });
+});
+
+describe('vacinas', () => {
+    let pet;
+    let dose;
+
+    before(async () => {
+        pet = await createPet();
+    });
+
+    test('POST /api/pets/:id/vacinas registra a dose', async () => {
+        const { body } = await send('POST', `/api/pets/${pet.id}/vacinas`, {
+            vacina: 'V10',
+            dataAplicacao: '2026-01-05',
+            proximaDose: '2027-01-05'
+        });
+        assert.equal(body.success, true);
+        dose = body.dose;
+        assert.equal(dose.vacina, 'V10');
+    });
+
+    test('POST /api/pets/:id/vacinas com pet inexistente e dados inválidos', async () => {
+        const valida = { vacina: 'V10', dataAplicacao: '2026-01-05' };
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/vacinas`, valida), 'Pet não encontrado');
+        assertValidationError(await send('POST', `/api/pets/${pet.id}/vacinas`, { dataAplicacao: '2026-01-05' }), ['vacina']);
+        assertValidationError(
+            await send('POST', `/api/pets/${pet.id}/vacinas`, { vacina: 'V10', dataAplicacao: 20260105, lote: { a: 1 } }),
+            ['dataAplicacao', 'lote']
+        );
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/vacinas`, { ...valida, proximaDose: '2025-01-01' }),
+            'A próxima dose deve ser posterior à data de aplicação.'
+        );
+        assertValidationError(await send('POST', `/api/pets/${pet.id}/vacinas`, { ...valida, produtoId: 'abc' }), ['produtoId', 'loteId']);
+    });
+
+    test('PATCH /api/pets/:id/vacinas/:doseId corrige a dose', async () => {
+        const { body } = await send('PATCH', `/api/pets/${pet.id}/vacinas/${dose.id}`, { lote: 'L-42' });
+        assert.equal(body.success, true);
+        assert.equal(body.dose.lote, 'L-42');
+    });
+
+    test('PATCH /api/pets/:id/vacinas/:doseId com pet ou dose inexistente e dados inválidos', async () => {
+        assertFailure(await send('PATCH', `/api/pets/${INEXISTENTE}/vacinas/${dose.id}`, { lote: 'L' }), 'Pet não encontrado');
+        assertFailure(await send('PATCH', `/api/pets/${pet.id}/vacinas/${INEXISTENTE}`, { lote: 'L' }), 'Dose não encontrada');
+        assertValidationError(await send('PATCH', `/api/pets/${pet.id}/vacinas/${dose.id}`, { dataAplicacao: '05/01/2026' }), ['dataAplicacao']);
+        assertValidationError(await send('PATCH', `/api/pets/${pet.id}/vacinas/${dose.id}`, { vacina: '', id: 1 }), ['vacina', 'id']);
+        assertFailure(
+            await send('PATCH', `/api/pets/${pet.id}/vacinas/${dose.id}`, { proximaDose: '2020-01-01' }),
+            'A próxima dose deve ser posterior à data de aplicação.'
+        );
+    });
+
+    test('DELETE /api/pets/:id/vacinas/:doseId exclui a dose', async () => {
+        assertFailure(await send('DELETE', `/api/pets/${INEXISTENTE}/vacinas/${dose.id}`), 'Pet não encontrado');
+
+        const { body } = await send('DELETE', `/api/pets/${pet.id}/vacinas/${dose.id}`);
+        assert.equal(body.success, true);
+        assert.deepEqual((await getPet(pet.id)).vacinas, []);
+
+        assertFailure(await send('DELETE', `/api/pets/${pet.id}/vacinas/${dose.id}`), 'Dose não encontrada');
+    });
+
+    test('DELETE /api/pets/:id/vacinas/:doseId devolve ao lote a dose tirada do estoque', async () => {
+        const { body: { produto } } = await send('POST', '/api/produtos', { nome: 'Vacina V10', categoria: 'vacina' });
+        const { body: { lote } } = await send('POST', `/api/produtos/${produto.id}/lotes`, {
+            numero: 'V10-01', validade: '2099-12-31', quantidade: 3
+        });
+        const saldo = async () => (await send('GET', '/api/produtos')).body.produtos.find(p => p.id === produto.id).quantidade;
+
+        const { body } = await send('POST', `/api/pets/${pet.id}/vacinas`, {
+            vacina: 'V10', dataAplicacao: '2026-01-05', produtoId: produto.id, loteId: lote.id
+        });
+        assert.equal(body.success, true, body.message);
+        assert.equal(await saldo(), 2);
+
+        await send('DELETE', `/api/pets/${pet.id}/vacinas/${body.dose.id}`);
+        assert.equal(await saldo(), 3);
+    });
+
+    test('POST /api/pets/:id/vacinas devolve ao lote a baixa quando a dose não é gravada', async () => {
+        const { body: { produto } } = await send('POST', '/api/produtos', { nome: 'Vacina V8', categoria: 'vacina' });
+        const { body: { lote } } = await send('POST', `/api/produtos/${produto.id}/lotes`, {
+            numero: 'V8-01', validade: '2099-12-31', quantidade: 2
+        });
+        const saldo = async () => (await send('GET', '/api/produtos')).body.produtos.find(p => p.id === produto.id).quantidade;
+
+        const { animais } = api.db;
+        const update = animais.update;
+        animais.update = () => Promise.reject(new Error('falha de gravação simulada'));
+        let resposta;
+        try {
+            resposta = await send('POST', `/api/pets/${pet.id}/vacinas`, {
+                vacina: 'V8', dataAplicacao: '2026-01-05', produtoId: produto.id, loteId: lote.id
+            });
+        } finally {
+            animais.update = update;
+        }
+
+        assert.equal(resposta.status, 500);
+        assert.equal(await saldo(), 2);
+    });
+});
+
+describe('agenda e internação recusam dados fora do esquema', () => {
+    test('POST /api/agendamentos', async () => {
+        const pet = await createPet();
+        assertValidationError(
+            await send('POST', '/api/agendamentos', { petId: pet.id, vetLogin: GESTOR.login, inicio: { a: 1 }, fim: '2030-01-01T10:30', tipo: 'Banho' }),
+            ['inicio', 'tipo']
+        );
+    });
+
+    test('POST /api/boxes e POST /api/internacoes', async () => {
+        assertValidationError(await send('POST', '/api/boxes', { nome: 'Box 1', setor: 'Garagem', extra: true }), ['setor', 'extra']);
+        assertValidationError(await send('POST', '/api/internacoes', { petId: 'abc', motivo: ['x'] }), ['petId', 'boxId', 'motivo']);
+    });
+});
+
+describe('PUT /api/salvar-consultas/:id', () => {
+    test('salva as consultas', async () => {
+        const pet = await createPet();
+        const { body } = await send('PUT', `/api/salvar-consultas/${pet.id}`, {
+            consultasPassadas: [{ data: '2026-01-02', motivo: 'Rotina' }]
+        });
+        assert.equal(body.success, true);
+        assert.equal((await getPet(pet.id)).consultasPassadas[0].motivo, 'Rotina');
+    });
+
+    test('pet não encontrado e dados inválidos', async () => {
+        assertFailure(await send('PUT', `/api/salvar-consultas/${INEXISTENTE}`, { consultasFuturas: [] }), 'Pet não encontrado');
+
+        const { status, body } = await send('PUT', `/api/salvar-consultas/${INEXISTENTE}`, {
+            consultasPassadas: [{ motivo: 'Sem data' }]
+        });
+        assert.equal(status, 400);
+        assert.equal(body.erros.length, 1);
+        assert.match(body.erros[0].campo, /^consultasPassadas/);
+    });
+});
+
+describe('exames', () => {
+    let pet;
+    let exame;
+
+    before(async () => {
+        pet = await createPet();
+    });
+
+    test('POST /api/pets/:id/exames solicita o exame', async () => {
+        const { body } = await send('POST', `/api/pets/${pet.id}/exames`, { nome: 'Hemograma' });
+        assert.equal(body.success, true);
+        exame = body.exame;
+        assert.equal(exame.status, 'solicitado');
+    });
+
+    test('POST /api/pets/:id/exames com pet inexistente e dados inválidos', async () => {
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/exames`, { nome: 'Hemograma' }), 'Pet não encontrado');
+        assertValidationError(await send('POST', `/api/pets/${pet.id}/exames`, { status: 'pronto' }), ['nome', 'status']);
+    });
+
+    test('liberar exige o resultado', async () => {
+        assertFailure(
+            await send('PUT', `/api/pets/${pet.id}/exames/${exame.id}/liberar`),
+            'Só é possível liberar exames com resultado disponível.'
+        );
+    });
+
+    test('PATCH /api/pets/:id/exames/:exameId registra o resultado', async () => {
+        const { body } = await send('PATCH', `/api/pets/${pet.id}/exames/${exame.id}`, {
+            status: 'resultado disponível',
+            resultado: 'Sem alterações'
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.exame.resultado, 'Sem alterações');
+    });
+
+    test('PATCH /api/pets/:id/exames/:exameId com pet ou exame inexistente e dados inválidos', async () => {
+        assertFailure(await send('PATCH', `/api/pets/${INEXISTENTE}/exames/${exame.id}`, { descricao: 'x' }), 'Pet não encontrado');
+        assertFailure(await send('PATCH', `/api/pets/${pet.id}/exames/${INEXISTENTE}`, { descricao: 'x' }), 'Exame não encontrado');
+        assertFailure(
+            await send('PATCH', `/api/pets/${pet.id}/exames/${exame.id}`, { status: 'solicitado' }),
+            'O exame já está como "resultado disponível" e não pode voltar para "solicitado".'
+        );
+        assertValidationError(await send('PATCH', `/api/pets/${pet.id}/exames/${exame.id}`, { dataColeta: '32/13/2026' }), ['dataColeta']);
+    });
+
+    test('PUT /api/pets/:id/exames/:exameId/liberar libera o resultado para o tutor', async () => {
+        assertFailure(await send('PUT', `/api/pets/${INEXISTENTE}/exames/${exame.id}/liberar`), 'Pet não encontrado');
+        assertFailure(await send('PUT', `/api/pets/${pet.id}/exames/${INEXISTENTE}/liberar`), 'Exame não encontrado');
+
+        const { body } = await send('PUT', `/api/pets/${pet.id}/exames/${exame.id}/liberar`);
+        assert.equal(body.success, true);
+        assert.ok(body.exame.liberadoEm);
+
+        assertFailure(await send('PUT', `/api/pets/${pet.id}/exames/${exame.id}/liberar`), 'O resultado já foi liberado para o tutor.');
+    });
+
+    test('DELETE /api/pets/:id/exames/:exameId exclui o exame', async () => {
+        assertFailure(await send('DELETE', `/api/pets/${INEXISTENTE}/exames/${exame.id}`), 'Pet não encontrado');
+
+        const { body } = await send('DELETE', `/api/pets/${pet.id}/exames/${exame.id}`);
+        assert.equal(body.success, true);
+
+        assertFailure(await send('DELETE', `/api/pets/${pet.id}/exames/${exame.id}`), 'Exame não encontrado');
+    });
+});
+
+describe('observações e restauração pela auditoria', () => {
+    let pet;
+
+    before(async () => {
+        pet = await createPet();
+    });
+
+    test('PUT /api/salvar-observacoes/:id salva as observações', async () => {
+        for (const observacoes of ['Primeira versão', 'Segunda versão']) {
+            const { body } = await send('PUT', `/api/salvar-observacoes/${pet.id}`, { observacoes });
+            assert.equal(body.success, true);
+        }
+        assert.equal((await getPet(pet.id)).observacoes, 'Segunda versão');
+    });
+
+    test('PUT /api/salvar-observacoes/:id com pet inexistente e dados inválidos', async () => {
+        assertFailure(await send('PUT', `/api/salvar-observacoes/${INEXISTENTE}`, { observacoes: 'x' }), 'Pet não encontrado');
+        assertValidationError(await send('PUT', `/api/salvar-observacoes/${pet.id}`, { obs: 'x' }), ['obs']);
+    });
+
+    test('POST /api/pets/:id/auditoria/:entradaId/restaurar volta a versão anterior', async () => {
+        const { body: historico } = await send('GET', `/api/pets/${pet.id}/auditoria`);
+        const entrada = historico.entradas.find(e => e.alteracoes.some(a => a.campo === 'observacoes' && a.depois === 'Segunda versão'));
+        assert.ok(entrada);
+
+        const { body } = await send('POST', `/api/pets/${pet.id}/auditoria/${entrada.id}/restaurar`, { campo: 'observacoes' });
+        assert.equal(body.success, true);
+        assert.equal(body.valor, 'Primeira versão');
+        assert.equal((await getPet(pet.id)).observacoes, 'Primeira versão');
+    });
+
+    test('restaurar com campo, versão ou pet inválidos', async () => {
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/auditoria/1/restaurar`, { campo: 'nome' }),
+            'Campo não restaurável. Use: observacoes.'
+        );
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/auditoria/${INEXISTENTE}/restaurar`, { campo: 'observacoes' }),
+            'Versão não encontrada no histórico deste pet.'
+        );
+        assertFailure(
+            await send('POST', `/api/pets/${INEXISTENTE}/auditoria/1/restaurar`, { campo: 'observacoes' }),
+            'Versão não encontrada no histórico deste pet.'
+        );
+    });
+});
+
+describe('PUT /api/alterar-tag/:id', () => {
+    test('altera a tag', async () => {
+        const pet = await createPet();
+        const { body } = await send('PUT', `/api/alterar-tag/${pet.id}`, { tag: 'yellow' });
+        assert.equal(body.success, true);
+        assert.equal((await getPet(pet.id)).tag, 'yellow');
+    });
+
+    test('pet não encontrado e tag inválida', async () => {
+        assertFailure(await send('PUT', `/api/alterar-tag/${INEXISTENTE}`, { tag: 'red' }), 'Pet não encontrado');
+        assertValidationError(await send('PUT', `/api/alterar-tag/${INEXISTENTE}`, { tag: 'blue' }), ['tag']);
+    });
+});
+
+describe('sinais vitais', () => {
+    let pet;
+    let registro;
+
+    before(async () => {
+        pet = await createPet();
+    });
+
+    test('POST /api/pets/:id/sinais-vitais registra a medição', async () => {
+        const { body } = await send('POST', `/api/pets/${pet.id}/sinais-vitais`, { peso: 12.4, temperatura: 38.6 });
+        assert.equal(body.success, true);
+        registro = body.registro;
+        assert.equal(registro.temperatura, 38.6);
+    });
+
+    test('POST /api/pets/:id/sinais-vitais com pet inexistente e dados inválidos', async () => {
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/sinais-vitais`, { peso: 12 }), 'Pet não encontrado');
+        assertValidationError(await send('POST', `/api/pets/${pet.id}/sinais-vitais`, { temperatura: 60, fc: 'rápida' }), ['temperatura', 'fc']);
+        assertFailure(
+            await send('POST', `/api/pets/${pet.id}/sinais-vitais`, { observacoes: 'Sem medidas' }),
+            'Informe ao menos uma medida (peso, temperatura, FC, FR ou escore corporal).'
+        );
+    });
+
+    test('DELETE /api/pets/:id/sinais-vitais/:registroId exclui a medição', async () => {
+        assertFailure(await send('DELETE', `/api/pets/${INEXISTENTE}/sinais-vitais/${registro.id}`), 'Pet não encontrado');
+
+        const { body } = await send('DELETE', `/api/pets/${pet.id}/sinais-vitais/${registro.id}`);
+        assert.equal(body.success, true);
+
+        assertFailure(await send('DELETE', `/api/pets/${pet.id}/sinais-vitais/${registro.id}`), 'Registro não encontrado');
+    });
+});
+
+describe('POST /api/pets/:id/prescricoes', () => {
+    const item = { medicamento: 'Amoxicilina', doseMgKg: 10, via: 'Oral', frequenciaHoras: 12, duracaoDias: 7 };
+
+    test('registra a prescrição com a dose calculada pelo peso', async () => {
+        const pet = await createPet({ peso: '10' });
+        const { body } = await send('POST', `/api/pets/${pet.id}/prescricoes`, { itens: [item] });
+        assert.equal(body.success, true);
+        assert.equal(body.prescricao.itens[0].doseMg, 100);
+        assert.equal(body.prescricao.prescritoPor.login, GESTOR.login);
+    });
+
+    test('registra a prescrição na auditoria do pet', async () => {
+        const pet = await createPet({ peso: '10' });
+        const { body } = await send('POST', `/api/pets/${pet.id}/prescricoes`, { itens: [item] });
+
+        const { body: historico } = await send('GET', `/api/pets/${pet.id}/auditoria`);
+        const entrada = historico.entradas.find(e => e.recurso === 'prescricoes');
+        assert.ok(entrada);
+        assert.equal(entrada.registroId, body.prescricao.id);
+        assert.equal(entrada.usuario, GESTOR.login);
+        assert.ok(entrada.alteracoes.some(a => a.campo === 'itens' && a.antes === null));
+    });
+
+    test('pet não encontrado, sem peso e dados inválidos', async () => {
+        assertFailure(await send('POST', `/api/pets/${INEXISTENTE}/prescricoes`, { itens: [item] }), 'Pet não encontrado');
+
+        const semPeso = await createPet({ nome: 'Nina', peso: '' });
+        assertFailure(
+            await send('POST', `/api/pets/${semPeso.id}/prescricoes`, { itens: [item] }),
+            'Informe o peso de Nina antes de prescrever (a dose é calculada em mg/kg).'
+        );
+
+        const { status, body } = await send('POST', `/api/pets/${semPeso.id}/prescricoes`, { itens: [{ medicamento: 'Amoxicilina' }] });
+        assert.equal(status, 400);
+        assert.ok(body.erros.length > 0);
+    });
+});
+
+describe('PUT /api/pets/:id/tutor', () => {
+    let pet;
+    let novoTutor;
+
+    before(async () => {
+        pet = await createPet();
+        const { body } = await send('POST', '/api/tutores', { nome: 'Nova Tutora', cpf: CPFS[2] });
+        assert.equal(body.success, true);
+        novoTutor = body.tutor;
+    });
+
+    test('transfere o pet para outro tutor', async () => {
+        const { body } = await send('PUT', `/api/pets/${pet.id}/tutor`, { tutorId: novoTutor.id });
+        assert.equal(body.success, true);
+        assert.equal(body.pet.tutorId, novoTutor.id);
+        assert.equal(body.pet.tutorCpf, CPFS[2]);
+    });
+
+    test('recusa transferir para o tutor atual', async () => {
+        assertFailure(await send('PUT', `/api/pets/${pet.id}/tutor`, { tutorId: novoTutor.id }), 'O pet já pertence a Nova Tutora.');
+    });
+
+    test('pet ou tutor não encontrado e dados inválidos', async () => {
+        assertFailure(await send('PUT', `/api/pets/${INEXISTENTE}/tutor`, { tutorId: novoTutor.id }), 'Pet não encontrado');
+        assertFailure(await send('PUT', `/api/pets/${pet.id}/tutor`, { tutorId: INEXISTENTE }), 'Tutor não encontrado');
+        assertValidationError(await send('PUT', `/api/pets/${pet.id}/tutor`, { tutorId: 'abc' }), ['tutorId']);
+    });
+});
@@ -0,0 +1,38 @@
+// Triagem automática (TRIAGEM_MODO=automatico): a tag elevada pela triagem entra na
+// auditoria do pet
+
+process.env.TRIAGEM_MODO = 'automatico';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GESTOR, CPFS, startServer } = require('./helpers');
+
+let api;
+let token;
+
+before(async () => {
+    api = await startServer();
+    token = await api.login(GESTOR.login, GESTOR.senha);
+});
+
+after(() => api.stop());
+
+function send(method, url, body) {
+    return api.request(method, url, { token, body });
+}
+
+test('a internação sobe a tag e a mudança aparece no histórico do pet', async () => {
+    const { body: { pet } } = await send('POST', '/api/salvar-pet', {
+        nome: 'Thor', especie: 'Cão', tutorNome: 'Paulo Tutor', tutorCpf: CPFS[0]
+    });
+    const { body: { box } } = await send('POST', '/api/boxes', { nome: 'Box 1', setor: 'Box internação' });
+    const { body } = await send('POST', '/api/internacoes', { petId: pet.id, boxId: box.id });
+    assert.equal(body.success, true, body.message);
+
+    const { body: { entradas } } = await send('GET', `/api/pets/${pet.id}/auditoria`);
+    const triagem = entradas.find(e => e.metodo === 'TRIAGEM');
+    assert.ok(triagem, 'entrada da triagem automática no histórico do pet');
+    assert.equal(triagem.recurso, 'animais');
+    assert.equal(triagem.registroId, pet.id);
+    assert.deepEqual(triagem.alteracoes.map(a => [a.campo, a.depois]), [['tag', 'red']]);
+});